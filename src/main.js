@@ -4,16 +4,28 @@ const fs = require('fs-extra');
 const ConfigManager = require('./utils/configManager');
 const SaveMonitor = require('./utils/saveMonitor');
 const BackupManager = require('./utils/backupManager');
+const PathFilter = require('./utils/pathFilter');
+const Scheduler = require('./utils/scheduler');
+const { listFiles } = require('./utils/fileTree');
 
 class GameSaveManager {
     constructor() {
         this.mainWindow = null;
         this.tray = null;
         this.configManager = new ConfigManager();
-        this.saveMonitor = null;
-        this.backupManager = null;
+        // 每个配置档案的运行状态：配置档案 ID -> { backupManager, saveMonitor }
+        this.runtimes = new Map();
+        // 各配置档案的计划备份，任务 ID 为配置档案 ID
+        this.scheduler = new Scheduler();
+        this.scheduler.on('run', () => this.sendToWindow('schedule-changed'));
+        this.scheduler.on('error', (error, profileId) => {
+            this.sendToWindow('error', `计划备份失败: ${error.message}`, profileId);
+        });
         this.isQuitting = false;
         this.trayNotificationShown = false;
+        this.scrubTimer = null;
+        // 后台任务为未打开的备份目录临时创建的备份管理器：备份目录 -> 任务完成并关闭的 Promise
+        this.backgroundTasks = new Map();
     }
 
     async createWindow() {
@@ -52,9 +64,7 @@ class GameSaveManager {
 
         this.mainWindow.on('closed', () => {
             this.mainWindow = null;
-            if (this.saveMonitor) {
-                this.saveMonitor.stop();
-            }
+            this.stopAllMonitoring();
         });
 
         this.createTray();
@@ -107,8 +117,14 @@ class GameSaveManager {
     }
 
     updateTrayMenu() {
-        const isMonitoring = this.saveMonitor && this.saveMonitor.isRunning();
+        if (!this.tray) {
+            return;
+        }
+
         const config = this.configManager.getConfig();
+        const isMonitoring = this.isMonitoring(config.activeProfileId);
+        const monitoringCount = config.profiles.filter(profile => this.isMonitoring(profile.id)).length;
+        const activeProfile = config.profiles.find(profile => profile.id === config.activeProfileId);
         
         const contextMenu = Menu.buildFromTemplate([
             {
@@ -117,19 +133,28 @@ class GameSaveManager {
             },
             { type: 'separator' },
             {
-                label: isMonitoring ? '监控中...' : '未监控',
+                label: monitoringCount > 0 ? `监控中 (${monitoringCount}/${config.profiles.length})...` : '未监控',
                 enabled: false,
-                icon: isMonitoring ? 
+                icon: monitoringCount > 0 ? 
                     nativeImage.createFromDataURL('data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAA8AAAAPCAYAAAA71pVKAAAABHNCSVQICAgIfAhkiAAAAAlwSFlzAAAAdgAAAHYBTnsmCAAAABl0RVh0U29mdHdhcmUAd3d3Lmlua3NjYXBlLm9yZ5vuPBoAAAFBSVQICAgIfAhkiAAAAAlwSFlz').resize({ width: 16, height: 16 }) :
                     undefined
             },
+            {
+                label: '配置档案',
+                submenu: config.profiles.map(profile => ({
+                    label: this.isMonitoring(profile.id) ? `${profile.name}（监控中）` : profile.name,
+                    type: 'radio',
+                    checked: profile.id === config.activeProfileId,
+                    click: () => this.switchProfile(profile.id)
+                }))
+            },
             { type: 'separator' },
             {
                 label: '显示主窗口',
                 click: () => this.showWindow()
             },
             {
-                label: isMonitoring ? '停止监控' : '开始监控',
+                label: `${isMonitoring ? '停止监控' : '开始监控'}: ${activeProfile.name}`,
                 enabled: config.saveFilePath && config.backupPath,
                 click: () => this.toggleMonitoring()
             },
@@ -160,33 +185,326 @@ class GameSaveManager {
         }
     }
 
+    // 托盘菜单中开始或停止当前配置档案的监控
     async toggleMonitoring() {
-        if (this.saveMonitor && this.saveMonitor.isRunning()) {
-            this.saveMonitor.stop();
+        const profileId = this.configManager.getActiveProfileId();
+        if (this.isMonitoring(profileId)) {
+            this.stopMonitoring(profileId);
         } else {
-            const config = this.configManager.getConfig();
-            if (config.saveFilePath && config.backupPath) {
-                this.backupManager = new BackupManager(config.backupPath);
-                
-                // 设置最大备份数量
-                if (config.maxBackups) {
-                    this.backupManager.setMaxBackups(config.maxBackups);
-                }
-                
-                this.saveMonitor = new SaveMonitor(config.saveFilePath, this.backupManager);
-                
-                // 设置事件监听器
-                this.setupMonitorEvents();
-                
-                this.saveMonitor.start();
+            await this.startMonitoring(profileId);
+        }
+    }
+
+    getRuntime(profileId) {
+        if (!this.runtimes.has(profileId)) {
+            this.runtimes.set(profileId, { backupManager: null, saveMonitor: null });
+        }
+        return this.runtimes.get(profileId);
+    }
+
+    isMonitoring(profileId) {
+        const runtime = this.runtimes.get(profileId);
+        return Boolean(runtime && runtime.saveMonitor && runtime.saveMonitor.isRunning());
+    }
+
+    sendToWindow(channel, ...args) {
+        if (this.mainWindow) {
+            this.mainWindow.webContents.send(channel, ...args);
+        }
+    }
+
+    // 开始监控配置档案的存档，各配置档案的监控同时运行；已在监控时直接返回
+    async startMonitoring(profileId) {
+        const config = this.configManager.getProfileConfig(profileId);
+        if (!config || !config.saveFilePath || !config.backupPath) {
+            return false;
+        }
+
+        const runtime = this.getRuntime(profileId);
+        if (runtime.saveMonitor && runtime.saveMonitor.isRunning()) {
+            return true;
+        }
+
+        // 已为浏览、校验等操作创建的备份管理器（备份目录未变）直接使用
+        const backupManager = this.getBackupManager(profileId);
+        runtime.saveMonitor = new SaveMonitor(config.saveFilePath, backupManager, {
+            gameProcess: {
+                name: config.gameProcessName,
+                watchWhileRunning: config.watchOnlyWhileGameRunning,
+                backupOnLaunch: config.backupOnGameLaunch
+            },
+            checkInterval: config.checkInterval,
+            backupOnChange: config.backupOnChange
+        });
+        this.setupMonitorEvents(profileId, runtime.saveMonitor);
+
+        const result = await runtime.saveMonitor.start();
+        if (result) {
+            this.configManager.updateProfile(profileId, { monitoringEnabled: true });
+            this.scheduleBackups(profileId, config);
+        }
+        this.updateTrayMenu();
+        return result;
+    }
+
+    // 按配置档案的计划定时备份，只在该配置档案监控期间运行
+    scheduleBackups(profileId, config) {
+        this.scheduler.cancel(profileId);
+        if (config.backupSchedule) {
+            try {
+                this.scheduler.schedule(profileId, config.backupSchedule, async () => {
+                    const runtime = this.runtimes.get(profileId);
+                    if (runtime && runtime.saveMonitor) {
+                        await runtime.saveMonitor.scheduledBackup({ onlyIfChanged: config.scheduleOnlyIfChanged !== false });
+                    }
+                });
+            } catch (error) {
+                console.error('备份计划无效:', error);
+                this.sendToWindow('error', `备份计划无效: ${error.message}`, profileId);
             }
         }
+        this.sendToWindow('schedule-changed');
+    }
+
+    // 停止监控；用户主动停止时记录下来，下次启动时不再自动开始监控该配置档案
+    stopMonitoring(profileId, remember = true) {
+        const runtime = this.runtimes.get(profileId);
+        if (!runtime || !runtime.saveMonitor) {
+            return false;
+        }
+
+        runtime.saveMonitor.stop();
+        if (remember) {
+            this.configManager.updateProfile(profileId, { monitoringEnabled: false });
+        }
+        this.updateTrayMenu();
+        return true;
+    }
+
+    stopAllMonitoring() {
+        for (const profileId of this.runtimes.keys()) {
+            this.stopMonitoring(profileId, false);
+        }
+    }
+
+    // 切换当前配置档案，界面和托盘菜单随之更新；其他配置档案的监控继续运行
+    switchProfile(profileId) {
+        if (!this.configManager.setActiveProfile(profileId)) {
+            return false;
+        }
+        this.updateTrayMenu();
+        this.sendToWindow('profile-changed');
+        return true;
+    }
+
+    // 删除配置档案：停止其监控并关闭备份管理器，备份目录中的文件保留
+    deleteProfile(profileId) {
+        const activeProfileId = this.configManager.getActiveProfileId();
+        if (!this.configManager.deleteProfile(profileId)) {
+            return false;
+        }
+
+        const runtime = this.runtimes.get(profileId);
+        if (runtime) {
+            if (runtime.saveMonitor) {
+                runtime.saveMonitor.stop();
+            }
+            if (runtime.backupManager) {
+                runtime.backupManager.close();
+            }
+            this.runtimes.delete(profileId);
+        }
+
         this.updateTrayMenu();
+        if (profileId === activeProfileId) {
+            this.sendToWindow('profile-changed');
+        }
+        return true;
+    }
+
+    createBackupManager(profileId, config) {
+        // 旧的备份管理器执行完队列中的操作后停止上传并写入未保存的元数据，
+        // 新实例在此之前不开始执行操作，未完成的上传队列也在此之后由新实例继续
+        const runtime = this.getRuntime(profileId);
+        const closing = Promise.all([
+            runtime.backupManager ? runtime.backupManager.close() : null,
+            this.backgroundTasks.get(config.backupPath)
+        ]);
+
+        const backupManager = new BackupManager(config.backupPath);
+        backupManager.waitFor(closing);
+        this.applyBackupSettings(backupManager, config);
+
+        // 设置额外的备份目标，上传状态变化时通知界面
+        backupManager.destinations.on('status-changed', (status) => {
+            this.sendToWindow('destination-status', status, profileId);
+        });
+        closing.then(() => {
+            if (runtime.backupManager === backupManager) {
+                backupManager.setDestinations(config.destinations);
+            }
+        });
+
+        // 备份操作的排队状态和进度通知界面
+        backupManager.on('operation', (operation) => {
+            this.sendToWindow('backup-operation', { ...operation, profileId });
+        });
+
+        runtime.backupManager = backupManager;
+        return backupManager;
+    }
+
+    // 把配置档案的备份设置应用到备份管理器，创建时和保存设置后调用
+    applyBackupSettings(backupManager, config) {
+        // 设置最大备份数量
+        if (config.maxBackups) {
+            backupManager.setMaxBackups(config.maxBackups);
+        }
+
+        // 设置存储配额（0 表示不限制）
+        backupManager.setStorageQuota((config.storageQuotaMB || 0) * 1024 * 1024);
+
+        // 设置分层保留策略
+        if (config.retentionPolicy) {
+            backupManager.setRetentionPolicy(config.retentionPolicy);
+        }
+
+        // 设置压缩方式
+        try {
+            backupManager.setCompression(config.compression, config.compressionLevel);
+        } catch (error) {
+            console.error('压缩设置无效，使用默认设置:', error);
+        }
+
+        // 设置差异存储
+        backupManager.setDeltaStorage(config.deltaStorage, config.keyframeInterval);
+
+        // 设置存档目录的文件筛选规则
+        backupManager.setFileFilter(config.fileFilters);
+    }
+
+    // 获取配置档案（默认为当前配置档案）备份目录对应的备份管理器，未开始监控时按配置创建
+    getBackupManager(profileId = this.configManager.getActiveProfileId()) {
+        const config = this.configManager.getProfileConfig(profileId);
+        if (!config) {
+            return null;
+        }
+
+        const runtime = this.getRuntime(profileId);
+        if (runtime.backupManager && (!config.backupPath || runtime.backupManager.backupPath === config.backupPath)) {
+            return runtime.backupManager;
+        }
+
+        if (!config.backupPath) {
+            return null;
+        }
+
+        return this.createBackupManager(profileId, config);
+    }
+
+    // 执行加密相关操作，错误信息（如密码错误）返回给界面显示
+    async runEncryptionAction(actionName, action) {
+        const backupManager = this.getBackupManager();
+        if (!backupManager) {
+            return { success: false, error: '未设置备份目录' };
+        }
+
+        try {
+            await action(backupManager);
+            return { success: true, status: backupManager.getEncryptionStatus() };
+        } catch (error) {
+            console.error(`${actionName}失败:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // 定期在后台压缩差异链并校验备份完整性
+    startScrubTimer() {
+        if (this.scrubTimer) {
+            clearInterval(this.scrubTimer);
+            this.scrubTimer = null;
+        }
+
+        const config = this.configManager.getConfig();
+        if (!config.scrubIntervalHours || config.scrubIntervalHours <= 0) {
+            return;
+        }
+
+        this.scrubTimer = setInterval(async () => {
+            for (const profile of this.configManager.getProfiles()) {
+                await this.runBackgroundTask(profile.id, async (backupManager) => {
+                    await this.compactStorage(backupManager);
+                    await this.verifyBackups(profile.id, backupManager);
+                });
+            }
+        }, config.scrubIntervalHours * 60 * 60 * 1000);
+    }
+
+    // 在配置档案的备份仓库上执行后台任务。已打开的备份管理器直接使用；
+    // 否则创建临时的备份管理器（不上传到备份目标），完成后关闭，不保留在运行状态中
+    async runBackgroundTask(profileId, task) {
+        const config = this.configManager.getProfileConfig(profileId);
+        if (!config || !config.backupPath) {
+            return;
+        }
+
+        const runtime = this.runtimes.get(profileId);
+        if (runtime && runtime.backupManager && runtime.backupManager.backupPath === config.backupPath) {
+            await task(runtime.backupManager);
+            return;
+        }
+
+        const backupManager = new BackupManager(config.backupPath);
+        this.applyBackupSettings(backupManager, config);
+        const done = Promise.resolve()
+            .then(() => task(backupManager))
+            .catch(error => console.error('后台任务失败:', error))
+            .finally(() => backupManager.close());
+        // 期间为同一备份目录创建的备份管理器等待临时实例关闭后再执行操作
+        this.backgroundTasks.set(config.backupPath, done);
+        try {
+            await done;
+        } finally {
+            if (this.backgroundTasks.get(config.backupPath) === done) {
+                this.backgroundTasks.delete(config.backupPath);
+            }
+        }
+    }
+
+    // 将过长的差异链重新保存为关键帧
+    async compactStorage(backupManager) {
+        try {
+            const count = await backupManager.compactStorage();
+            if (count > 0) {
+                console.log(`差异链压缩完成，转换了 ${count} 个对象`);
+            }
+            return count;
+        } catch (error) {
+            console.error('压缩差异链失败:', error);
+            return 0;
+        }
+    }
+
+    async verifyBackups(profileId, backupManager = this.getBackupManager(profileId)) {
+        if (!backupManager) {
+            return null;
+        }
+
+        try {
+            const report = await backupManager.verifyBackups();
+            this.sendToWindow('verify-completed', report.summary, profileId);
+            return report;
+        } catch (error) {
+            console.error('校验备份失败:', error);
+            this.sendToWindow('error', `校验备份失败: ${error.message}`, profileId);
+            return null;
+        }
     }
 
     async manualBackup() {
-        if (this.saveMonitor && this.saveMonitor.isRunning()) {
-            const result = await this.saveMonitor.forceBackup();
+        const runtime = this.runtimes.get(this.configManager.getActiveProfileId());
+        if (runtime && runtime.saveMonitor && runtime.saveMonitor.isRunning()) {
+            await runtime.saveMonitor.forceBackup();
         }
     }
 
@@ -195,45 +513,50 @@ class GameSaveManager {
         app.quit();
     }
 
-    setupMonitorEvents() {
-        if (!this.saveMonitor) return;
-        
-        this.saveMonitor.on('backup-created', async (backupInfo) => {
+    // 转发存档监控事件，附带配置档案 ID 供界面区分
+    setupMonitorEvents(profileId, saveMonitor) {
+        saveMonitor.on('backup-created', async (backupInfo) => {
+            const backupManager = saveMonitor.backupManager;
             try {
-                const screenshotPath = await this.takeScreenshot(backupInfo.id);
+                const screenshotPath = await this.takeScreenshot(backupInfo.id, backupManager.backupPath);
                 if (screenshotPath) {
                     backupInfo.screenshot = screenshotPath;
-                    
-                    if (this.backupManager) {
-                        this.backupManager.updateBackupScreenshot(backupInfo.id, screenshotPath);
-                    }
+                    await backupManager.updateBackupScreenshot(backupInfo.id, screenshotPath);
                 }
             } catch (error) {
                 // Silent error handling
             }
             
-            if (this.mainWindow) {
-                this.mainWindow.webContents.send('backup-created', backupInfo);
-            }
+            this.sendToWindow('backup-created', backupInfo, profileId);
         });
 
-        this.saveMonitor.on('file-change-detected', (data) => {
-            if (this.mainWindow) {
-                this.mainWindow.webContents.send('file-change-detected', data);
-            }
+        saveMonitor.on('file-change-detected', (data) => {
+            this.sendToWindow('file-change-detected', data, profileId);
         });
 
-        this.saveMonitor.on('monitoring-started', (data) => {
-            if (this.mainWindow) {
-                this.mainWindow.webContents.send('monitoring-started', data);
-            }
+        saveMonitor.on('monitoring-started', (data) => {
+            this.sendToWindow('monitoring-started', data, profileId);
             this.updateTrayMenu();
         });
 
-        this.saveMonitor.on('error', (error) => {
-            if (this.mainWindow) {
-                this.mainWindow.webContents.send('error', error.message);
+        saveMonitor.on('game-started', (data) => {
+            this.sendToWindow('game-started', data, profileId);
+        });
+
+        saveMonitor.on('game-exited', (data) => {
+            this.sendToWindow('game-exited', data, profileId);
+        });
+
+        saveMonitor.on('monitoring-stopped', () => {
+            if (this.scheduler.cancel(profileId)) {
+                this.sendToWindow('schedule-changed');
             }
+            this.sendToWindow('monitoring-stopped', profileId);
+            this.updateTrayMenu();
+        });
+
+        saveMonitor.on('error', (error) => {
+            this.sendToWindow('error', error.message, profileId);
         });
     }
 
@@ -274,7 +597,7 @@ class GameSaveManager {
         }
     }
 
-    async takeScreenshot(backupId) {
+    async takeScreenshot(backupId, backupPath) {
         try {
             const display = screen.getPrimaryDisplay();
             const { width, height } = display.bounds;
@@ -292,8 +615,7 @@ class GameSaveManager {
             if (sources.length > 0) {
                 const screenshot = sources[0].thumbnail;
                 
-                const config = this.configManager.getConfig();
-                const screenshotDir = path.join(config.backupPath, 'screenshots');
+                const screenshotDir = path.join(backupPath, 'screenshots');
                 if (!fs.existsSync(screenshotDir)) {
                     fs.mkdirSync(screenshotDir, { recursive: true });
                 }
@@ -335,9 +657,74 @@ class GameSaveManager {
 
         ipcMain.handle('save-config', (event, config) => {
             const result = this.configManager.saveConfig(config);
+            this.startScrubTimer();
+            const profileConfig = this.configManager.getProfileConfig(config.activeProfileId || this.configManager.getActiveProfileId());
+            const runtime = profileConfig && this.runtimes.get(profileConfig.profileId);
+            // 备份设置（数量、配额、保留策略、压缩、差异存储、文件筛选规则）和备份目标立即生效，
+            // 正在运行的监控也按新的筛选规则判断文件变化
+            if (result && runtime && runtime.backupManager) {
+                this.applyBackupSettings(runtime.backupManager, profileConfig);
+                if (config.destinations) {
+                    runtime.backupManager.setDestinations(config.destinations);
+                }
+            }
+            // 检查间隔、游戏进程设置和备份计划立即生效
+            if (result && runtime && runtime.saveMonitor && runtime.saveMonitor.isRunning()) {
+                runtime.saveMonitor.updateOptions({
+                    gameProcess: {
+                        name: profileConfig.gameProcessName,
+                        watchWhileRunning: profileConfig.watchOnlyWhileGameRunning,
+                        backupOnLaunch: profileConfig.backupOnGameLaunch
+                    },
+                    checkInterval: profileConfig.checkInterval,
+                    backupOnChange: profileConfig.backupOnChange
+                });
+                this.scheduleBackups(profileConfig.profileId, profileConfig);
+            }
+            this.updateTrayMenu();
             return result;
         });
 
+        // 配置档案列表及各自的监控状态
+        ipcMain.handle('get-profiles', () => {
+            return {
+                activeProfileId: this.configManager.getActiveProfileId(),
+                profiles: this.configManager.getProfiles().map(profile => ({
+                    id: profile.id,
+                    name: profile.name,
+                    saveFilePath: profile.saveFilePath,
+                    backupPath: profile.backupPath,
+                    monitoringEnabled: profile.monitoringEnabled || false,
+                    monitoring: this.isMonitoring(profile.id)
+                }))
+            };
+        });
+
+        ipcMain.handle('switch-profile', (event, profileId) => {
+            return this.switchProfile(profileId);
+        });
+
+        ipcMain.handle('create-profile', (event, name) => {
+            try {
+                const profile = this.configManager.createProfile(name);
+                this.switchProfile(profile.id);
+                return { success: true, profile };
+            } catch (error) {
+                console.error('新建配置档案失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('rename-profile', (event, profileId, name) => {
+            const result = this.configManager.renameProfile(profileId, name);
+            this.updateTrayMenu();
+            return result;
+        });
+
+        ipcMain.handle('delete-profile', (event, profileId) => {
+            return this.deleteProfile(profileId);
+        });
+
         ipcMain.handle('select-folder', async () => {
             const result = await dialog.showOpenDialog(this.mainWindow, {
                 properties: ['openDirectory']
@@ -352,52 +739,354 @@ class GameSaveManager {
             return result.filePaths[0];
         });
 
-        ipcMain.handle('start-monitoring', (event, config) => {
-            this.backupManager = new BackupManager(config.backupPath);
-            
-            if (config.maxBackups) {
-                this.backupManager.setMaxBackups(config.maxBackups);
+        // 预览文件筛选规则：列出存档目录中当前会被备份和被排除的文件
+        ipcMain.handle('preview-file-filter', async (event, savePath, rules) => {
+            try {
+                if (!savePath || !fs.existsSync(savePath)) {
+                    return { success: false, error: '存档路径不存在' };
+                }
+                if (!fs.statSync(savePath).isDirectory()) {
+                    return { success: false, error: '文件筛选规则只用于存档目录' };
+                }
+
+                const filter = new PathFilter(rules);
+                const included = [];
+                const excluded = [];
+                for (const relativePath of await listFiles(savePath)) {
+                    (filter.matches(relativePath) ? included : excluded).push(relativePath);
+                }
+                return { success: true, included, excluded };
+            } catch (error) {
+                console.error('预览文件筛选规则失败:', error);
+                return { success: false, error: error.message };
             }
-            
-            this.saveMonitor = new SaveMonitor(config.saveFilePath, this.backupManager);
-            
-            this.setupMonitorEvents();
-            
-            const result = this.saveMonitor.start();
-            
-            this.updateTrayMenu();
-            
-            return result;
         });
 
-        ipcMain.handle('stop-monitoring', () => {
-            if (this.saveMonitor) {
-                this.saveMonitor.stop();
-                this.updateTrayMenu();
-                
-                
-                return true;
+        // 检查备份计划表达式，返回接下来的运行时间
+        ipcMain.handle('preview-schedule', (event, expression) => {
+            try {
+                const cron = Scheduler.parse(expression);
+                const runs = [];
+                let next = new Date();
+                while (runs.length < 3 && (next = cron.next(next))) {
+                    runs.push(next.toISOString());
+                }
+                return { success: true, runs };
+            } catch (error) {
+                return { success: false, error: error.message };
             }
-            return false;
         });
 
-        ipcMain.handle('get-backups', () => {
-            if (this.backupManager) {
-                return this.backupManager.getBackupList();
+        // 各配置档案接下来的计划备份
+        ipcMain.handle('get-upcoming-runs', () => {
+            const profiles = this.configManager.getProfiles();
+            return this.scheduler.getUpcoming(3).map(job => {
+                const profile = profiles.find(item => item.id === job.id);
+                return { ...job, profileName: profile ? profile.name : job.id };
+            });
+        });
+
+        ipcMain.handle('start-monitoring', (event, profileId) => {
+            return this.startMonitoring(profileId || this.configManager.getActiveProfileId());
+        });
+
+        ipcMain.handle('stop-monitoring', (event, profileId) => {
+            return this.stopMonitoring(profileId || this.configManager.getActiveProfileId());
+        });
+
+        // 分页查询备份，options 见 MetadataStore.query
+        ipcMain.handle('get-backups', (event, options) => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.queryBackups(options);
+            }
+            return { total: 0, offset: 0, limit: 0, items: [] };
+        });
+
+        ipcMain.handle('get-backup-filters', () => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.getBackupFilters();
+            }
+            return { games: [], tags: [] };
+        });
+
+        ipcMain.handle('get-backup-stats', () => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.getBackupStats();
             }
-            return [];
+            return null;
+        });
+
+        ipcMain.handle('get-storage-usage', async () => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return await backupManager.getStorageUsage();
+            }
+            return null;
         });
 
         ipcMain.handle('restore-backup', (event, backupId) => {
-            if (this.backupManager && this.saveMonitor) {
-                return this.backupManager.restoreBackup(backupId, this.saveMonitor.getOriginalPath());
+            const backupManager = this.getBackupManager();
+            const config = this.configManager.getConfig();
+            const runtime = this.runtimes.get(config.activeProfileId);
+            // 未开始监控时恢复到配置的存档路径
+            const targetPath = runtime && runtime.saveMonitor ? runtime.saveMonitor.getOriginalPath() : config.saveFilePath;
+            if (backupManager && targetPath) {
+                return backupManager.restoreBackup(backupId, targetPath, {
+                    removeExtraneous: config.restoreRemoveExtraneous
+                });
+            }
+            return false;
+        });
+
+        // 将备份恢复到其他位置，不覆盖正在使用的存档；
+        // mode 为 copy 时恢复到存档旁的 .restored 副本，为 choose 时由用户选择位置
+        ipcMain.handle('restore-backup-as', async (event, backupId, mode) => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            const backup = backupManager.getBackupInfo(backupId);
+            if (!backup) {
+                return { success: false, error: '备份不存在' };
+            }
+
+            const config = this.configManager.getConfig();
+            const savePath = backup.originalPath || config.saveFilePath;
+            let targetPath = savePath ? backupManager.getRestoreCopyPath(savePath) : null;
+            if (mode === 'choose' || !targetPath) {
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: '恢复备份到',
+                    defaultPath: targetPath || backup.originalFileName
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, canceled: true };
+                }
+                targetPath = result.filePath;
+            }
+
+            try {
+                await backupManager.restoreBackupAs(backupId, targetPath, { replaceExisting: mode !== 'choose' });
+                return { success: true, path: targetPath };
+            } catch (error) {
+                console.error('恢复备份到其他位置失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-destination-status', () => {
+            const backupManager = this.getBackupManager();
+            return backupManager ? backupManager.getDestinationStatus() : [];
+        });
+
+        ipcMain.handle('test-destination', async (event, destination) => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            try {
+                await backupManager.testDestination(destination);
+                return { success: true };
+            } catch (error) {
+                console.error('测试备份目标失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('retry-destination', (event, destinationId) => {
+            const backupManager = this.getBackupManager();
+            return backupManager ? backupManager.retryDestination(destinationId) : false;
+        });
+
+        ipcMain.handle('get-last-restore', () => {
+            const backupManager = this.getBackupManager();
+            return backupManager ? backupManager.getLastRestore() : null;
+        });
+
+        ipcMain.handle('undo-last-restore', async () => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            try {
+                const lastRestore = await backupManager.undoLastRestore();
+                return { success: true, path: lastRestore.targetPath };
+            } catch (error) {
+                console.error('撤销恢复失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('pin-backup', (event, backupId, pinned) => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.setBackupPinned(backupId, pinned);
             }
             return false;
         });
 
+        ipcMain.handle('set-branch-name', (event, backupId, name) => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.setBranchName(backupId, name);
+            }
+            return false;
+        });
+
+        ipcMain.handle('update-backup-details', (event, backupId, details) => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.updateBackupDetails(backupId, details);
+            }
+            return null;
+        });
+
+        ipcMain.handle('verify-backups', async () => {
+            return await this.verifyBackups();
+        });
+
+        ipcMain.handle('rebuild-index', async () => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            try {
+                const count = await backupManager.rebuildIndex();
+                return { success: true, count };
+            } catch (error) {
+                console.error('重建索引失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('check-consistency', async () => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            try {
+                return { success: true, report: await backupManager.checkConsistency() };
+            } catch (error) {
+                console.error('检查一致性失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('repair-consistency', async () => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            try {
+                const result = await backupManager.repairConsistency();
+                return { success: true, repaired: result.repaired, total: result.report.total };
+            } catch (error) {
+                console.error('修复一致性问题失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('diff-backups', async (event, backupIdA, backupIdB) => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            try {
+                return { success: true, diff: await backupManager.diffBackups(backupIdA, backupIdB) };
+            } catch (error) {
+                console.error('比较备份失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-backups', async (event, backupIds) => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            const date = new Date().toISOString().slice(0, 10);
+            const result = await dialog.showSaveDialog(this.mainWindow, {
+                defaultPath: `gamesave-${date}.gsbundle`,
+                filters: [{ name: '存档备份导出包', extensions: ['gsbundle'] }]
+            });
+            if (result.canceled || !result.filePath) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                const count = await backupManager.exportBackups(backupIds, result.filePath);
+                return { success: true, count, filePath: result.filePath };
+            } catch (error) {
+                console.error('导出备份失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('import-bundle', async () => {
+            const backupManager = this.getBackupManager();
+            if (!backupManager) {
+                return { success: false, error: '未设置备份目录' };
+            }
+
+            const result = await dialog.showOpenDialog(this.mainWindow, {
+                properties: ['openFile'],
+                filters: [{ name: '存档备份导出包', extensions: ['gsbundle'] }]
+            });
+            if (result.canceled || !result.filePaths[0]) {
+                return { success: false, canceled: true };
+            }
+
+            try {
+                return { success: true, ...await backupManager.importBundle(result.filePaths[0]) };
+            } catch (error) {
+                console.error('导入备份失败:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-encryption-status', () => {
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.getEncryptionStatus();
+            }
+            return { enabled: false, unlocked: false, changePending: false };
+        });
+
+        ipcMain.handle('is-backup-locked', (event, backupId) => {
+            const backupManager = this.getBackupManager();
+            return backupManager ? backupManager.isBackupLocked(backupId) : false;
+        });
+
+        ipcMain.handle('unlock-encryption', (event, passphrase) => {
+            return this.runEncryptionAction('解锁备份', backupManager => backupManager.unlockEncryption(passphrase));
+        });
+
+        ipcMain.handle('lock-encryption', () => {
+            return this.runEncryptionAction('锁定备份', backupManager => backupManager.lockEncryption());
+        });
+
+        ipcMain.handle('enable-encryption', (event, passphrase) => {
+            return this.runEncryptionAction('启用加密', backupManager => backupManager.enableEncryption(passphrase));
+        });
+
+        ipcMain.handle('change-passphrase', (event, oldPassphrase, newPassphrase) => {
+            return this.runEncryptionAction('更换密码', backupManager => backupManager.changePassphrase(oldPassphrase, newPassphrase));
+        });
+
         ipcMain.handle('delete-backup', (event, backupId) => {
-            if (this.backupManager) {
-                return this.backupManager.deleteBackup(backupId);
+            const backupManager = this.getBackupManager();
+            if (backupManager) {
+                return backupManager.deleteBackup(backupId);
             }
             return false;
         });
@@ -410,19 +1099,27 @@ class GameSaveManager {
             this.mainWindow.close();
         });
 
-        ipcMain.handle('manual-backup', async () => {
-            if (this.saveMonitor && this.saveMonitor.isRunning()) {
-                const result = await this.saveMonitor.forceBackup();
+        ipcMain.handle('manual-backup', async (event, details) => {
+            const runtime = this.runtimes.get(this.configManager.getActiveProfileId());
+            if (runtime && runtime.saveMonitor && runtime.saveMonitor.isRunning()) {
+                const result = await runtime.saveMonitor.forceBackup(details);
                 return result;
             }
             return false;
         });
 
         ipcMain.handle('take-screenshot', async (event, backupId) => {
-            return await this.takeScreenshot(backupId);
+            const backupManager = this.getBackupManager();
+            return backupManager ? await this.takeScreenshot(backupId, backupManager.backupPath) : null;
         });
 
         ipcMain.handle('get-screenshot-data', async (event, screenshotPath) => {
+            // 截图文件本身不加密，加密的备份仓库未解锁时不显示
+            const backupManager = this.getBackupManager();
+            const status = backupManager ? backupManager.getEncryptionStatus() : null;
+            if (status && status.enabled && !status.unlocked) {
+                return null;
+            }
             return await this.getScreenshotAsBase64(screenshotPath);
         });
 
@@ -514,23 +1211,18 @@ app.whenReady().then(async () => {
         });
     }
     
-    // 检查自启动监控设置
+    // 启动定期完整性校验
+    gameManager.startScrubTimer();
+
+    // 检查自启动监控设置，启动上次正在监控的所有配置档案
     const config = gameManager.configManager.getConfig();
     const shouldAutoStart = config.autoStartMonitoring || config.autoStart;
     
-    if (shouldAutoStart && config.saveFilePath && config.backupPath) {
-        gameManager.backupManager = new BackupManager(config.backupPath);
-        
-        if (config.maxBackups) {
-            gameManager.backupManager.setMaxBackups(config.maxBackups);
-        }
-        
-        gameManager.saveMonitor = new SaveMonitor(config.saveFilePath, gameManager.backupManager);
-        gameManager.setupMonitorEvents();
-        gameManager.saveMonitor.start();
-        
-        if (gameManager.tray) {
-            gameManager.updateTrayMenu();
+    if (shouldAutoStart) {
+        for (const profile of gameManager.configManager.getProfiles()) {
+            if (profile.monitoringEnabled && profile.saveFilePath && profile.backupPath) {
+                await gameManager.startMonitoring(profile.id);
+            }
         }
     }
 
@@ -541,6 +1233,16 @@ app.whenReady().then(async () => {
     });
 });
 
+// 退出前写入内存中尚未保存的备份元数据
+app.on('before-quit', () => {
+    gameManager.scheduler.cancelAll();
+    for (const runtime of gameManager.runtimes.values()) {
+        if (runtime.backupManager) {
+            runtime.backupManager.flushMetadata();
+        }
+    }
+});
+
 app.on('window-all-closed', () => {
     if (process.platform !== 'darwin' && gameManager.isQuitting) {
         app.quit();
@@ -1,10 +1,18 @@
 const { ipcRenderer } = require('electron');
 
+// 备份历史每页显示的备份数量
+const BACKUP_PAGE_SIZE = 50;
+
 class GameSaveApp {
     constructor() {
         this.config = {};
-        this.isMonitoring = false;
-        this.backups = [];
+        this.profiles = []; // 配置档案及各自的监控状态
+        this.isMonitoring = false; // 当前配置档案是否在监控
+        this.backups = []; // 当前页的备份
+        this.backupTotal = 0; // 符合筛选条件的备份总数
+        this.backupPage = 0;
+        this.selectedBackups = new Set();
+        this.collapsedBranches = new Set(JSON.parse(localStorage.getItem('collapsedBranches') || '[]'));
         this.init();
         this.setupScreenshotHandlers();
     }
@@ -14,6 +22,7 @@ class GameSaveApp {
         this.setupNavigation();
         this.setupTitleBar();
         await this.loadConfig();
+        await this.refreshProfiles();
         await this.refreshBackups(); // 初始化时加载备份数据
         await this.checkFirstRun();
         this.updateUI();
@@ -25,10 +34,27 @@ class GameSaveApp {
     setupEventListeners() {
         // 设置页面事件
         document.getElementById('select-save-file').addEventListener('click', () => this.selectSaveFile());
+        document.getElementById('select-save-folder').addEventListener('click', () => this.selectBackupFolder('save-file-input'));
         document.getElementById('select-backup-folder').addEventListener('click', () => this.selectBackupFolder());
+        document.getElementById('preview-file-filters').addEventListener('click', () => this.previewFileFilters());
         document.getElementById('save-settings').addEventListener('click', () => this.saveSettings());
         document.getElementById('reset-settings').addEventListener('click', () => this.resetSettings());
 
+        // 配置档案事件
+        document.querySelectorAll('.profile-select').forEach(select => {
+            select.addEventListener('change', () => this.switchProfile(select.value));
+        });
+        document.getElementById('create-profile').addEventListener('click', () => this.createProfile());
+        document.getElementById('rename-profile').addEventListener('click', () => this.renameProfile());
+        document.getElementById('delete-profile').addEventListener('click', () => this.deleteProfile());
+        document.getElementById('profile-cancel').addEventListener('click', () => this.hideProfileModal());
+        document.getElementById('profile-ok').addEventListener('click', () => this.profileCallback && this.profileCallback(document.getElementById('profile-name-input').value.trim()));
+        document.getElementById('profile-name-input').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && this.profileCallback) {
+                this.profileCallback(event.target.value.trim());
+            }
+        });
+
         // 仪表盘事件
         document.getElementById('start-monitoring').addEventListener('click', () => this.startMonitoring());
         document.getElementById('stop-monitoring').addEventListener('click', () => this.stopMonitoring());
@@ -36,12 +62,50 @@ class GameSaveApp {
 
         // 备份历史事件
         document.getElementById('refresh-backups').addEventListener('click', () => this.refreshBackups());
+        document.getElementById('verify-backups').addEventListener('click', () => this.verifyBackups());
+        document.getElementById('check-consistency').addEventListener('click', () => this.checkConsistency());
+        document.getElementById('consistency-close').addEventListener('click', () => this.hideConsistencyModal());
+        document.getElementById('consistency-repair').addEventListener('click', () => this.repairConsistency());
+        document.getElementById('rebuild-index').addEventListener('click', () => this.rebuildIndex());
+        document.getElementById('export-backups').addEventListener('click', () => this.exportSelectedBackups());
+        document.getElementById('import-bundle').addEventListener('click', () => this.importBundle());
+        document.getElementById('compare-backups').addEventListener('click', () => this.compareSelectedBackups());
+        document.getElementById('undo-restore').addEventListener('click', () => this.undoLastRestore());
+        for (const id of ['filter-game', 'filter-tag', 'filter-from', 'filter-to', 'filter-min-size', 'filter-max-size', 'filter-sort', 'filter-screenshot', 'filter-pinned']) {
+            document.getElementById(id).addEventListener('change', () => {
+                this.backupPage = 0;
+                this.refreshBackups();
+            });
+        }
+        // 输入时稍等片刻再查询，避免每个字符都请求一次
+        document.getElementById('filter-search').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.backupPage = 0;
+                this.refreshBackups();
+            }, 250);
+        });
+        document.getElementById('filter-reset').addEventListener('click', () => this.resetBackupFilters());
+        document.getElementById('page-prev').addEventListener('click', () => this.changeBackupPage(-1));
+        document.getElementById('page-next').addEventListener('click', () => this.changeBackupPage(1));
+        document.getElementById('branch-cancel').addEventListener('click', () => this.hideBranchModal());
+        document.getElementById('branch-ok').addEventListener('click', () => this.branchCallback && this.branchCallback(document.getElementById('branch-name-input').value.trim()));
+        document.getElementById('branch-name-input').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && this.branchCallback) {
+                this.branchCallback(event.target.value.trim());
+            }
+        });
+        document.getElementById('diff-close').addEventListener('click', () => this.hideDiffModal());
+        document.getElementById('restore-as-cancel').addEventListener('click', () => this.hideRestoreAsModal());
+        document.getElementById('restore-as-copy').addEventListener('click', () => this.submitRestoreAs('copy'));
+        document.getElementById('restore-as-choose').addEventListener('click', () => this.submitRestoreAs('choose'));
         
         // 托盘相关事件
         document.getElementById('minimize-to-tray-btn').addEventListener('click', () => this.minimizeToTray());
 
         // 首次运行事件
         document.getElementById('first-run-select-save').addEventListener('click', () => this.selectSaveFile('first-run-save-file'));
+        document.getElementById('first-run-select-save-folder').addEventListener('click', () => this.selectBackupFolder('first-run-save-file'));
         document.getElementById('first-run-select-backup').addEventListener('click', () => this.selectBackupFolder('first-run-backup-folder'));
         document.getElementById('first-run-complete').addEventListener('click', () => this.completeFirstRun());
 
@@ -49,26 +113,89 @@ class GameSaveApp {
         document.getElementById('confirm-cancel').addEventListener('click', () => this.hideConfirm());
         document.getElementById('confirm-ok').addEventListener('click', () => this.confirmCallback && this.confirmCallback());
 
-        // IPC 事件监听
-        ipcRenderer.on('backup-created', (event, backupInfo) => {
+        // 备份详细信息对话框事件
+        document.getElementById('details-cancel').addEventListener('click', () => this.hideDetailsModal());
+        document.getElementById('details-ok').addEventListener('click', () => this.detailsCallback && this.detailsCallback(this.getDetailsInput()));
+
+        // 备份加密事件
+        document.getElementById('enable-encryption').addEventListener('click', () => this.enableEncryption());
+        document.getElementById('unlock-encryption').addEventListener('click', () => this.unlockEncryption());
+        document.getElementById('lock-encryption').addEventListener('click', () => this.lockEncryption());
+        document.getElementById('change-passphrase').addEventListener('click', () => this.changePassphrase());
+        document.getElementById('passphrase-cancel').addEventListener('click', () => this.hidePassphraseModal());
+        document.getElementById('passphrase-ok').addEventListener('click', () => this.submitPassphrase());
+        document.getElementById('passphrase-input').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.submitPassphrase();
+            }
+        });
+
+        // 备份目标事件
+        document.getElementById('add-destination').addEventListener('click', () => this.showDestinationModal());
+        document.getElementById('destination-type').addEventListener('change', () => this.updateDestinationFields());
+        document.getElementById('destination-cancel').addEventListener('click', () => this.hideDestinationModal());
+        document.getElementById('destination-test').addEventListener('click', () => this.testDestination());
+        document.getElementById('destination-ok').addEventListener('click', () => this.saveDestination());
+
+        // IPC 事件监听；各配置档案的监控同时运行，事件附带所属配置档案 ID
+        ipcRenderer.on('backup-created', (event, backupInfo, profileId) => {
             console.log('渲染进程: 收到备份创建事件', backupInfo);
-            this.onBackupCreated(backupInfo);
+            this.onBackupCreated(backupInfo, profileId);
         });
 
-        ipcRenderer.on('file-change-detected', (event, data) => {
+        ipcRenderer.on('file-change-detected', (event, data, profileId) => {
             console.log('渲染进程: 收到文件变化检测事件', data);
-            this.addLogItem(`检测到文件变化: ${data.path}`, 'info');
+            this.addLogItem(this.formatProfileMessage(profileId, `检测到文件变化: ${data.path}`), 'info');
         });
 
-        ipcRenderer.on('monitoring-started', (event, data) => {
+        ipcRenderer.on('monitoring-started', (event, data, profileId) => {
             console.log('渲染进程: 收到监控启动事件', data);
-            this.addLogItem(`开始监控: ${data.path}`, 'success');
+            this.addLogItem(this.formatProfileMessage(profileId, `开始监控: ${data.path}`), 'success');
+            this.refreshProfiles();
+        });
+
+        ipcRenderer.on('game-started', (event, data, profileId) => {
+            this.addLogItem(this.formatProfileMessage(profileId, `游戏${data.initial ? '正在运行' : '已启动'}: ${data.name}`), 'info');
+        });
+
+        ipcRenderer.on('game-exited', (event, data, profileId) => {
+            this.addLogItem(this.formatProfileMessage(profileId, `游戏已退出，创建备份: ${data.name}`), 'info');
+        });
+
+        ipcRenderer.on('schedule-changed', () => {
+            this.updateUpcomingRuns();
+        });
+
+        ipcRenderer.on('monitoring-stopped', () => {
+            this.refreshProfiles();
+        });
+
+        ipcRenderer.on('profile-changed', () => {
+            this.onProfileChanged();
+        });
+
+        ipcRenderer.on('verify-completed', (event, summary, profileId) => {
+            console.log('渲染进程: 收到校验完成事件', summary);
+            this.onVerifyCompleted(summary, profileId);
+        });
+
+        ipcRenderer.on('destination-status', (event, status, profileId) => {
+            if (profileId === this.config.activeProfileId) {
+                this.renderDestinations(status);
+            }
+        });
+
+        ipcRenderer.on('backup-operation', (event, operation) => {
+            if (operation.profileId === this.config.activeProfileId) {
+                this.updateOperationStatus(operation);
+            }
         });
 
-        ipcRenderer.on('error', (event, errorMessage) => {
+        ipcRenderer.on('error', (event, errorMessage, profileId) => {
             console.error('渲染进程: 收到错误事件', errorMessage);
-            this.showToast(errorMessage, 'error');
-            this.addLogItem(errorMessage, 'error');
+            const message = this.formatProfileMessage(profileId, errorMessage);
+            this.showToast(message, 'error');
+            this.addLogItem(message, 'error');
         });
     }
 
@@ -92,6 +219,13 @@ class GameSaveApp {
                 if (targetPage === 'backups') {
                     this.refreshBackups();
                 }
+
+                // 切换到设置页面时显示存储占用和加密状态
+                if (targetPage === 'settings') {
+                    this.updateQuotaUsage();
+                    this.updateEncryptionStatus();
+                    this.updateDestinationStatus();
+                }
             });
         });
     }
@@ -120,11 +254,32 @@ class GameSaveApp {
         
         document.getElementById('save-file-input').value = this.config.saveFilePath || '';
         document.getElementById('backup-folder-input').value = this.config.backupPath || '';
+        document.getElementById('file-filters').value = (this.config.fileFilters || []).join('\n');
+        document.getElementById('file-filter-preview').style.display = 'none';
+        document.getElementById('game-process-name').value = this.config.gameProcessName || '';
+        document.getElementById('watch-only-while-game-running').checked = this.config.watchOnlyWhileGameRunning || false;
+        document.getElementById('backup-on-game-launch').checked = this.config.backupOnGameLaunch || false;
+        document.getElementById('backup-on-change').checked = this.config.backupOnChange !== false;
+        document.getElementById('backup-schedule').value = this.config.backupSchedule || '';
+        document.getElementById('schedule-only-if-changed').checked = this.config.scheduleOnlyIfChanged !== false;
         document.getElementById('check-interval').value = this.config.checkInterval / 1000 || 5;
         document.getElementById('max-backups').value = this.config.maxBackups || 50;
+        document.getElementById('storage-quota').value = this.config.storageQuotaMB || 0;
+        document.getElementById('scrub-interval').value = this.config.scrubIntervalHours ?? 24;
+        const retention = this.config.retentionPolicy || {};
+        document.getElementById('retention-enabled').checked = retention.enabled || false;
+        document.getElementById('retention-keep-all-hours').value = retention.keepAllHours ?? 1;
+        document.getElementById('retention-hourly-hours').value = retention.hourlyHours ?? 24;
+        document.getElementById('retention-daily-days').value = retention.dailyDays ?? 30;
+        document.getElementById('retention-weekly-weeks').value = retention.weeklyWeeks ?? 0;
+        document.getElementById('compression').value = this.config.compression || 'none';
+        document.getElementById('compression-level').value = this.config.compressionLevel || 6;
+        document.getElementById('delta-storage').checked = this.config.deltaStorage || false;
+        document.getElementById('keyframe-interval').value = this.config.keyframeInterval || 10;
         document.getElementById('auto-start').checked = this.config.autoStart || false;
         document.getElementById('auto-start-monitoring').checked = this.config.autoStartMonitoring || false;
         document.getElementById('minimize-to-tray').checked = this.config.minimizeToTray === false;
+        document.getElementById('restore-remove-extraneous').checked = this.config.restoreRemoveExtraneous || false;
         
         console.log('配置UI已更新：');
         console.log('- autoStart:', this.config.autoStart);
@@ -144,6 +299,151 @@ class GameSaveApp {
         }
     }
 
+    // 读取配置档案列表和监控状态，更新各处的配置档案切换框
+    async refreshProfiles() {
+        try {
+            const result = await ipcRenderer.invoke('get-profiles');
+            this.profiles = result.profiles;
+            const activeProfile = this.profiles.find(profile => profile.id === result.activeProfileId);
+            this.isMonitoring = Boolean(activeProfile && activeProfile.monitoring);
+
+            const options = this.profiles.map(profile => `
+                <option value="${profile.id}">${this.escapeHtml(profile.name)}${profile.monitoring ? '（监控中）' : ''}</option>
+            `).join('');
+            document.querySelectorAll('.profile-select').forEach(select => {
+                select.innerHTML = options;
+                select.value = result.activeProfileId;
+            });
+            document.getElementById('delete-profile').disabled = this.profiles.length <= 1;
+            this.updateUI();
+        } catch (error) {
+            console.error('读取配置档案失败:', error);
+        }
+    }
+
+    getActiveProfile() {
+        return this.profiles.find(profile => profile.id === this.config.activeProfileId) || null;
+    }
+
+    // 有多个配置档案时，在消息前标明所属的配置档案
+    formatProfileMessage(profileId, message) {
+        const profile = this.profiles.find(item => item.id === profileId);
+        return this.profiles.length > 1 && profile ? `[${profile.name}] ${message}` : message;
+    }
+
+    async switchProfile(profileId) {
+        if (profileId === this.config.activeProfileId) {
+            return;
+        }
+        try {
+            if (!await ipcRenderer.invoke('switch-profile', profileId)) {
+                this.showToast('切换配置档案失败', 'error');
+                this.refreshProfiles();
+            }
+        } catch (error) {
+            this.showToast('切换配置档案失败: ' + error.message, 'error');
+        }
+    }
+
+    // 切换配置档案后重新加载该档案的设置、备份和状态；筛选条件属于上一个档案，一并清除
+    async onProfileChanged() {
+        this.selectedBackups.clear();
+        document.getElementById('operation-status').style.display = 'none';
+        await this.loadConfig();
+        await this.refreshProfiles();
+        this.resetBackupFilters();
+        this.updateQuotaUsage();
+        this.updateEncryptionStatus();
+        this.updateDestinationStatus();
+
+        const profile = this.getActiveProfile();
+        if (profile) {
+            this.addLogItem(`切换到配置档案: ${profile.name}`, 'info');
+        }
+    }
+
+    showProfileModal(title, name, callback) {
+        document.getElementById('profile-modal-title').textContent = title;
+        document.getElementById('profile-name-input').value = name;
+        document.getElementById('profile-modal').classList.add('show');
+        document.getElementById('profile-name-input').focus();
+        this.profileCallback = callback;
+    }
+
+    hideProfileModal() {
+        document.getElementById('profile-modal').classList.remove('show');
+        this.profileCallback = null;
+    }
+
+    createProfile() {
+        this.showProfileModal('新建配置档案', '', async (name) => {
+            if (!name) {
+                this.showToast('请输入配置档案名称', 'warning');
+                return;
+            }
+            this.hideProfileModal();
+
+            try {
+                const result = await ipcRenderer.invoke('create-profile', name);
+                if (result.success) {
+                    this.showToast(`已新建配置档案“${name}”，请设置存档路径和备份目录`, 'success');
+                    document.querySelector('.nav-item[data-page="settings"]').click();
+                } else {
+                    this.showToast('新建配置档案失败: ' + result.error, 'error');
+                }
+            } catch (error) {
+                this.showToast('新建配置档案失败: ' + error.message, 'error');
+            }
+        });
+    }
+
+    renameProfile() {
+        const profile = this.getActiveProfile();
+        if (!profile) {
+            return;
+        }
+
+        this.showProfileModal('重命名配置档案', profile.name, async (name) => {
+            if (!name) {
+                this.showToast('请输入配置档案名称', 'warning');
+                return;
+            }
+            this.hideProfileModal();
+
+            try {
+                if (await ipcRenderer.invoke('rename-profile', profile.id, name)) {
+                    this.showToast('配置档案已重命名', 'success');
+                    await this.loadConfig();
+                    await this.refreshProfiles();
+                } else {
+                    this.showToast('重命名配置档案失败', 'error');
+                }
+            } catch (error) {
+                this.showToast('重命名配置档案失败: ' + error.message, 'error');
+            }
+        });
+    }
+
+    deleteProfile() {
+        const profile = this.getActiveProfile();
+        if (!profile || this.profiles.length <= 1) {
+            return;
+        }
+
+        this.showConfirm('删除配置档案', `确定要删除配置档案“${profile.name}”吗？将停止监控该存档，备份目录中的文件会保留。`, async () => {
+            this.hideConfirm();
+            try {
+                if (await ipcRenderer.invoke('delete-profile', profile.id)) {
+                    this.showToast('配置档案已删除', 'success');
+                } else {
+                    this.showToast('删除配置档案失败', 'error');
+                }
+            } catch (error) {
+                this.showToast('删除配置档案失败: ' + error.message, 'error');
+            }
+        });
+    }
+
     async checkFirstRun() {
         if (this.config.firstRun) {
             this.showFirstRunModal();
@@ -165,7 +465,7 @@ class GameSaveApp {
         const backupFolder = document.getElementById('first-run-backup-folder').value;
 
         if (!saveFile || !backupFolder) {
-            this.showToast('请选择存档文件和备份目录', 'warning');
+            this.showToast('请选择存档路径和备份目录', 'warning');
             return;
         }
 
@@ -180,7 +480,7 @@ class GameSaveApp {
         if (success) {
             this.config = newConfig;
             await this.updateConfigUI();
-            this.updateUI();
+            await this.refreshProfiles();
             this.hideFirstRunModal();
             this.showToast('配置保存成功！', 'success');
             this.addLogItem('初始配置完成');
@@ -213,16 +513,52 @@ class GameSaveApp {
 
     async saveSettings() {
         const autoStartMonitoring = document.getElementById('auto-start-monitoring').checked;
+        const backupPath = document.getElementById('backup-folder-input').value;
+        const conflict = this.profiles.find(profile => profile.id !== this.config.activeProfileId && backupPath && profile.backupPath === backupPath);
+        if (conflict) {
+            this.showToast(`备份目录已被配置档案“${conflict.name}”使用，请为每个配置档案选择不同的备份目录`, 'warning');
+            return;
+        }
+
+        const backupSchedule = document.getElementById('backup-schedule').value.trim();
+        if (backupSchedule) {
+            const preview = await ipcRenderer.invoke('preview-schedule', backupSchedule);
+            if (!preview.success) {
+                this.showToast(`计划备份设置无效: ${preview.error}`, 'warning');
+                return;
+            }
+        }
         
         const newConfig = {
             ...this.config,
             saveFilePath: document.getElementById('save-file-input').value,
-            backupPath: document.getElementById('backup-folder-input').value,
+            backupPath: backupPath,
+            fileFilters: this.getFileFilterRules(),
+            gameProcessName: document.getElementById('game-process-name').value.trim(),
+            watchOnlyWhileGameRunning: document.getElementById('watch-only-while-game-running').checked,
+            backupOnGameLaunch: document.getElementById('backup-on-game-launch').checked,
+            backupOnChange: document.getElementById('backup-on-change').checked,
+            backupSchedule: backupSchedule,
+            scheduleOnlyIfChanged: document.getElementById('schedule-only-if-changed').checked,
             checkInterval: parseInt(document.getElementById('check-interval').value) * 1000,
             maxBackups: parseInt(document.getElementById('max-backups').value),
+            storageQuotaMB: parseInt(document.getElementById('storage-quota').value) || 0,
+            scrubIntervalHours: parseInt(document.getElementById('scrub-interval').value) || 0,
+            retentionPolicy: {
+                enabled: document.getElementById('retention-enabled').checked,
+                keepAllHours: parseInt(document.getElementById('retention-keep-all-hours').value) || 0,
+                hourlyHours: parseInt(document.getElementById('retention-hourly-hours').value) || 0,
+                dailyDays: parseInt(document.getElementById('retention-daily-days').value) || 0,
+                weeklyWeeks: parseInt(document.getElementById('retention-weekly-weeks').value) || 0
+            },
+            compression: document.getElementById('compression').value,
+            compressionLevel: parseInt(document.getElementById('compression-level').value),
+            deltaStorage: document.getElementById('delta-storage').checked,
+            keyframeInterval: parseInt(document.getElementById('keyframe-interval').value) || 10,
             autoStart: document.getElementById('auto-start').checked,
             autoStartMonitoring: autoStartMonitoring,
-            minimizeToTray: !document.getElementById('minimize-to-tray').checked
+            minimizeToTray: !document.getElementById('minimize-to-tray').checked,
+            restoreRemoveExtraneous: document.getElementById('restore-remove-extraneous').checked
         };
 
         // 设置系统自启动
@@ -237,9 +573,10 @@ class GameSaveApp {
         if (success) {
             this.config = newConfig;
             await this.updateConfigUI();
-            this.updateUI();
+            await this.refreshProfiles();
             this.showToast('设置保存成功！', 'success');
             this.addLogItem('设置已保存');
+            this.updateQuotaUsage();
             
             // 检查是否有关键设置变更需要重启
             const needsRestart = this.checkIfRestartNeeded(newConfig);
@@ -258,6 +595,43 @@ class GameSaveApp {
         }
     }
 
+    getFileFilterRules() {
+        return document.getElementById('file-filters').value
+            .split('\n')
+            .map(rule => rule.trim())
+            .filter(Boolean);
+    }
+
+    // 按输入框中（尚未保存）的存档路径和规则列出会被备份和被排除的文件
+    async previewFileFilters() {
+        const preview = document.getElementById('file-filter-preview');
+        const savePath = document.getElementById('save-file-input').value;
+        try {
+            const result = await ipcRenderer.invoke('preview-file-filter', savePath, this.getFileFilterRules());
+            if (!result.success) {
+                this.showToast('预览失败: ' + result.error, 'warning');
+                preview.style.display = 'none';
+                return;
+            }
+
+            // 文件很多时只列出前面一部分
+            const limit = 200;
+            const items = [
+                ...result.included.slice(0, limit).map(file => `<div class="file-filter-item">${this.escapeHtml(file)}</div>`),
+                ...result.excluded.slice(0, limit).map(file => `<div class="file-filter-item excluded">${this.escapeHtml(file)}</div>`)
+            ];
+            const hidden = Math.max(0, result.included.length - limit) + Math.max(0, result.excluded.length - limit);
+            preview.innerHTML = `
+                <div class="file-filter-summary">将备份 ${result.included.length} 个文件，排除 ${result.excluded.length} 个文件</div>
+                ${items.join('')}
+                ${hidden > 0 ? `<div class="file-filter-summary">另有 ${hidden} 个文件未列出</div>` : ''}
+            `;
+            preview.style.display = 'block';
+        } catch (error) {
+            this.showToast('预览失败: ' + error.message, 'error');
+        }
+    }
+
     resetSettings() {
         this.showConfirm('重置设置', '确定要重置所有设置到默认值吗？', async () => {
             await this.updateConfigUI();
@@ -275,13 +649,12 @@ class GameSaveApp {
         }
 
         try {
-            console.log('发送监控启动请求', this.config);
-            const success = await ipcRenderer.invoke('start-monitoring', this.config);
+            console.log('发送监控启动请求', this.config.activeProfileId);
+            const success = await ipcRenderer.invoke('start-monitoring', this.config.activeProfileId);
             console.log('监控启动响应:', success);
             
             if (success) {
-                this.isMonitoring = true;
-                this.updateUI();
+                await this.refreshProfiles();
                 this.showToast('开始监控存档文件', 'success');
                 this.addLogItem('监控请求已发送', 'success');
             } else {
@@ -297,10 +670,9 @@ class GameSaveApp {
 
     async stopMonitoring() {
         try {
-            const success = await ipcRenderer.invoke('stop-monitoring');
+            const success = await ipcRenderer.invoke('stop-monitoring', this.config.activeProfileId);
             if (success) {
-                this.isMonitoring = false;
-                this.updateUI();
+                await this.refreshProfiles();
                 this.showToast('已停止监控', 'info');
                 this.addLogItem('已停止监控', 'warning');
             }
@@ -315,70 +687,332 @@ class GameSaveApp {
             return;
         }
 
-        try {
-            console.log('发送手动备份请求');
-            this.showToast('正在创建手动备份...', 'info');
-            this.addLogItem('手动备份请求已发送', 'info');
-            
-            const success = await ipcRenderer.invoke('manual-backup');
-            if (success) {
-                this.showToast('手动备份完成', 'success');
-                this.addLogItem('手动备份完成', 'success');
+        // 先询问备份名称，再触发备份
+        this.showDetailsModal('手动备份', { label: `手动备份 ${new Date().toLocaleString()}` }, async (details) => {
+            this.hideDetailsModal();
+
+            try {
+                console.log('发送手动备份请求', details);
+                this.showToast('正在创建手动备份...', 'info');
+                this.addLogItem('手动备份请求已发送', 'info');
                 
-                // 延迟刷新以确保备份数据已保存
-                setTimeout(() => {
-                    this.refreshBackups().then(() => {
-                        this.updateUI();
-                        console.log('手动备份后UI已更新');
-                    });
-                }, 500);
-            } else {
-                this.showToast('手动备份失败，监控未启动', 'error');
-                this.addLogItem('手动备份失败', 'error');
+                const success = await ipcRenderer.invoke('manual-backup', details);
+                if (success) {
+                    this.showToast('手动备份完成', 'success');
+                    this.addLogItem('手动备份完成', 'success');
+                    
+                    // 延迟刷新以确保备份数据已保存
+                    setTimeout(() => {
+                        this.refreshBackups().then(() => {
+                            this.updateUI();
+                            console.log('手动备份后UI已更新');
+                        });
+                    }, 500);
+                } else {
+                    this.showToast('手动备份失败，监控未启动', 'error');
+                    this.addLogItem('手动备份失败', 'error');
+                }
+            } catch (error) {
+                console.error('手动备份异常:', error);
+                this.showToast('手动备份失败: ' + error.message, 'error');
+                this.addLogItem('手动备份异常: ' + error.message, 'error');
             }
-        } catch (error) {
-            console.error('手动备份异常:', error);
-            this.showToast('手动备份失败: ' + error.message, 'error');
-            this.addLogItem('手动备份异常: ' + error.message, 'error');
-        }
+        });
     }
 
     async refreshBackups() {
         try {
-            this.backups = await ipcRenderer.invoke('get-backups');
-            console.log('刷新备份数据，获得', this.backups.length, '个备份');
+            // 边输入边搜索时，较早的查询可能比后来的晚返回，只使用最后一次查询的结果
+            const requestId = this.backupRequestId = (this.backupRequestId || 0) + 1;
+            let result = await ipcRenderer.invoke('get-backups', this.getBackupQuery());
+            // 删除备份后当前页可能已超出范围
+            if (result.items.length === 0 && result.total > 0) {
+                this.backupPage = Math.ceil(result.total / BACKUP_PAGE_SIZE) - 1;
+                result = await ipcRenderer.invoke('get-backups', this.getBackupQuery());
+            }
+            if (requestId !== this.backupRequestId) {
+                return;
+            }
+            this.backups = result.items;
+            this.backupTotal = result.total;
+            console.log('刷新备份数据，获得', this.backups.length, '/', this.backupTotal, '个备份');
+            this.updateBackupFilters();
             this.updateBackupList();
             // 更新仪表盘的备份统计信息
             this.updateBackupStats();
+            this.updateUndoRestoreButton();
         } catch (error) {
             console.error('刷新备份列表失败:', error);
             this.showToast('刷新备份列表失败', 'error');
         }
     }
 
+    // 根据筛选栏生成查询条件；日期按本地时间的整天计算，大小以 MB 输入
+    getBackupQuery() {
+        const value = id => document.getElementById(id).value;
+        const [sortBy, order] = value('filter-sort').split('-');
+        const megabytes = id => value(id) === '' ? undefined : Math.round(parseFloat(value(id)) * 1024 * 1024);
+
+        return {
+            search: value('filter-search').trim() || undefined,
+            game: value('filter-game') || undefined,
+            tag: value('filter-tag') || undefined,
+            from: value('filter-from') ? new Date(`${value('filter-from')}T00:00:00`).toISOString() : undefined,
+            to: value('filter-to') ? new Date(`${value('filter-to')}T23:59:59.999`).toISOString() : undefined,
+            minSize: megabytes('filter-min-size'),
+            maxSize: megabytes('filter-max-size'),
+            hasScreenshot: document.getElementById('filter-screenshot').checked,
+            pinned: document.getElementById('filter-pinned').checked,
+            sortBy,
+            order,
+            offset: this.backupPage * BACKUP_PAGE_SIZE,
+            limit: BACKUP_PAGE_SIZE
+        };
+    }
+
+    hasBackupFilters() {
+        return ['filter-search', 'filter-game', 'filter-tag', 'filter-from', 'filter-to', 'filter-min-size', 'filter-max-size']
+            .some(id => document.getElementById(id).value !== '')
+            || document.getElementById('filter-screenshot').checked
+            || document.getElementById('filter-pinned').checked;
+    }
+
+    resetBackupFilters() {
+        for (const id of ['filter-search', 'filter-game', 'filter-tag', 'filter-from', 'filter-to', 'filter-min-size', 'filter-max-size']) {
+            document.getElementById(id).value = '';
+        }
+        document.getElementById('filter-screenshot').checked = false;
+        document.getElementById('filter-pinned').checked = false;
+        document.getElementById('filter-sort').value = 'timestamp-desc';
+        this.backupPage = 0;
+        this.refreshBackups();
+    }
+
+    changeBackupPage(delta) {
+        const pageCount = Math.ceil(this.backupTotal / BACKUP_PAGE_SIZE);
+        const page = Math.min(Math.max(this.backupPage + delta, 0), pageCount - 1);
+        if (page !== this.backupPage) {
+            this.backupPage = page;
+            this.refreshBackups();
+        }
+    }
+
+    // 更新游戏和标签下拉列表，保留当前选择
+    async updateBackupFilters() {
+        try {
+            const filters = await ipcRenderer.invoke('get-backup-filters');
+            const fill = (id, allLabel, options) => {
+                const select = document.getElementById(id);
+                const current = select.value;
+                select.innerHTML = `<option value="">${allLabel}</option>` + options.map(option =>
+                    `<option value="${this.escapeHtml(option.value)}" title="${this.escapeHtml(option.title || '')}">${this.escapeHtml(option.label)} (${option.count})</option>`
+                ).join('');
+                select.value = options.some(option => option.value === current) ? current : '';
+            };
+
+            fill('filter-game', '全部游戏', filters.games.map(game => ({ value: game.path, label: game.name, title: game.path, count: game.count })));
+            fill('filter-tag', '全部标签', filters.tags.map(tag => ({ value: tag.tag, label: tag.tag, count: tag.count })));
+        } catch (error) {
+            console.error('获取备份筛选条件失败:', error);
+        }
+    }
+
+    updateBackupPager() {
+        const pageCount = Math.ceil(this.backupTotal / BACKUP_PAGE_SIZE);
+        document.getElementById('backup-pager').style.display = pageCount > 1 ? 'flex' : 'none';
+        document.getElementById('page-info').textContent = `第 ${this.backupPage + 1} / ${pageCount} 页，共 ${this.backupTotal} 个备份`;
+        document.getElementById('page-prev').disabled = this.backupPage === 0;
+        document.getElementById('page-next').disabled = this.backupPage >= pageCount - 1;
+    }
+
     async updateBackupList() {
         const container = document.getElementById('backup-list');
+        this.updateBackupPager();
         
         if (this.backups.length === 0) {
-            container.innerHTML = '<div class="backup-item"><div class="backup-info"><p>暂无备份记录</p></div></div>';
+            const message = this.hasBackupFilters() ? '没有符合筛选条件的备份' : '暂无备份记录';
+            container.innerHTML = `<div class="backup-item"><div class="backup-info"><p>${message}</p></div></div>`;
+            return;
+        }
+
+        if (document.getElementById('filter-sort').value !== 'timestamp-desc') {
+            // 按时间以外的方式排序时，时间线没有意义，直接列出
+            container.innerHTML = this.backups.map(backup => this.renderBackupItem(backup)).join('');
+        } else {
+            // 固定的备份单独显示在最前面，当前页的备份按时间线分支显示
+            const pinnedBackups = this.backups.filter(backup => backup.pinned);
+            const branches = this.buildBranches(this.backups);
+
+            // 先显示基本信息
+            container.innerHTML = `
+                ${pinnedBackups.length > 0 ? `
+                    <h3 class="backup-section-title"><i class="fas fa-thumbtack"></i> 已固定 (${pinnedBackups.length})</h3>
+                    ${pinnedBackups.map(backup => this.renderBackupItem(backup)).join('')}
+                    <h3 class="backup-section-title"><i class="fas fa-code-branch"></i> 时间线 (${this.backups.length})</h3>
+                ` : ''}
+                ${branches.map((branch, index) => this.renderBranch(branch, branches.length === 1 ? '主线' : `时间线 ${index + 1}`)).join('')}
+            `;
+        }
+
+        // 异步加载缩略图
+        for (const backup of this.backups) {
+            if (backup.screenshot) {
+                this.loadThumbnail(backup.id, backup.screenshot);
+            }
+        }
+    }
+
+    // 按上级备份把备份组织成分支：每个备份最早的子备份延续当前分支，之后的子备份各自开始新分支。
+    // 旧版本的备份没有上级记录，视为同一存档路径上前一个备份的后续
+    buildBranches(backups) {
+        const sorted = [...backups].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const byId = new Map(sorted.map(backup => [backup.id, backup]));
+        const children = new Map();
+        const roots = [];
+        const previousByPath = new Map();
+
+        for (const backup of sorted) {
+            const parentId = backup.parentId === undefined
+                ? previousByPath.get(backup.originalPath)
+                : backup.parentId;
+            previousByPath.set(backup.originalPath, backup.id);
+
+            if (parentId && byId.has(parentId)) {
+                if (!children.has(parentId)) {
+                    children.set(parentId, []);
+                }
+                children.get(parentId).push(backup);
+            } else {
+                roots.push(backup);
+            }
+        }
+
+        const buildBranch = (start, forkFrom) => {
+            const branch = { id: start.id, name: start.branchName || '', forkFrom, backups: [], branches: [] };
+            for (let backup = start; backup; ) {
+                branch.backups.push(backup);
+                const [next, ...forks] = children.get(backup.id) || [];
+                for (const fork of forks) {
+                    branch.branches.push(buildBranch(fork, backup));
+                }
+                backup = next;
+            }
+            return branch;
+        };
+
+        // 最新的时间线显示在最前面
+        return roots.map(root => buildBranch(root, null)).reverse();
+    }
+
+    // 分支内的备份从新到旧显示，从某个备份分出的分支显示在该备份之前
+    renderBranch(branch, defaultName) {
+        const collapsed = this.collapsedBranches.has(branch.id);
+        const name = branch.name || defaultName;
+        const backupCount = this.countBranchBackups(branch);
+        const items = [...branch.backups].reverse().map(backup => {
+            const forks = branch.branches.filter(child => child.forkFrom === backup).reverse();
+            return forks.map(child => this.renderBranch(child, `分支 ${new Date(child.backups[0].timestamp).toLocaleString()}`)).join('')
+                + this.renderBackupItem(backup);
+        }).join('');
+
+        return `
+            <div class="backup-branch ${branch.forkFrom ? 'child-branch' : ''} ${collapsed ? 'collapsed' : ''}">
+                <div class="backup-branch-header">
+                    <button class="btn btn-outline branch-toggle" onclick="app.toggleBranch('${branch.id}')" title="${collapsed ? '展开' : '折叠'}">
+                        <i class="fas fa-chevron-${collapsed ? 'right' : 'down'}"></i>
+                    </button>
+                    <i class="fas fa-code-branch"></i>
+                    <span class="branch-name">${this.escapeHtml(name)}</span>
+                    <span class="branch-info">${backupCount} 个备份${branch.forkFrom ? `，从 ${new Date(branch.forkFrom.timestamp).toLocaleString()} 的备份分出` : ''}</span>
+                    <button class="btn btn-outline branch-rename" onclick="app.renameBranch('${branch.id}')">
+                        <i class="fas fa-edit"></i>
+                        命名
+                    </button>
+                </div>
+                ${collapsed ? '' : `<div class="backup-branch-body">${items}</div>`}
+            </div>
+        `;
+    }
+
+    countBranchBackups(branch) {
+        return branch.backups.length + branch.branches.reduce((sum, child) => sum + this.countBranchBackups(child), 0);
+    }
+
+    // 折叠状态保存在本地，刷新后保持
+    toggleBranch(branchId) {
+        if (this.collapsedBranches.has(branchId)) {
+            this.collapsedBranches.delete(branchId);
+        } else {
+            this.collapsedBranches.add(branchId);
+        }
+        localStorage.setItem('collapsedBranches', JSON.stringify([...this.collapsedBranches]));
+        this.updateBackupList();
+    }
+
+    renameBranch(branchId) {
+        const backup = this.backups.find(b => b.id === branchId);
+        if (!backup) {
             return;
         }
 
-        // 先显示基本信息
-        container.innerHTML = this.backups.map(backup => `
+        document.getElementById('branch-name-input').value = backup.branchName || '';
+        document.getElementById('branch-modal').classList.add('show');
+        document.getElementById('branch-name-input').focus();
+        this.branchCallback = async (name) => {
+            try {
+                if (await ipcRenderer.invoke('set-branch-name', branchId, name)) {
+                    this.showToast(name ? '分支已命名' : '已清除分支名称', 'success');
+                    this.refreshBackups();
+                } else {
+                    this.showToast('设置分支名称失败', 'error');
+                }
+            } catch (error) {
+                this.showToast('设置分支名称失败: ' + error.message, 'error');
+            }
+            this.hideBranchModal();
+        };
+    }
+
+    hideBranchModal() {
+        document.getElementById('branch-modal').classList.remove('show');
+        this.branchCallback = null;
+    }
+
+    renderBackupItem(backup) {
+        return `
             <div class="backup-item" data-backup-id="${backup.id}">
+                <label class="checkbox-label backup-select" title="选择此备份用于导出或比较">
+                    <input type="checkbox" ${this.selectedBackups.has(backup.id) ? 'checked' : ''} onchange="app.toggleBackupSelection('${backup.id}', this.checked)">
+                    <span class="checkmark"></span>
+                </label>
                 ${backup.screenshot ? `
                     <div class="backup-screenshot">
                         <div class="loading-thumbnail">加载中...</div>
                     </div>
                 ` : ''}
                 <div class="backup-info">
-                    <h4>${backup.originalFileName}</h4>
-                    <p>时间: ${new Date(backup.timestamp).toLocaleString()}</p>
-                    <p>大小: ${this.formatFileSize(backup.size)}</p>
+                    <h4>${backup.pinned ? '<i class="fas fa-thumbtack pinned-icon"></i> ' : ''}${this.escapeHtml(backup.label || backup.originalFileName)}</h4>
+                    ${backup.label ? `<p><i class="fas fa-file"></i> ${this.escapeHtml(backup.originalFileName)}</p>` : ''}
+                    ${backup.tags && backup.tags.length > 0 ? `
+                        <div class="backup-tags">
+                            ${backup.tags.map(tag => `<span class="backup-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    ${backup.note ? `<p class="backup-note">${this.escapeHtml(backup.note)}</p>` : ''}
+                    <p>时间: ${new Date(backup.timestamp).toLocaleString()} ${backup.isHead ? '<span class="head-badge"><i class="fas fa-map-marker-alt"></i> 当前存档</span>' : ''} ${backup.kind === 'pre-restore' ? '<span class="pre-restore-badge"><i class="fas fa-history"></i> 恢复前</span>' : ''} ${backup.encrypted ? '<span class="encrypted-badge"><i class="fas fa-lock"></i> 已加密</span>' : ''} ${this.renderVerifyBadge(backup.verification)}</p>
+                    <p>大小: ${this.formatFileSize(backup.size)}${backup.storedSize !== undefined && backup.storedSize !== backup.size ? ` (存储 ${this.formatFileSize(backup.storedSize)})` : ''}</p>
+                    ${backup.type === 'directory' ? `<p><i class="fas fa-folder"></i> 目录快照，共 ${backup.files.length} 个文件</p>` : ''}
                     ${backup.screenshot ? '<p><i class="fas fa-camera"></i> 包含截图</p>' : ''}
                 </div>
                 <div class="backup-actions">
+                    <button class="btn btn-outline pin-btn ${backup.pinned ? 'active' : ''}" onclick="app.togglePinBackup('${backup.id}', ${!backup.pinned})" title="${backup.pinned ? '取消固定' : '固定此备份，使其不会被自动清理'}">
+                        <i class="fas fa-thumbtack"></i>
+                        ${backup.pinned ? '取消固定' : '固定'}
+                    </button>
+                    <button class="btn btn-outline" onclick="app.editBackupDetails('${backup.id}')">
+                        <i class="fas fa-edit"></i>
+                        编辑
+                    </button>
                     ${backup.screenshot ? `
                         <button class="btn btn-outline screenshot-btn" data-screenshot-path="${backup.screenshot.replace(/\\/g, '/')}">
                             <i class="fas fa-image"></i>
@@ -389,20 +1023,33 @@ class GameSaveApp {
                         <i class="fas fa-undo"></i>
                         恢复
                     </button>
+                    <button class="btn btn-outline" onclick="app.restoreBackupAs('${backup.id}')">
+                        <i class="fas fa-copy"></i>
+                        恢复为…
+                    </button>
                     <button class="btn btn-danger" onclick="app.deleteBackup('${backup.id}')">
                         <i class="fas fa-trash"></i>
                         删除
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+    }
 
-        // 异步加载缩略图
-        for (const backup of this.backups) {
-            if (backup.screenshot) {
-                this.loadThumbnail(backup.id, backup.screenshot);
-            }
+    renderVerifyBadge(verification) {
+        if (!verification) {
+            return '';
         }
+
+        const labels = {
+            ok: '<i class="fas fa-check"></i> 校验通过',
+            missing: '<i class="fas fa-question"></i> 文件缺失',
+            corrupted: '<i class="fas fa-times"></i> 数据损坏',
+            locked: '<i class="fas fa-lock"></i> 未解锁'
+        };
+        const details = verification.problems.map(problem => `${problem.target}: ${problem.message}`).join('\n');
+        const title = `校验时间: ${new Date(verification.checkedAt).toLocaleString()}${details ? '\n' + details : ''}`;
+        return `<span class="verify-badge ${verification.status}" title="${this.escapeHtml(title)}">${labels[verification.status]}</span>`;
     }
 
     async loadThumbnail(backupId, screenshotPath) {
@@ -412,40 +1059,56 @@ class GameSaveApp {
             const imageData = await ipcRenderer.invoke('get-screenshot-data', screenshotPath);
             console.log('IPC返回的图片数据:', imageData ? `${imageData.substring(0, 50)}...` : 'null');
             
-            const container = document.getElementById('backup-list');
-            const backupItem = container.querySelector(`[data-backup-id="${backupId}"]`);
-            const thumbnailContainer = backupItem?.querySelector('.backup-screenshot');
+            // 固定的备份同时显示在固定区和时间线中
+            const thumbnailContainers = this.getThumbnailContainers(backupId);
             
-            if (!thumbnailContainer) {
+            if (thumbnailContainers.length === 0) {
                 console.error('找不到缩略图容器:', backupId);
                 return;
             }
             
-            if (imageData) {
-                console.log('成功加载缩略图，更新UI');
-                thumbnailContainer.innerHTML = `<img src="${imageData}" alt="备份时截图" class="thumbnail-img" data-screenshot-path="${screenshotPath.replace(/\\/g, '/')}">`;
-            } else {
-                console.error('获取图片数据失败');
-                thumbnailContainer.innerHTML = '<div class="error-thumbnail">加载失败</div>';
+            for (const thumbnailContainer of thumbnailContainers) {
+                if (imageData) {
+                    console.log('成功加载缩略图，更新UI');
+                    thumbnailContainer.innerHTML = `<img src="${imageData}" alt="备份时截图" class="thumbnail-img" data-screenshot-path="${screenshotPath.replace(/\\/g, '/')}">`;
+                } else {
+                    console.error('获取图片数据失败');
+                    thumbnailContainer.innerHTML = `<div class="error-thumbnail">${await this.getScreenshotErrorText('加载失败')}</div>`;
+                }
             }
         } catch (error) {
             console.error('加载缩略图异常:', error);
-            const container = document.getElementById('backup-list');
-            const backupItem = container.querySelector(`[data-backup-id="${backupId}"]`);
-            const thumbnailContainer = backupItem?.querySelector('.backup-screenshot');
-            if (thumbnailContainer) {
+            for (const thumbnailContainer of this.getThumbnailContainers(backupId)) {
                 thumbnailContainer.innerHTML = '<div class="error-thumbnail">异常错误</div>';
             }
         }
     }
 
+    // 截图无法显示时的提示：加密的备份仓库未解锁时不显示截图
+    async getScreenshotErrorText(fallback) {
+        const status = await ipcRenderer.invoke('get-encryption-status');
+        return status.enabled && !status.unlocked ? '备份已加密，解锁后显示' : fallback;
+    }
+
+    getThumbnailContainers(backupId) {
+        const container = document.getElementById('backup-list');
+        return [...container.querySelectorAll(`[data-backup-id="${backupId}"] .backup-screenshot`)];
+    }
+
     async restoreBackup(backupId) {
-        this.showConfirm('恢复备份', '确定要恢复此备份吗？这将覆盖当前的存档文件。', async () => {
+        // 加密备份需要先解锁
+        if (await ipcRenderer.invoke('is-backup-locked', backupId)) {
+            this.unlockEncryption(() => this.restoreBackup(backupId));
+            return;
+        }
+
+        this.showConfirm('恢复备份', '确定要恢复此备份吗？这将覆盖当前的存档文件，覆盖前会自动备份当前存档，之后可以撤销。', async () => {
             try {
                 const success = await ipcRenderer.invoke('restore-backup', backupId);
                 if (success) {
-                    this.showToast('备份恢复成功！', 'success');
+                    this.showToast('备份恢复成功！恢复前的存档已自动备份，可以撤销', 'success');
                     this.addLogItem('备份恢复成功', 'success');
+                    this.refreshBackups();
                 } else {
                     this.showToast('备份恢复失败', 'error');
                 }
@@ -456,34 +1119,761 @@ class GameSaveApp {
         });
     }
 
-    async deleteBackup(backupId) {
-        this.showConfirm('删除备份', '确定要删除此备份吗？此操作无法撤销。', async () => {
+    async updateUndoRestoreButton() {
+        try {
+            this.lastRestore = await ipcRenderer.invoke('get-last-restore');
+            const button = document.getElementById('undo-restore');
+            button.style.display = this.lastRestore ? '' : 'none';
+            if (this.lastRestore) {
+                button.title = `${new Date(this.lastRestore.restoredAt).toLocaleString()} 恢复到 ${this.lastRestore.targetPath}`;
+            }
+        } catch (error) {
+            console.error('获取最近一次恢复记录失败:', error);
+        }
+    }
+
+    async undoLastRestore() {
+        const lastRestore = this.lastRestore;
+        if (!lastRestore) {
+            return;
+        }
+
+        // 恢复前的存档备份已加密时需要先解锁
+        if (lastRestore.snapshotId && await ipcRenderer.invoke('is-backup-locked', lastRestore.snapshotId)) {
+            this.unlockEncryption(() => this.undoLastRestore());
+            return;
+        }
+
+        const message = lastRestore.snapshotId
+            ? `确定要撤销 ${new Date(lastRestore.restoredAt).toLocaleString()} 的恢复吗？存档将还原为恢复前的状态。`
+            : `确定要撤销 ${new Date(lastRestore.restoredAt).toLocaleString()} 的恢复吗？恢复前该位置没有存档，恢复出的文件将被删除。`;
+        this.showConfirm('撤销恢复', message, async () => {
             try {
-                const success = await ipcRenderer.invoke('delete-backup', backupId);
-                if (success) {
-                    this.showToast('备份删除成功', 'success');
-                    this.refreshBackups();
+                const result = await ipcRenderer.invoke('undo-last-restore');
+                if (result.success) {
+                    this.showToast('已撤销上次恢复', 'success');
+                    this.addLogItem('已撤销恢复: ' + result.path, 'success');
                 } else {
-                    this.showToast('备份删除失败', 'error');
+                    this.showToast('撤销恢复失败: ' + result.error, 'error');
                 }
             } catch (error) {
-                this.showToast('备份删除失败: ' + error.message, 'error');
+                this.showToast('撤销恢复失败: ' + error.message, 'error');
             }
             this.hideConfirm();
+            this.refreshBackups();
         });
     }
 
+    // 恢复到其他位置或存档旁的副本，不覆盖当前存档
+    async restoreBackupAs(backupId) {
+        if (await ipcRenderer.invoke('is-backup-locked', backupId)) {
+            this.unlockEncryption(() => this.restoreBackupAs(backupId));
+            return;
+        }
 
-    onBackupCreated(backupInfo) {
-        console.log('渲染进程: 处理备份创建事件', backupInfo);
-        this.showToast('新备份已创建', 'success');
-        this.addLogItem(`创建备份: ${backupInfo.originalPath}`, 'success');
-        
-        // 立即刷新备份列表以获取最新数据
-        this.refreshBackups().then(() => {
-            console.log('备份列表已刷新');
-            this.updateUI();
-        });
+        const backup = this.backups.find(b => b.id === backupId);
+        const fileName = backup ? backup.originalFileName : '存档';
+        document.getElementById('restore-as-message').textContent =
+            `恢复为副本将写入 ${fileName}.restored，与当前存档放在同一位置；也可以选择其他位置。当前存档不会被修改。`;
+        this.restoreAsBackupId = backupId;
+        document.getElementById('restore-as-modal').classList.add('show');
+    }
+
+    async submitRestoreAs(mode) {
+        const backupId = this.restoreAsBackupId;
+        this.hideRestoreAsModal();
+
+        try {
+            const result = await ipcRenderer.invoke('restore-backup-as', backupId, mode);
+            if (result.success) {
+                this.showToast('备份已恢复到: ' + result.path, 'success');
+                this.addLogItem('备份已恢复到: ' + result.path, 'success');
+            } else if (!result.canceled) {
+                this.showToast('备份恢复失败: ' + result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('备份恢复失败: ' + error.message, 'error');
+        }
+    }
+
+    hideRestoreAsModal() {
+        document.getElementById('restore-as-modal').classList.remove('show');
+        this.restoreAsBackupId = null;
+    }
+
+    editBackupDetails(backupId) {
+        const backup = this.backups.find(b => b.id === backupId);
+        if (!backup) {
+            return;
+        }
+
+        this.showDetailsModal('编辑备份信息', backup, async (details) => {
+            try {
+                const updated = await ipcRenderer.invoke('update-backup-details', backupId, details);
+                if (updated) {
+                    this.showToast('备份信息已更新', 'success');
+                    this.refreshBackups();
+                } else {
+                    this.showToast('更新备份信息失败', 'error');
+                }
+            } catch (error) {
+                this.showToast('更新备份信息失败: ' + error.message, 'error');
+            }
+            this.hideDetailsModal();
+        });
+    }
+
+    async verifyBackups() {
+        try {
+            this.showToast('正在校验备份...', 'info');
+            this.addLogItem('开始校验备份', 'info');
+            const report = await ipcRenderer.invoke('verify-backups');
+            if (!report) {
+                this.showToast('校验备份失败', 'error');
+            }
+        } catch (error) {
+            this.showToast('校验备份失败: ' + error.message, 'error');
+        }
+    }
+
+    async checkConsistency() {
+        try {
+            const result = await ipcRenderer.invoke('check-consistency');
+            if (!result.success) {
+                this.showToast('检查一致性失败: ' + result.error, 'error');
+                return;
+            }
+            this.showConsistencyReport(result.report);
+        } catch (error) {
+            this.showToast('检查一致性失败: ' + error.message, 'error');
+        }
+    }
+
+    showConsistencyReport(report) {
+        const actionLabels = {
+            remove: '删除',
+            clear: '清除记录',
+            relink: '重新关联',
+            reindex: '重建索引',
+            restore: '还原到存档位置'
+        };
+        const describe = (issue) => {
+            if (issue.backupId && issue.timestamp) {
+                return `${issue.label || issue.backupId}（${new Date(issue.timestamp).toLocaleString()}）`;
+            }
+            return issue.path || issue.objectHash || '';
+        };
+        const details = (issue) => {
+            const parts = [];
+            if (issue.details) {
+                parts.push(...issue.details);
+            }
+            if (issue.target) {
+                parts.push(`→ ${issue.target}`);
+            }
+            if (issue.size !== undefined) {
+                parts.push(this.formatFileSize(issue.size));
+            }
+            return parts.join('\n');
+        };
+
+        const summary = Object.entries(report.summary)
+            .map(([type, count]) => `${report.labels[type]} ${count} 项`)
+            .join('，');
+
+        document.getElementById('consistency-content').innerHTML = report.total === 0 ? `
+            <p class="diff-summary">备份目录与元数据一致，没有发现问题。</p>
+        ` : `
+            <p class="diff-summary">发现 ${report.total} 个问题：${summary}。</p>
+            <table class="diff-table">
+                <thead>
+                    <tr><th>问题</th><th>对象</th><th>详情</th><th>修复方式</th></tr>
+                </thead>
+                <tbody>
+                    ${report.issues.map(issue => `
+                        <tr>
+                            <td>${this.escapeHtml(report.labels[issue.type])}</td>
+                            <td class="mono">${this.escapeHtml(describe(issue))}</td>
+                            <td class="mono" style="white-space: pre-line;">${this.escapeHtml(details(issue))}</td>
+                            <td>${actionLabels[issue.action]}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        document.getElementById('consistency-repair').style.display = report.total === 0 ? 'none' : '';
+        document.getElementById('consistency-modal').classList.add('show');
+    }
+
+    hideConsistencyModal() {
+        document.getElementById('consistency-modal').classList.remove('show');
+        document.getElementById('consistency-content').innerHTML = '';
+    }
+
+    repairConsistency() {
+        this.showConfirm('一键修复', '将删除缺少数据的备份记录、多余的截图、对象和临时文件，并重新关联未登记的备份和截图。此操作无法撤销，是否继续？', async () => {
+            this.hideConfirm();
+            try {
+                const result = await ipcRenderer.invoke('repair-consistency');
+                if (result.success) {
+                    this.showToast(`已修复 ${result.repaired} 个问题`, 'success');
+                    this.addLogItem(`一致性修复完成，修复 ${result.repaired}/${result.total} 个问题`, 'success');
+                    this.hideConsistencyModal();
+                    this.refreshBackups();
+                } else {
+                    this.showToast('修复失败: ' + result.error, 'error');
+                }
+            } catch (error) {
+                this.showToast('修复失败: ' + error.message, 'error');
+            }
+        });
+    }
+
+    rebuildIndex() {
+        this.showConfirm('重建索引', '将扫描备份目录中的备份清单、备份文件和截图，重新生成备份索引。是否继续？', async () => {
+            this.hideConfirm();
+            try {
+                const result = await ipcRenderer.invoke('rebuild-index');
+                if (result.success) {
+                    this.showToast(`索引重建完成，共 ${result.count} 个备份`, 'success');
+                    this.addLogItem(`备份索引已重建，共 ${result.count} 个备份`, 'success');
+                    this.refreshBackups();
+                } else {
+                    this.showToast('重建索引失败: ' + result.error, 'error');
+                }
+            } catch (error) {
+                this.showToast('重建索引失败: ' + error.message, 'error');
+            }
+        });
+    }
+
+    async updateEncryptionStatus() {
+        try {
+            const status = await ipcRenderer.invoke('get-encryption-status');
+            const statusText = document.getElementById('encryption-status');
+
+            if (!status.enabled) {
+                statusText.textContent = '未启用加密。启用后备份数据将使用密码加密保存，恢复备份和查看截图时需要输入密码。'
+                    + '备份名称、备注、标签和截图文件本身不加密。';
+            } else if (status.changePending) {
+                statusText.textContent = '上次更换密码未完成，请使用原密码和当时设置的新密码再次更换密码以继续。';
+            } else {
+                statusText.textContent = status.unlocked ? '已启用加密，当前已解锁。' : '已启用加密，当前已锁定。';
+            }
+            statusText.classList.toggle('warning', status.changePending);
+
+            document.getElementById('enable-encryption').style.display = status.enabled ? 'none' : '';
+            document.getElementById('unlock-encryption').style.display = status.enabled && !status.unlocked ? '' : 'none';
+            document.getElementById('lock-encryption').style.display = status.enabled && status.unlocked ? '' : 'none';
+            document.getElementById('change-passphrase').style.display = status.enabled ? '' : 'none';
+        } catch (error) {
+            console.error('获取加密状态失败:', error);
+        }
+    }
+
+    enableEncryption() {
+        const message = '启用后现有的全部备份将被重新加密。请牢记密码，忘记密码将无法恢复任何备份。';
+        this.showPassphraseModal('启用备份加密', message, { confirm: true }, async ({ passphrase }) => {
+            this.hidePassphraseModal();
+            this.showToast('正在加密备份，请稍候...', 'info');
+            await this.runEncryptionAction('enable-encryption', [passphrase], '备份加密已启用');
+        });
+    }
+
+    // 解锁加密备份；解锁成功后执行 onUnlocked（例如继续恢复备份）
+    unlockEncryption(onUnlocked) {
+        this.showPassphraseModal('解锁备份', '此备份已加密，请输入备份密码。', {}, async ({ passphrase }) => {
+            if (await this.runEncryptionAction('unlock-encryption', [passphrase], '备份已解锁')) {
+                this.hidePassphraseModal();
+                if (onUnlocked) {
+                    onUnlocked();
+                }
+            }
+        });
+    }
+
+    async lockEncryption() {
+        await this.runEncryptionAction('lock-encryption', [], '备份已锁定');
+    }
+
+    changePassphrase() {
+        const message = '更换密码会使用新密码重新加密全部备份，备份较多时需要一些时间。';
+        this.showPassphraseModal('更换备份密码', message, { requireOld: true, confirm: true }, async ({ oldPassphrase, passphrase }) => {
+            this.hidePassphraseModal();
+            this.showToast('正在重新加密备份，请稍候...', 'info');
+            await this.runEncryptionAction('change-passphrase', [oldPassphrase, passphrase], '备份密码已更换');
+        });
+    }
+
+    async runEncryptionAction(channel, args, successMessage) {
+        try {
+            const result = await ipcRenderer.invoke(channel, ...args);
+            if (result.success) {
+                this.showToast(successMessage, 'success');
+                this.addLogItem(successMessage, 'success');
+            } else {
+                this.showToast(result.error, 'error');
+            }
+            this.updateEncryptionStatus();
+            this.refreshBackups();
+            return result.success;
+        } catch (error) {
+            this.showToast('操作失败: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // 在侧边栏显示正在执行的备份操作及其进度，队列清空后隐藏
+    updateOperationStatus(operation) {
+        const container = document.getElementById('operation-status');
+        const text = document.getElementById('operation-status-text');
+        const progressBar = document.getElementById('operation-progress-bar');
+
+        if (operation.status === 'completed' || operation.status === 'failed') {
+            if (operation.queued === 0) {
+                container.style.display = 'none';
+            }
+            return;
+        }
+        if (operation.status === 'queued' && container.style.display !== 'none') {
+            // 已有操作在执行，保留当前显示
+            return;
+        }
+
+        let label = operation.status === 'queued' ? `等待${operation.name}` : `正在${operation.name}`;
+        let percent = 0;
+        if (operation.total) {
+            label += ` (${operation.completed}/${operation.total})`;
+            percent = Math.round(operation.completed / operation.total * 100);
+        }
+        if (operation.queued > 1) {
+            label += `，另有 ${operation.queued - 1} 个操作排队`;
+        }
+
+        text.textContent = label;
+        progressBar.style.width = `${percent}%`;
+        container.style.display = 'block';
+    }
+
+    async updateDestinationStatus() {
+        try {
+            this.renderDestinations(await ipcRenderer.invoke('get-destination-status'));
+        } catch (error) {
+            console.error('获取备份目标状态失败:', error);
+        }
+    }
+
+    renderDestinations(statusList = []) {
+        const container = document.getElementById('destination-list');
+        const destinations = (this.config && this.config.destinations) || [];
+        if (destinations.length === 0) {
+            container.innerHTML = '<p class="destination-empty">尚未添加备份目标</p>';
+            return;
+        }
+
+        const typeLabels = { local: '本地目录', sftp: 'SFTP', webdav: 'WebDAV', s3: 'S3' };
+        const statusById = new Map(statusList.map(status => [status.id, status]));
+        container.innerHTML = destinations.map(destination => {
+            const status = statusById.get(destination.id);
+            return `
+                <div class="destination-item">
+                    <div class="destination-info">
+                        <h4>${this.escapeHtml(destination.name || destination.id)} <span class="destination-type">${typeLabels[destination.type] || destination.type}</span></h4>
+                        ${this.renderDestinationState(destination, status)}
+                    </div>
+                    <div class="destination-actions">
+                        ${status && status.status === 'error' ? `
+                            <button class="btn btn-outline" onclick="app.retryDestination('${destination.id}')">
+                                <i class="fas fa-redo"></i>
+                                重试
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-outline" onclick="app.showDestinationModal('${destination.id}')">
+                            <i class="fas fa-edit"></i>
+                            编辑
+                        </button>
+                        <button class="btn btn-danger" onclick="app.removeDestination('${destination.id}')">
+                            <i class="fas fa-trash"></i>
+                            删除
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderDestinationState(destination, status) {
+        if (destination.enabled === false) {
+            return '<p class="destination-state disabled">已停用</p>';
+        }
+        if (!status) {
+            return '<p class="destination-state">等待备份目录加载</p>';
+        }
+
+        const pending = status.pending > 0 ? `，${status.pending} 个备份等待上传` : '';
+        if (status.status === 'error') {
+            const retry = status.nextRetryAt ? `，${new Date(status.nextRetryAt).toLocaleTimeString()} 自动重试` : '';
+            return `<p class="destination-state error" title="${this.escapeHtml(status.lastError || '')}">上传失败: ${this.escapeHtml(status.lastError || '')}${pending}${retry}</p>`;
+        }
+        if (status.status === 'uploading') {
+            return `<p class="destination-state uploading"><i class="fas fa-sync-alt fa-spin"></i> 正在上传${pending}</p>`;
+        }
+        if (status.pending > 0) {
+            return `<p class="destination-state">${status.pending} 个备份等待上传</p>`;
+        }
+        return `<p class="destination-state ok">已同步${status.lastSuccessAt ? `，最后上传: ${new Date(status.lastSuccessAt).toLocaleString()}` : ''}</p>`;
+    }
+
+    showDestinationModal(destinationId = null) {
+        const destination = (this.config.destinations || []).find(item => item.id === destinationId);
+        const options = destination ? destination.options || {} : {};
+
+        document.getElementById('destination-title').textContent = destination ? '编辑备份目标' : '添加备份目标';
+        document.getElementById('destination-name').value = destination ? destination.name || '' : '';
+        document.getElementById('destination-type').value = destination ? destination.type : 'local';
+        document.getElementById('destination-enabled').checked = !destination || destination.enabled !== false;
+        document.querySelectorAll('.destination-fields [data-option]').forEach(input => {
+            const value = input.closest('.destination-fields').dataset.type === (destination && destination.type) ? options[input.dataset.option] : undefined;
+            if (input.type === 'checkbox') {
+                input.checked = value === undefined ? input.defaultChecked : Boolean(value);
+            } else {
+                input.value = value === undefined ? '' : value;
+            }
+        });
+
+        this.editingDestinationId = destination ? destination.id : null;
+        this.updateDestinationFields();
+        document.getElementById('destination-modal').classList.add('show');
+        document.getElementById('destination-name').focus();
+    }
+
+    hideDestinationModal() {
+        document.getElementById('destination-modal').classList.remove('show');
+        this.editingDestinationId = null;
+    }
+
+    // 只显示当前类型对应的设置项
+    updateDestinationFields() {
+        const type = document.getElementById('destination-type').value;
+        document.querySelectorAll('.destination-fields').forEach(group => {
+            group.style.display = group.dataset.type === type ? '' : 'none';
+        });
+    }
+
+    getDestinationInput() {
+        const type = document.getElementById('destination-type').value;
+        const options = {};
+        document.querySelectorAll(`.destination-fields[data-type="${type}"] [data-option]`).forEach(input => {
+            options[input.dataset.option] = input.type === 'checkbox' ? input.checked : input.value.trim();
+        });
+
+        return {
+            id: this.editingDestinationId || `dest_${Date.now()}`,
+            name: document.getElementById('destination-name').value.trim(),
+            type,
+            enabled: document.getElementById('destination-enabled').checked,
+            options
+        };
+    }
+
+    async testDestination() {
+        this.showToast('正在测试连接...', 'info');
+        try {
+            const result = await ipcRenderer.invoke('test-destination', this.getDestinationInput());
+            if (result.success) {
+                this.showToast('连接成功', 'success');
+            } else {
+                this.showToast('连接失败: ' + result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('连接失败: ' + error.message, 'error');
+        }
+    }
+
+    async saveDestination() {
+        const destination = this.getDestinationInput();
+        if (!destination.name) {
+            this.showToast('请填写名称', 'warning');
+            return;
+        }
+
+        const destinations = [...(this.config.destinations || [])];
+        const index = destinations.findIndex(item => item.id === destination.id);
+        if (index >= 0) {
+            destinations[index] = destination;
+        } else {
+            destinations.push(destination);
+        }
+
+        if (await this.saveDestinations(destinations)) {
+            this.hideDestinationModal();
+            this.showToast('备份目标已保存', 'success');
+            this.addLogItem(`备份目标已保存: ${destination.name}`);
+        }
+    }
+
+    removeDestination(destinationId) {
+        const destination = (this.config.destinations || []).find(item => item.id === destinationId);
+        if (!destination) {
+            return;
+        }
+
+        this.showConfirm('删除备份目标', `确定要删除备份目标“${destination.name}”吗？已上传的数据不会被删除。`, async () => {
+            this.hideConfirm();
+            if (await this.saveDestinations(this.config.destinations.filter(item => item.id !== destinationId))) {
+                this.showToast('备份目标已删除', 'success');
+            }
+        });
+    }
+
+    // 备份目标修改后立即保存，不需要再点击“保存设置”
+    async saveDestinations(destinations) {
+        const success = await ipcRenderer.invoke('save-config', { destinations });
+        if (!success) {
+            this.showToast('保存备份目标失败', 'error');
+            return false;
+        }
+
+        this.config.destinations = destinations;
+        await this.updateDestinationStatus();
+        return true;
+    }
+
+    async retryDestination(destinationId) {
+        await ipcRenderer.invoke('retry-destination', destinationId);
+        this.updateDestinationStatus();
+    }
+
+    toggleBackupSelection(backupId, selected) {
+        if (selected) {
+            this.selectedBackups.add(backupId);
+        } else {
+            this.selectedBackups.delete(backupId);
+        }
+        document.getElementById('export-backups').title = `已选择 ${this.selectedBackups.size} 个备份`;
+    }
+
+    async compareSelectedBackups() {
+        const backupIds = [...this.selectedBackups];
+        if (backupIds.length !== 2) {
+            this.showToast('请勾选两个备份进行比较', 'warning');
+            return;
+        }
+
+        for (const backupId of backupIds) {
+            if (await ipcRenderer.invoke('is-backup-locked', backupId)) {
+                this.unlockEncryption(() => this.compareSelectedBackups());
+                return;
+            }
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('diff-backups', backupIds[0], backupIds[1]);
+            if (result.success) {
+                this.showDiffModal(result.diff);
+            } else {
+                this.showToast('比较备份失败: ' + result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('比较备份失败: ' + error.message, 'error');
+        }
+    }
+
+    showDiffModal(diff) {
+        const describe = backup => this.escapeHtml(`${backup.label || backup.originalFileName}（${new Date(backup.timestamp).toLocaleString()}）`);
+        const statusLabels = { added: '新增', removed: '删除', modified: '修改' };
+
+        document.getElementById('diff-content').innerHTML = `
+            <p class="diff-summary">${describe(diff.from)} → ${describe(diff.to)}：${diff.files.length} 个文件有变化，${diff.unchanged} 个文件未变化</p>
+            ${diff.files.length === 0 ? '<p>两个备份的内容完全相同</p>' : ''}
+            ${diff.files.map(file => `
+                <div class="diff-file">
+                    <h4><i class="fas fa-file"></i> ${this.escapeHtml(file.path)}<span class="diff-status ${file.status}">${statusLabels[file.status]}</span></h4>
+                    ${this.renderFileDiff(file)}
+                </div>
+            `).join('')}
+        `;
+        document.getElementById('diff-modal').classList.add('show');
+    }
+
+    renderFileDiff(file) {
+        if (file.status !== 'modified') {
+            return `<p class="diff-note">大小: ${this.formatFileSize(file.size)}</p>`;
+        }
+        if (!file.diff) {
+            return `<p class="diff-note">文件过大，未比较内容（${this.formatFileSize(file.oldSize)} → ${this.formatFileSize(file.newSize)}）</p>`;
+        }
+
+        const diff = file.diff;
+        if (diff.format === 'binary') {
+            return `
+                <p class="diff-note">二进制内容：${diff.changedBytes} 个字节变化，共 ${diff.totalRanges} 处（${this.formatFileSize(diff.oldSize)} → ${this.formatFileSize(diff.newSize)}）</p>
+                <table class="diff-table">
+                    <tr><th>偏移</th><th>长度</th><th>旧内容</th><th>新内容</th></tr>
+                    ${diff.ranges.map(range => `
+                        <tr class="changed">
+                            <td class="mono">0x${range.offset.toString(16).toUpperCase()}</td>
+                            <td>${range.length}</td>
+                            <td class="mono">${range.oldHex || '-'}</td>
+                            <td class="mono">${range.newHex || '-'}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                ${diff.truncated ? `<p class="diff-note">仅显示前 ${diff.ranges.length} 处变化</p>` : ''}
+            `;
+        }
+
+        const formatLabels = { json: 'JSON', xml: 'XML', ini: 'INI', playerprefs: 'Unity PlayerPrefs' };
+        const typeLabels = { added: '新增', removed: '删除', changed: '修改' };
+        return `
+            <p class="diff-note">${formatLabels[diff.format] || diff.format}：${diff.totalChanges} 个键变化，${diff.unchanged} 个键未变化</p>
+            ${diff.changes.length > 0 ? `
+                <table class="diff-table">
+                    <tr><th>键</th><th>变化</th><th>旧值</th><th>新值</th></tr>
+                    ${diff.changes.map(change => `
+                        <tr class="${change.type}">
+                            <td class="mono">${this.escapeHtml(change.key)}</td>
+                            <td>${typeLabels[change.type]}</td>
+                            <td class="mono">${change.oldValue === null ? '-' : this.escapeHtml(change.oldValue)}</td>
+                            <td class="mono">${change.newValue === null ? '-' : this.escapeHtml(change.newValue)}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            ` : ''}
+            ${diff.truncated ? `<p class="diff-note">仅显示前 ${diff.changes.length} 个变化</p>` : ''}
+        `;
+    }
+
+    hideDiffModal() {
+        document.getElementById('diff-modal').classList.remove('show');
+        document.getElementById('diff-content').innerHTML = '';
+    }
+
+    async exportSelectedBackups() {
+        // 选择在翻页和筛选后保留
+        const backupIds = [...this.selectedBackups];
+        if (backupIds.length === 0) {
+            this.showToast('请先勾选要导出的备份', 'warning');
+            return;
+        }
+
+        // 导出包不加密，加密的备份需要先解锁才能导出
+        for (const backupId of backupIds) {
+            if (await ipcRenderer.invoke('is-backup-locked', backupId)) {
+                this.unlockEncryption(() => this.exportSelectedBackups());
+                return;
+            }
+        }
+
+        const status = await ipcRenderer.invoke('get-encryption-status');
+        if (status.enabled) {
+            this.showConfirm('导出备份', '备份仓库已加密，但导出包中的存档数据不加密，任何拿到导出包的人都可以读取。确定要导出吗？', async () => {
+                this.hideConfirm();
+                await this.exportBackups(backupIds);
+            });
+            return;
+        }
+        await this.exportBackups(backupIds);
+    }
+
+    async exportBackups(backupIds) {
+        try {
+            const result = await ipcRenderer.invoke('export-backups', backupIds);
+            if (result.success) {
+                this.showToast(`已导出 ${result.count} 个备份`, 'success');
+                this.addLogItem(`已导出 ${result.count} 个备份到 ${result.filePath}`, 'success');
+            } else if (!result.canceled) {
+                this.showToast('导出备份失败: ' + result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('导出备份失败: ' + error.message, 'error');
+        }
+    }
+
+    async importBundle() {
+        try {
+            const result = await ipcRenderer.invoke('import-bundle');
+            if (result.canceled) {
+                return;
+            }
+            if (!result.success) {
+                this.showToast('导入备份失败: ' + result.error, 'error');
+                return;
+            }
+
+            const message = `导入完成：成功 ${result.imported.length} 个，已存在 ${result.skipped.length} 个，失败 ${result.failed.length} 个`;
+            this.showToast(message, result.failed.length > 0 ? 'warning' : 'success');
+            this.addLogItem(message, result.failed.length > 0 ? 'warning' : 'success');
+            for (const failure of result.failed) {
+                this.addLogItem(`导入备份 ${failure.id} 失败: ${failure.reason}`, 'error');
+            }
+            this.refreshBackups();
+        } catch (error) {
+            this.showToast('导入备份失败: ' + error.message, 'error');
+        }
+    }
+
+    onVerifyCompleted(summary, profileId) {
+        const problems = summary.missing + summary.corrupted;
+        let message = `备份校验完成：共 ${summary.total} 个，缺失 ${summary.missing} 个，损坏 ${summary.corrupted} 个`;
+        if (summary.locked > 0) {
+            message += `，${summary.locked} 个加密备份未解锁未能校验`;
+        }
+        message = this.formatProfileMessage(profileId, message);
+        this.showToast(message, problems > 0 ? 'warning' : 'success');
+        this.addLogItem(message, problems > 0 ? 'warning' : 'success');
+        if (profileId === this.config.activeProfileId) {
+            this.refreshBackups();
+        }
+    }
+
+    async togglePinBackup(backupId, pinned) {
+        try {
+            const success = await ipcRenderer.invoke('pin-backup', backupId, pinned);
+            if (success) {
+                this.showToast(pinned ? '备份已固定，不会被自动清理' : '已取消固定', 'success');
+                this.refreshBackups();
+            } else {
+                this.showToast('更新固定状态失败', 'error');
+            }
+        } catch (error) {
+            this.showToast('更新固定状态失败: ' + error.message, 'error');
+        }
+    }
+
+    async deleteBackup(backupId) {
+        this.showConfirm('删除备份', '确定要删除此备份吗？此操作无法撤销。', async () => {
+            try {
+                const success = await ipcRenderer.invoke('delete-backup', backupId);
+                if (success) {
+                    this.selectedBackups.delete(backupId);
+                    this.showToast('备份删除成功', 'success');
+                    this.refreshBackups();
+                } else {
+                    this.showToast('备份删除失败', 'error');
+                }
+            } catch (error) {
+                this.showToast('备份删除失败: ' + error.message, 'error');
+            }
+            this.hideConfirm();
+        });
+    }
+
+
+    onBackupCreated(backupInfo, profileId) {
+        console.log('渲染进程: 处理备份创建事件', backupInfo);
+        this.addLogItem(this.formatProfileMessage(profileId, `创建备份: ${backupInfo.label || backupInfo.originalPath}`), 'success');
+        // 其他配置档案的备份只记录日志
+        if (profileId !== this.config.activeProfileId) {
+            return;
+        }
+        this.showToast('新备份已创建', 'success');
+        
+        // 立即刷新备份列表以获取最新数据
+        this.refreshBackups().then(() => {
+            console.log('备份列表已刷新');
+            this.updateUI();
+        });
     }
 
     updateUI() {
@@ -512,23 +1902,89 @@ class GameSaveApp {
         
         // 更新备份统计信息
         this.updateBackupStats();
+        this.updateUpcomingRuns();
     }
 
-    updateBackupStats() {
-        console.log('更新备份统计信息，当前备份数量:', this.backups.length);
-        
-        // 更新备份数量
-        document.getElementById('backup-count').textContent = this.backups.length;
-        
-        // 更新最后备份时间
-        if (this.backups.length > 0) {
-            // 备份数组应该已经按时间倒序排列，第一个就是最新的
-            const lastBackup = new Date(this.backups[0].timestamp);
-            document.getElementById('last-backup').textContent = lastBackup.toLocaleString();
-            console.log('最后备份时间:', lastBackup.toLocaleString());
-        } else {
-            document.getElementById('last-backup').textContent = '从未';
-            console.log('没有备份记录');
+    // 仪表盘显示各配置档案接下来的计划备份（只有正在监控的配置档案会运行计划备份）
+    async updateUpcomingRuns() {
+        const container = document.getElementById('upcoming-runs');
+        try {
+            const jobs = await ipcRenderer.invoke('get-upcoming-runs');
+            if (jobs.length === 0) {
+                container.innerHTML = `<p class="log-item">${this.config.backupSchedule && !this.isMonitoring ? '开始监控后按计划备份' : '没有计划备份'}</p>`;
+                return;
+            }
+
+            container.innerHTML = jobs.map(job => {
+                const [nextRun, ...laterRuns] = job.runs.map(run => new Date(run).toLocaleString());
+                const later = laterRuns.length > 0 ? `，之后 ${laterRuns.join('、')}` : '';
+                return `
+                    <p class="log-item">
+                        ${this.profiles.length > 1 ? `[${this.escapeHtml(job.profileName)}] ` : ''}下次: ${nextRun}${later}
+                        <span class="upcoming-run-expression">${this.escapeHtml(job.expression)}</span>
+                    </p>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('获取计划备份失败:', error);
+        }
+    }
+
+    // 备份历史只加载当前页，统计信息由主进程提供
+    async updateBackupStats() {
+        try {
+            const stats = await ipcRenderer.invoke('get-backup-stats');
+            const usage = document.getElementById('storage-usage');
+            console.log('更新备份统计信息，当前备份数量:', stats ? stats.totalBackups : 0);
+
+            // 更新备份数量
+            document.getElementById('backup-count').textContent = stats ? stats.totalBackups : 0;
+
+            // 更新最后备份时间
+            if (stats && stats.newestBackup) {
+                const lastBackup = new Date(stats.newestBackup);
+                document.getElementById('last-backup').textContent = lastBackup.toLocaleString();
+                console.log('最后备份时间:', lastBackup.toLocaleString());
+            } else {
+                document.getElementById('last-backup').textContent = '从未';
+                console.log('没有备份记录');
+            }
+
+            if (!stats) {
+                usage.textContent = '-';
+                return;
+            }
+
+            usage.textContent = `${this.formatFileSize(stats.storedSize)}（压缩比 ${stats.compressionRatio.toFixed(2)}:1）`;
+        } catch (error) {
+            console.error('获取备份统计失败:', error);
+        }
+    }
+
+    async updateQuotaUsage() {
+        try {
+            const usage = await ipcRenderer.invoke('get-storage-usage');
+            const text = document.getElementById('quota-usage-text');
+            const fill = document.getElementById('quota-bar-fill');
+
+            if (!usage) {
+                text.textContent = '未设置备份目录';
+                fill.style.width = '0';
+                return;
+            }
+
+            if (usage.quota > 0) {
+                const percent = Math.min(usage.used / usage.quota * 100, 100);
+                text.textContent = `已用 ${this.formatFileSize(usage.used)} / ${this.formatFileSize(usage.quota)}`;
+                fill.style.width = `${percent}%`;
+                fill.classList.toggle('over', usage.used > usage.quota);
+            } else {
+                text.textContent = `已用 ${this.formatFileSize(usage.used)}（不限制）`;
+                fill.style.width = '0';
+                fill.classList.remove('over');
+            }
+        } catch (error) {
+            console.error('获取存储占用失败:', error);
         }
     }
 
@@ -582,6 +2038,84 @@ class GameSaveApp {
         this.confirmCallback = null;
     }
 
+    showDetailsModal(title, details, callback) {
+        document.getElementById('details-title').textContent = title;
+        document.getElementById('details-label').value = details.label || '';
+        document.getElementById('details-note').value = details.note || '';
+        document.getElementById('details-tags').value = (details.tags || []).join(', ');
+        document.getElementById('details-modal').classList.add('show');
+        document.getElementById('details-label').focus();
+        this.detailsCallback = callback;
+    }
+
+    hideDetailsModal() {
+        document.getElementById('details-modal').classList.remove('show');
+        this.detailsCallback = null;
+    }
+
+    showPassphraseModal(title, message, options, callback) {
+        document.getElementById('passphrase-title').textContent = title;
+        document.getElementById('passphrase-message').textContent = message;
+        document.getElementById('passphrase-label').textContent = options.requireOld ? '新密码' : '密码';
+        document.getElementById('passphrase-old-group').style.display = options.requireOld ? '' : 'none';
+        document.getElementById('passphrase-confirm-group').style.display = options.confirm ? '' : 'none';
+        ['passphrase-old', 'passphrase-input', 'passphrase-confirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('passphrase-modal').classList.add('show');
+        document.getElementById(options.requireOld ? 'passphrase-old' : 'passphrase-input').focus();
+        this.passphraseOptions = options;
+        this.passphraseCallback = callback;
+    }
+
+    hidePassphraseModal() {
+        document.getElementById('passphrase-modal').classList.remove('show');
+        ['passphrase-old', 'passphrase-input', 'passphrase-confirm'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.passphraseCallback = null;
+    }
+
+    submitPassphrase() {
+        if (!this.passphraseCallback) {
+            return;
+        }
+
+        const oldPassphrase = document.getElementById('passphrase-old').value;
+        const passphrase = document.getElementById('passphrase-input').value;
+        if (this.passphraseOptions.requireOld && !oldPassphrase) {
+            this.showToast('请输入当前密码', 'error');
+            return;
+        }
+        if (!passphrase) {
+            this.showToast('请输入密码', 'error');
+            return;
+        }
+        if (this.passphraseOptions.confirm && passphrase !== document.getElementById('passphrase-confirm').value) {
+            this.showToast('两次输入的密码不一致', 'error');
+            return;
+        }
+
+        this.passphraseCallback({ oldPassphrase, passphrase });
+    }
+
+    getDetailsInput() {
+        return {
+            label: document.getElementById('details-label').value.trim(),
+            note: document.getElementById('details-note').value.trim(),
+            tags: document.getElementById('details-tags').value.split(/[,，]/).map(tag => tag.trim()).filter(Boolean)
+        };
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
@@ -689,7 +2223,7 @@ class GameSaveApp {
                 
             } else {
                 console.error('渲染进程: 无效的图片数据');
-                container.innerHTML = '<p class="error">截图加载失败 - 无效数据</p>';
+                container.innerHTML = `<p class="error">${await this.getScreenshotErrorText('截图加载失败 - 无效数据')}</p>`;
             }
             
         } catch (error) {
@@ -745,8 +2279,9 @@ class GameSaveApp {
     }
 
     async checkAutoStart() {
-        // 如果配置了启动时自动开始监控，且不是首次运行，且还没有开始监控
-        if (this.config.autoStart && !this.config.firstRun && !this.isMonitoring) {
+        // 如果配置了启动时自动开始监控，且不是首次运行，且当前配置档案上次在监控但还没有开始监控
+        const profile = this.getActiveProfile();
+        if (this.config.autoStart && !this.config.firstRun && !this.isMonitoring && profile && profile.monitoringEnabled) {
             if (this.config.saveFilePath && this.config.backupPath) {
                 console.log('启动时自动开始监控...');
                 this.addLogItem('启动时自动开始监控', 'info');
@@ -0,0 +1,8 @@
+// 备份ID格式：backup_<时间戳>_<随机串>；旧版本备份文件名为 <备份ID>_<原文件名>
+const BACKUP_ID_PATTERN = /^backup_(\d+)_([a-z0-9]+)$/;
+const LEGACY_BACKUP_FILE_PATTERN = /^(backup_(\d+)_([a-z0-9]+))_(.+)$/;
+
+module.exports = {
+    BACKUP_ID_PATTERN,
+    LEGACY_BACKUP_FILE_PATTERN
+};
@@ -1,13 +1,145 @@
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
 const crypto = require('crypto');
+const tar = require('tar');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { pipeline } = require('stream/promises');
+const { calculateFileHash, scanTree, hashFileList, listFiles, getDirectorySize } = require('./fileTree');
+const ObjectStore = require('./objectStore');
+const RetentionPolicy = require('./retentionPolicy');
+const RepositoryEncryption = require('./encryption');
+const DestinationManager = require('./destinationManager');
+const MetadataStore = require('./metadataStore');
+const ConsistencyChecker = require('./consistencyChecker');
+const PathFilter = require('./pathFilter');
+const { writeJsonAtomic, readJsonWithFallback } = require('./jsonStore');
+const { diffSaveData } = require('./saveDiff');
+const { BACKUP_ID_PATTERN, LEGACY_BACKUP_FILE_PATTERN } = require('./backupId');
 
-class BackupManager {
+// 导出包格式：gzip 压缩的 tar，包含 manifest.json、data/<对象哈希> 和 screenshots/<备份ID>.png
+const BUNDLE_FORMAT = 'gamesave-bundle';
+const BUNDLE_VERSION = 1;
+// 比较备份时单个文件的大小上限，超过时只报告文件已变化
+const MAX_DIFF_FILE_SIZE = 64 * 1024 * 1024;
+// 元数据修改后延迟写入磁盘，连续的修改合并为一次写入
+const METADATA_FLUSH_DELAY = 500;
+
+// 所有修改备份仓库的操作（创建、恢复、删除、导入、校验等）都经由一个队列依次执行，
+// 元数据保存在内存中，写入磁盘时合并，避免并发的读-改-写互相覆盖。
+// 队列中操作的状态和进度通过 operation 事件通知
+class BackupManager extends EventEmitter {
     constructor(backupPath) {
+        super();
         this.backupPath = backupPath;
-        this.metadataFile = path.join(backupPath, 'metadata.json');
+        this.store = new MetadataStore(backupPath);
+        this.verifyReportFile = path.join(backupPath, 'verify-report.json');
+        // 每个备份另存一份清单，元数据丢失时可据此重建索引
+        this.snapshotsDir = path.join(backupPath, 'snapshots');
+        this.screenshotsDir = path.join(backupPath, 'screenshots');
         this.maxBackups = 50;
+        this.retentionPolicy = new RetentionPolicy();
+        this.storageQuota = 0; // 字节，0 表示不限制
+        this.fileFilter = new PathFilter(); // 目录存档的文件筛选规则，默认包含全部文件
+        this.metadataDirty = false;
+        this.dirtyManifests = new Set();
+        this.flushTimer = null;
+        this.operationQueue = Promise.resolve();
+        this.operationContext = new AsyncLocalStorage();
+        this.operationCount = 0;
+        this.queuedOperations = 0;
+        this.closed = false;
         this.ensureBackupDir();
+        this.objectStore = new ObjectStore(path.join(backupPath, 'objects'));
+        // 加密密钥文件存在即表示仓库已启用加密
+        this.encryption = new RepositoryEncryption(path.join(backupPath, 'encryption.json'));
+        this.objectStore.setEncryption(this.encryption);
+        this.ensureSnapshotManifests();
+        // 额外的备份目标（第二个本地目录、SFTP、WebDAV、S3），新备份会镜像上传
+        this.destinations = new DestinationManager(this);
+        this.consistency = new ConsistencyChecker(this);
+    }
+
+    // 将操作加入队列，等待之前的操作完成后执行。操作内部调用其他操作（例如恢复前先创建备份）时直接执行，
+    // 否则会等待自身而永远无法完成。关闭后不再接受新操作
+    runOperation(name, operation) {
+        if (this.operationContext.getStore()) {
+            return operation();
+        }
+        if (this.closed) {
+            return Promise.reject(new Error(`备份管理器已关闭，无法${name}`));
+        }
+
+        const id = ++this.operationCount;
+        this.queuedOperations++;
+        this.emitOperation({ id, name, status: 'queued' });
+
+        const run = () => this.operationContext.run({ id, name }, async () => {
+            this.emitOperation({ id, name, status: 'running' });
+            try {
+                let result;
+                try {
+                    result = await operation();
+                } finally {
+                    // 操作中对象索引的修改在结束时一次写入
+                    this.objectStore.flushIndex();
+                }
+                this.queuedOperations--;
+                this.emitOperation({ id, name, status: 'completed' });
+                return result;
+            } catch (error) {
+                this.queuedOperations--;
+                this.emitOperation({ id, name, status: 'failed', error: error.message });
+                throw error;
+            }
+        });
+
+        const result = this.operationQueue.then(run);
+        this.operationQueue = result.catch(() => {});
+        return result;
+    }
+
+    // 在 promise 完成前不开始执行队列中的操作，完成后重新读取元数据。
+    // 替换同一备份目录的旧备份管理器时使用，等待旧实例执行完队列中的操作
+    waitFor(promise) {
+        this.operationQueue = this.operationQueue
+            .then(() => promise)
+            .then(() => {
+                if (!this.metadataDirty) {
+                    this.store.reload();
+                }
+                if (!this.objectStore.indexDirty) {
+                    this.objectStore.reloadIndex();
+                }
+            })
+            .catch(error => console.error('等待旧备份管理器关闭失败:', error));
+    }
+
+    // 报告当前操作的进度
+    reportProgress(completed, total, message = '') {
+        const operation = this.operationContext.getStore();
+        if (operation) {
+            this.emitOperation({ id: operation.id, name: operation.name, status: 'running', completed, total, message });
+        }
+    }
+
+    emitOperation(event) {
+        this.emit('operation', { ...event, queued: this.queuedOperations });
+    }
+
+    // 为还没有清单文件的备份补写清单（兼容旧版本的备份目录）
+    ensureSnapshotManifests() {
+        try {
+            for (const backup of this.getMetadata().backups) {
+                const manifestPath = this.getSnapshotManifestPath(backup.id);
+                if (!fs.existsSync(manifestPath)) {
+                    writeJsonAtomic(manifestPath, backup);
+                }
+            }
+        } catch (error) {
+            console.error('BackupManager: 补写备份清单失败:', error);
+        }
     }
 
     ensureBackupDir() {
@@ -21,315 +153,1518 @@ class BackupManager {
                 console.log('BackupManager: 备份目录已存在');
             }
 
-            if (!fs.existsSync(this.metadataFile)) {
-                console.log('BackupManager: 创建元数据文件');
-                fs.writeJsonSync(this.metadataFile, { backups: [] }, { spaces: 2 });
-                console.log('BackupManager: 元数据文件创建成功');
-            } else {
-                console.log('BackupManager: 元数据文件已存在');
+            if (!fs.existsSync(this.snapshotsDir)) {
+                fs.mkdirSync(this.snapshotsDir, { recursive: true });
             }
+
         } catch (error) {
             console.error('BackupManager: 创建备份目录失败:', error);
             throw error; // 重新抛出错误，让调用者知道失败了
         }
     }
 
-    async createBackup(sourceFilePath) {
-        try {
-            console.log(`开始创建备份: ${sourceFilePath}`);
-            if (!fs.existsSync(sourceFilePath)) {
-                throw new Error('源文件不存在');
-            }
+    // options.kind 标记特殊用途的备份（例如 pre-restore）；options.protectedIds 中的备份不会被本次清理删除
+    async createBackup(sourceFilePath, details = {}, options = {}) {
+        return this.runOperation('创建备份', async () => {
+            const storedObjects = [];
+            try {
+                console.log(`开始创建备份: ${sourceFilePath}`);
+                if (!fs.existsSync(sourceFilePath)) {
+                    throw new Error('源文件不存在');
+                }
 
-            const stats = fs.statSync(sourceFilePath);
-            const timestamp = new Date();
-            const backupId = this.generateBackupId();
-            const fileName = path.basename(sourceFilePath);
-            const backupFileName = `${backupId}_${fileName}`;
-            const backupFilePath = path.join(this.backupPath, backupFileName);
+                const stats = fs.statSync(sourceFilePath);
+                const isDirectory = stats.isDirectory();
+                const timestamp = new Date();
+                const backupId = this.generateBackupId();
+                const fileName = path.basename(sourceFilePath);
 
-            console.log(`备份文件路径: ${backupFilePath}`);
-            console.log(`源文件路径: ${sourceFilePath}`);
-            console.log(`备份目录: ${this.backupPath}`);
+                console.log(`源文件路径: ${sourceFilePath}`);
+                console.log(`备份目录: ${this.backupPath}`);
 
-            // 确保备份目录存在
-            this.ensureBackupDir();
+                // 确保备份目录存在
+                this.ensureBackupDir();
 
-            // 复制文件
-            console.log('开始复制文件...');
-            await fs.copy(sourceFilePath, backupFilePath);
-            console.log('文件复制完成');
+                // 目录模式下逐个文件写入对象存储，整体作为一个快照；只保存符合文件筛选规则的文件
+                const relativePaths = isDirectory ? await listFiles(sourceFilePath, this.fileFilter) : [fileName];
+                console.log(`待备份文件数量: ${relativePaths.length}`);
 
-            // 验证复制是否成功
-            if (!fs.existsSync(backupFilePath)) {
-                throw new Error('文件复制失败，备份文件不存在');
-            }
-            console.log('备份文件验证成功');
+                // 当前存档所在时间线上一次备份中同一文件的对象，作为差异存储的基准
+                const previousObjects = this.getPreviousObjects(sourceFilePath);
 
-            // 计算文件哈希
-            const fileHash = await this.calculateFileHash(sourceFilePath);
-            console.log(`文件哈希: ${fileHash}`);
+                const files = [];
+                for (const relativePath of relativePaths) {
+                    this.reportProgress(files.length, relativePaths.length, relativePath);
+                    const filePath = isDirectory
+                        ? path.join(sourceFilePath, ...relativePath.split('/'))
+                        : sourceFilePath;
+                    const stored = await this.objectStore.put(filePath, { base: previousObjects.get(relativePath) });
+                    storedObjects.push(stored.object);
+                    files.push({
+                        path: relativePath,
+                        size: stored.size,
+                        storedSize: stored.storedSize,
+                        hash: stored.hash,
+                        object: stored.object
+                    });
+                }
+                console.log('文件已写入对象存储');
 
-            // 检查是否与最近的备份相同
-            const metadata = this.getMetadata();
-            console.log(`现有备份数量: ${metadata.backups.length}`);
+                // 计算文件哈希（目录按文件清单计算）
+                const fileHash = isDirectory ? hashFileList(files) : files[0].hash;
+                console.log(`文件哈希: ${fileHash}`);
+
+                // 检查是否与最近的备份相同
+                const metadata = this.getMetadata();
+                console.log(`现有备份数量: ${metadata.backups.length}`);
             
-            // 先创建备份信息，再检查是否重复（避免过早删除）
-            let isDuplicate = false;
-            if (metadata.backups.length > 0) {
-                const lastBackup = metadata.backups[metadata.backups.length - 1];
-                console.log(`最后备份哈希: ${lastBackup.hash}`);
-                console.log(`当前文件哈希: ${fileHash}`);
+                if (metadata.backups.length > 0) {
+                    const lastBackup = metadata.backups[metadata.backups.length - 1];
+                    console.log(`最后备份哈希: ${lastBackup.hash}`);
+                    console.log(`当前文件哈希: ${fileHash}`);
                 
-                if (lastBackup.hash === fileHash) {
-                    console.log('检测到重复哈希，但仍创建备份记录');
-                    // 暂时不删除，让用户看到备份尝试
-                    isDuplicate = true;
+                    if (lastBackup.hash === fileHash) {
+                        // 内容相同的备份共用同一份对象，不额外占用空间
+                        console.log('检测到重复哈希，复用已有对象创建备份记录');
+                    }
                 }
-            }
 
-            // 创建备份信息
-            const backupInfo = {
-                id: backupId,
-                originalFileName: fileName,
-                backupFileName: backupFileName,
-                timestamp: timestamp.toISOString(),
-                size: stats.size,
-                hash: fileHash,
-                originalPath: sourceFilePath,
-                screenshot: null // 将由主进程设置
-            };
+                // 创建备份信息
+                const backupInfo = {
+                    id: backupId,
+                    type: isDirectory ? 'directory' : 'file',
+                    originalFileName: fileName,
+                    timestamp: timestamp.toISOString(),
+                    size: files.reduce((sum, file) => sum + file.size, 0),
+                    storedSize: files.reduce((sum, file) => sum + file.storedSize, 0),
+                    hash: fileHash,
+                    originalPath: sourceFilePath,
+                    // 当前存档来自哪个备份；恢复旧备份后继续游戏时由此形成新的分支
+                    parentId: this.getHeadId(metadata, sourceFilePath),
+                    files: files,
+                    pinned: false,
+                    encrypted: this.encryption.isEnabled(),
+                    ...(options.kind ? { kind: options.kind } : {}),
+                    ...this.normalizeDetails(details),
+                    screenshot: null // 将由主进程设置
+                };
 
-            console.log('创建备份信息:', backupInfo);
+                console.log('创建备份信息:', backupInfo);
 
-            // 更新元数据
-            metadata.backups.push(backupInfo);
+                // 更新元数据
+                metadata.backups.push(backupInfo);
+                metadata.heads = { ...metadata.heads, [sourceFilePath]: backupId };
+                storedObjects.length = 0;
 
-            // 清理旧备份
-            await this.cleanupOldBackups(metadata);
+                // 清理旧备份；被删除备份的子备份改挂到其上级备份
+                const protectedIds = new Set(options.protectedIds || []);
+                const reparented = [
+                    ...await this.cleanupOldBackups(metadata, protectedIds),
+                    ...await this.enforceStorageQuota(metadata, protectedIds)
+                ];
 
-            // 保存元数据
-            console.log('准备保存元数据到:', this.metadataFile);
-            console.log('元数据内容:', JSON.stringify(metadata, null, 2));
+                // 保存元数据
+                console.log('准备保存元数据到:', this.store.logFile);
             
-            fs.writeJsonSync(this.metadataFile, metadata, { spaces: 2 });
-            console.log('备份元数据已保存');
+                this.saveMetadata(metadata, [backupInfo, ...reparented]);
+                console.log('备份元数据已保存，备份总数:', metadata.backups.length);
+                this.destinations.enqueue(backupId);
 
-            // 验证元数据是否保存成功
-            if (fs.existsSync(this.metadataFile)) {
-                const savedMetadata = fs.readJsonSync(this.metadataFile);
-                console.log('元数据验证成功，备份总数:', savedMetadata.backups.length);
-            } else {
-                throw new Error('元数据文件保存失败');
+                return backupInfo;
+            } catch (error) {
+                console.error('创建备份失败:', error);
+                // 释放本次已写入但未登记到元数据的对象
+                for (const objectHash of storedObjects) {
+                    this.objectStore.release(objectHash);
+                }
+                return null;
             }
+        });
+    }
 
-            // 如果是重复备份，删除备份文件但保留一次记录
-            if (isDuplicate) {
-                console.log('删除重复的备份文件，但保留记录用于调试');
-                try {
-                    fs.removeSync(backupFilePath);
-                } catch (err) {
-                    console.warn('删除重复备份文件失败:', err);
+    // 返回存档当前所在备份（时间线的末端）中每个文件对应的对象
+    getPreviousObjects(sourceFilePath) {
+        const metadata = this.getMetadata();
+        const previous = metadata.backups.find(backup => backup.id === this.getHeadId(metadata, sourceFilePath));
+        return new Map(previous && !previous.backupFileName && previous.files ? previous.files.map(file => [file.path, file.object]) : []);
+    }
+
+    // 存档路径当前对应的备份：最近一次备份或恢复的备份。没有记录时（旧版本的元数据）取该路径最新的备份
+    getHeadId(metadata, sourceFilePath) {
+        const headId = metadata.heads && metadata.heads[sourceFilePath];
+        if (headId && metadata.backups.some(backup => backup.id === headId)) {
+            return headId;
+        }
+
+        const latest = metadata.backups
+            .filter(backup => backup.originalPath === sourceFilePath)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+        return latest ? latest.id : null;
+    }
+
+    // 存档路径当前对应的备份，用于判断存档在此之后是否有变化
+    getHeadBackup(sourceFilePath) {
+        this.store.load();
+        const headId = this.store.state.heads && this.store.state.heads[sourceFilePath];
+        return (headId && this.store.get(headId)) || this.store.query({ game: sourceFilePath, limit: 1 }).items[0] || null;
+    }
+
+    // 从时间线中移除备份：子备份改挂到最近的未删除上级，分支名称交给最早的子备份，
+    // 指向被删除备份的存档路径改指向其上级。返回需要更新清单的备份
+    detachFromTimeline(metadata, removedIds) {
+        const byId = new Map(metadata.backups.map(backup => [backup.id, backup]));
+        const findSurvivingParent = (backup) => {
+            let parentId = backup.parentId;
+            while (parentId && removedIds.has(parentId)) {
+                const parent = byId.get(parentId);
+                parentId = parent ? parent.parentId : null;
+            }
+            return parentId || null;
+        };
+
+        const changed = new Set();
+        for (const backup of metadata.backups) {
+            if (removedIds.has(backup.id) || !backup.parentId || !removedIds.has(backup.parentId)) {
+                continue;
+            }
+
+            const removedParent = byId.get(backup.parentId);
+            if (removedParent && removedParent.branchName && !backup.branchName) {
+                const firstChild = metadata.backups
+                    .filter(b => b.parentId === removedParent.id && !removedIds.has(b.id))
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))[0];
+                if (firstChild === backup) {
+                    backup.branchName = removedParent.branchName;
                 }
             }
+            backup.parentId = findSurvivingParent(backup);
+            changed.add(backup);
+        }
 
-            return backupInfo;
-        } catch (error) {
-            console.error('创建备份失败:', error);
-            return null;
+        for (const [sourcePath, headId] of Object.entries(metadata.heads || {})) {
+            if (removedIds.has(headId)) {
+                const parentId = findSurvivingParent(byId.get(headId) || {});
+                if (parentId) {
+                    metadata.heads[sourcePath] = parentId;
+                } else {
+                    delete metadata.heads[sourcePath];
+                }
+            }
         }
+
+        return [...changed];
     }
 
-    async cleanupOldBackups(metadata) {
-        if (metadata.backups.length <= this.maxBackups) {
-            return;
+    async cleanupOldBackups(metadata, protectedIds = new Set()) {
+        // 固定的备份不参与清理，也不计入最大备份数量
+        const pinnedBackups = metadata.backups.filter(b => b.pinned);
+        const unpinnedBackups = metadata.backups.filter(b => !b.pinned);
+
+        // 启用分层保留策略时按时间段保留，否则只保留最新的 maxBackups 个
+        let backupsToKeep;
+        if (this.retentionPolicy.enabled) {
+            const keepIds = this.retentionPolicy.selectBackupsToKeep(unpinnedBackups);
+            backupsToKeep = unpinnedBackups.filter(b => keepIds.has(b.id));
+        } else {
+            if (unpinnedBackups.length <= this.maxBackups) {
+                return [];
+            }
+
+            // 按时间排序，保留最新的备份
+            unpinnedBackups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            backupsToKeep = unpinnedBackups.slice(0, this.maxBackups);
         }
 
-        // 按时间排序，保留最新的备份
-        metadata.backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        
-        const backupsToDelete = metadata.backups.slice(this.maxBackups);
-        const backupsToKeep = metadata.backups.slice(0, this.maxBackups);
+        // 受保护的备份（例如正在恢复的备份）本次不删除
+        backupsToKeep.push(...unpinnedBackups.filter(b => protectedIds.has(b.id) && !backupsToKeep.includes(b)));
+
+        const backupsToDelete = unpinnedBackups.filter(b => !backupsToKeep.includes(b));
+        if (backupsToDelete.length === 0) {
+            return [];
+        }
+
+        console.log(`清理旧备份: 删除 ${backupsToDelete.length} 个，保留 ${backupsToKeep.length} 个`);
 
-        // 删除旧的备份文件
+        // 删除旧的备份数据
         for (const backup of backupsToDelete) {
-            const backupFilePath = path.join(this.backupPath, backup.backupFileName);
             try {
-                if (fs.existsSync(backupFilePath)) {
-                    fs.removeSync(backupFilePath);
-                }
+                this.removeBackupData(backup);
+            } catch (error) {
+                console.error(`删除备份数据失败: ${backup.id}`, error);
+            }
+        }
+
+        const reparented = this.detachFromTimeline(metadata, new Set(backupsToDelete.map(b => b.id)));
+        metadata.backups = [...pinnedBackups, ...backupsToKeep];
+        return reparented;
+    }
+
+    // 释放备份引用的对象并删除截图；旧版本的备份直接删除其备份文件。返回释放的磁盘空间
+    removeBackupData(backup) {
+        let freedBytes = 0;
+
+        if (backup.backupFileName) {
+            freedBytes += this.removeFile(path.join(this.backupPath, backup.backupFileName));
+        } else {
+            for (const file of backup.files) {
+                freedBytes += this.objectStore.release(file.object);
+            }
+        }
+
+        if (backup.screenshot) {
+            freedBytes += this.removeFile(backup.screenshot);
+        }
+
+        return freedBytes;
+    }
+
+    removeFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            return 0;
+        }
+
+        const stats = fs.statSync(filePath);
+        const size = stats.isDirectory() ? 0 : stats.size;
+        fs.removeSync(filePath);
+        return size;
+    }
+
+    // 备份仓库在磁盘上的实际占用（对象、截图、元数据等全部文件）
+    async getStorageUsage() {
+        const used = await getDirectorySize(this.backupPath);
+        return {
+            used,
+            quota: this.storageQuota
+        };
+    }
+
+    // 超出存储配额时，从最旧的备份开始删除，直到占用低于配额；最新的备份和固定的备份始终保留
+    async enforceStorageQuota(metadata, protectedIds = new Set()) {
+        if (!this.storageQuota) {
+            return [];
+        }
+
+        let { used } = await this.getStorageUsage();
+        if (used <= this.storageQuota) {
+            return [];
+        }
+
+        console.log(`备份仓库占用 ${used} 字节，超出配额 ${this.storageQuota} 字节，开始清理`);
+
+        const sorted = [...metadata.backups].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const candidates = sorted.slice(0, -1).filter(b => !b.pinned && !protectedIds.has(b.id));
+        const removedIds = new Set();
+
+        for (const backup of candidates) {
+            if (used <= this.storageQuota) {
+                break;
+            }
+
+            try {
+                used -= this.removeBackupData(backup);
+                removedIds.add(backup.id);
             } catch (error) {
-                console.error(`删除备份文件失败: ${backup.backupFileName}`, error);
+                console.error(`删除备份数据失败: ${backup.id}`, error);
             }
         }
 
-        metadata.backups = backupsToKeep;
+        const reparented = this.detachFromTimeline(metadata, removedIds);
+        metadata.backups = metadata.backups.filter(b => !removedIds.has(b.id));
+        console.log(`配额清理完成: 删除 ${removedIds.size} 个备份，当前占用 ${used} 字节`);
+        return reparented;
     }
 
+    // 全部备份，从新到旧
     getBackupList() {
+        return this.queryBackups().items;
+    }
+
+    // 分页查询备份，筛选和排序参数见 MetadataStore.query
+    queryBackups(options = {}) {
         try {
-            const metadata = this.getMetadata();
-            return metadata.backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            const result = this.store.query(options);
+            const headIds = new Set(Object.values(this.store.state.heads || {}));
+            for (const backup of result.items) {
+                backup.isHead = headIds.has(backup.id);
+            }
+            return result;
         } catch (error) {
-            console.error('获取备份列表失败:', error);
-            return [];
+            console.error('查询备份列表失败:', error);
+            return { total: 0, offset: 0, limit: 0, items: [] };
         }
     }
 
-    async restoreBackup(backupId, targetPath) {
+    // 可用于筛选备份的游戏和标签
+    getBackupFilters() {
         try {
-            const metadata = this.getMetadata();
-            const backup = metadata.backups.find(b => b.id === backupId);
-            
-            if (!backup) {
-                throw new Error('备份不存在');
-            }
+            return this.store.getFilterOptions();
+        } catch (error) {
+            console.error('获取备份筛选条件失败:', error);
+            return { games: [], tags: [] };
+        }
+    }
 
-            const backupFilePath = path.join(this.backupPath, backup.backupFileName);
+    // 恢复备份到目标路径。覆盖前先把当前存档记录为 pre-restore 备份，以便撤销这次恢复；
+    // options.skipSnapshot 用于撤销恢复本身
+    async restoreBackup(backupId, targetPath, options = {}) {
+        return this.runOperation('恢复备份', async () => {
+            try {
+                const metadata = this.getMetadata();
+                const backup = metadata.backups.find(b => b.id === backupId);
             
-            if (!fs.existsSync(backupFilePath)) {
-                throw new Error('备份文件不存在');
-            }
+                if (!backup) {
+                    throw new Error('备份不存在');
+                }
 
-            // 创建目标目录的备份（以防出错）
-            if (fs.existsSync(targetPath)) {
-                const tempBackupPath = targetPath + '.temp_backup';
-                await fs.copy(targetPath, tempBackupPath);
+                this.assertBackupDataExists(backup);
+
+                let snapshot = null;
+                if (!options.skipSnapshot && fs.existsSync(targetPath)) {
+                    snapshot = await this.createBackup(targetPath, {
+                        label: '恢复前自动备份',
+                        note: `恢复 ${new Date(backup.timestamp).toLocaleString()} 的备份前的存档`
+                    }, { kind: 'pre-restore', protectedIds: [backupId] });
+                    if (!snapshot) {
+                        throw new Error('无法备份当前存档，已取消恢复');
+                    }
+                }
+
+                // 创建目标目录的备份（以防出错）
+                if (fs.existsSync(targetPath)) {
+                    const tempBackupPath = targetPath + '.temp_backup';
+                    await fs.copy(targetPath, tempBackupPath);
                 
-                try {
-                    // 恢复备份
-                    await fs.copy(backupFilePath, targetPath);
-                    // 删除临时备份
-                    fs.removeSync(tempBackupPath);
-                } catch (error) {
-                    // 恢复失败，还原原文件
-                    await fs.copy(tempBackupPath, targetPath);
-                    fs.removeSync(tempBackupPath);
-                    throw error;
+                    try {
+                        // 恢复备份
+                        await this.copyBackupTo(backup, targetPath, options);
+                        // 删除临时备份
+                        fs.removeSync(tempBackupPath);
+                    } catch (error) {
+                        // 恢复失败，还原原文件
+                        fs.removeSync(targetPath);
+                        await fs.copy(tempBackupPath, targetPath);
+                        fs.removeSync(tempBackupPath);
+                        throw error;
+                    }
+                } else {
+                    // 确保目标目录存在
+                    const targetDir = path.dirname(targetPath);
+                    if (!fs.existsSync(targetDir)) {
+                        fs.mkdirSync(targetDir, { recursive: true });
+                    }
+                    await this.copyBackupTo(backup, targetPath, options);
                 }
-            } else {
-                // 确保目标目录存在
-                const targetDir = path.dirname(targetPath);
-                if (!fs.existsSync(targetDir)) {
-                    fs.mkdirSync(targetDir, { recursive: true });
+
+                // 之后的备份以恢复的备份为上级，形成新的分支
+                const updatedMetadata = this.getMetadata();
+                updatedMetadata.heads = { ...updatedMetadata.heads, [targetPath]: backupId };
+                if (!options.skipSnapshot) {
+                    updatedMetadata.lastRestore = {
+                        backupId,
+                        snapshotId: snapshot ? snapshot.id : null,
+                        targetPath,
+                        restoredAt: new Date().toISOString()
+                    };
                 }
-                await fs.copy(backupFilePath, targetPath);
+                this.saveMetadata(updatedMetadata);
+
+                return true;
+            } catch (error) {
+                console.error('恢复备份失败:', error);
+                return false;
             }
+        });
+    }
 
-            return true;
-        } catch (error) {
-            console.error('恢复备份失败:', error);
-            return false;
+    // 最近一次恢复的记录；恢复前的存档备份已被删除时无法撤销，返回 null
+    getLastRestore() {
+        const lastRestore = this.getMetadata().lastRestore;
+        if (!lastRestore || (lastRestore.snapshotId && !this.getBackupInfo(lastRestore.snapshotId))) {
+            return null;
         }
+        return lastRestore;
     }
 
-    deleteBackup(backupId) {
-        try {
-            const metadata = this.getMetadata();
-            const backupIndex = metadata.backups.findIndex(b => b.id === backupId);
-            
-            if (backupIndex === -1) {
-                return false;
-            }
+    setLastRestore(lastRestore) {
+        const metadata = this.getMetadata();
+        if (lastRestore) {
+            metadata.lastRestore = lastRestore;
+        } else {
+            delete metadata.lastRestore;
+        }
+        this.saveMetadata(metadata);
+    }
 
-            const backup = metadata.backups[backupIndex];
-            const backupFilePath = path.join(this.backupPath, backup.backupFileName);
+    // 撤销最近一次恢复：把目标路径还原为恢复前的存档；恢复前目标不存在时删除恢复出的文件
+    async undoLastRestore() {
+        return this.runOperation('撤销恢复', async () => {
+            const lastRestore = this.getLastRestore();
+            if (!lastRestore) {
+                throw new Error('没有可以撤销的恢复');
+            }
 
-            // 删除备份文件
-            if (fs.existsSync(backupFilePath)) {
-                fs.removeSync(backupFilePath);
+            console.log(`撤销恢复: ${lastRestore.targetPath}`);
+            if (lastRestore.snapshotId) {
+                const restored = await this.restoreBackup(lastRestore.snapshotId, lastRestore.targetPath, {
+                    removeExtraneous: true,
+                    skipSnapshot: true
+                });
+                if (!restored) {
+                    throw new Error('还原恢复前的存档失败');
+                }
+            } else {
+                fs.removeSync(lastRestore.targetPath);
             }
 
-            // 从元数据中移除
-            metadata.backups.splice(backupIndex, 1);
-            fs.writeJsonSync(this.metadataFile, metadata, { spaces: 2 });
+            this.setLastRestore(null);
+            return lastRestore;
+        });
+    }
 
-            return true;
-        } catch (error) {
-            console.error('删除备份失败:', error);
-            return false;
-        }
+    // 存档旁的恢复副本路径，例如 save.sav.restored
+    getRestoreCopyPath(savePath) {
+        return `${savePath}.restored`;
     }
 
-    getBackupInfo(backupId) {
-        const metadata = this.getMetadata();
-        return metadata.backups.find(b => b.id === backupId) || null;
+    // 将备份完整恢复到另一个位置，不经过正在监控的存档。
+    // replaceExisting 为 true 时先删除已有的恢复副本；否则目录快照只恢复到空目录，避免删除无关文件
+    async restoreBackupAs(backupId, targetPath, options = {}) {
+        return this.runOperation('恢复备份到其他位置', async () => {
+            const backup = this.getBackupInfo(backupId);
+            if (!backup) {
+                throw new Error('备份不存在');
+            }
+
+            this.assertBackupDataExists(backup);
+
+            if (fs.existsSync(targetPath)) {
+                const isDirectory = fs.statSync(targetPath).isDirectory();
+                if (options.replaceExisting) {
+                    fs.removeSync(targetPath);
+                } else if (backup.type === 'directory' && (!isDirectory || fs.readdirSync(targetPath).length > 0)) {
+                    throw new Error('目标位置已存在且不是空目录');
+                } else if (backup.type !== 'directory' && isDirectory) {
+                    throw new Error('目标位置是一个目录');
+                }
+            }
+
+            console.log(`恢复备份 ${backupId} 到: ${targetPath}`);
+            await fs.ensureDir(path.dirname(targetPath));
+            await this.copyBackupTo(backup, targetPath);
+            return targetPath;
+        });
     }
 
-    getMetadata() {
-        try {
-            if (fs.existsSync(this.metadataFile)) {
-                return fs.readJsonSync(this.metadataFile);
+    assertBackupDataExists(backup) {
+        if (backup.backupFileName) {
+            if (!fs.existsSync(path.join(this.backupPath, backup.backupFileName))) {
+                throw new Error('备份文件不存在');
+            }
+            return;
+        }
+
+        for (const file of backup.files) {
+            if (!this.objectStore.has(file.object)) {
+                throw new Error(`备份文件不存在: ${file.path}`);
             }
-            return { backups: [] };
-        } catch (error) {
-            console.error('读取元数据失败:', error);
-            return { backups: [] };
         }
     }
 
-    generateBackupId() {
-        const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 15);
-        return `backup_${timestamp}_${random}`;
+    // 将备份内容写入目标路径；目录快照可选择删除快照中不存在的文件
+    async copyBackupTo(backup, targetPath, options = {}) {
+        if (backup.backupFileName) {
+            await fs.copy(path.join(this.backupPath, backup.backupFileName), targetPath);
+        } else if (backup.type === 'directory') {
+            for (const file of backup.files) {
+                await this.objectStore.extract(file.object, path.join(targetPath, ...file.path.split('/')));
+            }
+        } else {
+            await this.objectStore.extract(backup.files[0].object, targetPath);
+        }
+
+        if (backup.type !== 'directory' || !options.removeExtraneous) {
+            return;
+        }
+
+        // 被文件筛选规则排除的文件（缓存、日志等）不在快照中，也不删除
+        const snapshotFiles = new Set(backup.files.map(file => file.path));
+        for (const relativePath of await listFiles(targetPath, this.fileFilter)) {
+            if (!snapshotFiles.has(relativePath)) {
+                console.log(`删除快照中不存在的文件: ${relativePath}`);
+                fs.removeSync(path.join(targetPath, ...relativePath.split('/')));
+            }
+        }
     }
 
-    async calculateFileHash(filePath) {
-        return new Promise((resolve, reject) => {
-            const hash = crypto.createHash('md5');
-            const stream = fs.createReadStream(filePath);
-            
-            stream.on('data', (data) => {
-                hash.update(data);
-            });
-            
-            stream.on('end', () => {
-                resolve(hash.digest('hex'));
-            });
+    deleteBackup(backupId) {
+        return this.runOperation('删除备份', async () => {
+            try {
+                const metadata = this.getMetadata();
+                const backupIndex = metadata.backups.findIndex(b => b.id === backupId);
             
-            stream.on('error', (error) => {
-                reject(error);
-            });
+                if (backupIndex === -1) {
+                    return false;
+                }
+
+                const backup = metadata.backups[backupIndex];
+
+                // 删除备份数据（按引用计数释放对象）
+                this.removeBackupData(backup);
+
+                // 从元数据中移除
+                const reparented = this.detachFromTimeline(metadata, new Set([backupId]));
+                metadata.backups.splice(backupIndex, 1);
+                this.saveMetadata(metadata, reparented);
+
+                return true;
+            } catch (error) {
+                console.error('删除备份失败:', error);
+                return false;
+            }
         });
     }
 
-    getBackupStats() {
-        const metadata = this.getMetadata();
-        const totalSize = metadata.backups.reduce((sum, backup) => sum + backup.size, 0);
-        
-        return {
-            totalBackups: metadata.backups.length,
-            totalSize: totalSize,
-            oldestBackup: metadata.backups.length > 0 ? 
-                Math.min(...metadata.backups.map(b => new Date(b.timestamp))) : null,
-            newestBackup: metadata.backups.length > 0 ? 
-                Math.max(...metadata.backups.map(b => new Date(b.timestamp))) : null
-        };
+    // 固定/取消固定备份，固定的备份不会被任何自动清理删除
+    setBackupPinned(backupId, pinned) {
+        return this.runOperation('固定备份', async () => {
+            try {
+                const metadata = this.getMetadata();
+                const backup = metadata.backups.find(b => b.id === backupId);
+
+                if (!backup) {
+                    console.warn('未找到指定的备份记录');
+                    return false;
+                }
+
+                backup.pinned = Boolean(pinned);
+                this.saveMetadata(metadata, [backup]);
+                console.log(`备份 ${backupId} 已${backup.pinned ? '固定' : '取消固定'}`);
+                return true;
+            } catch (error) {
+                console.error('更新备份固定状态失败:', error);
+                return false;
+            }
+        });
     }
 
-    setMaxBackups(max) {
-        this.maxBackups = max;
+    // 更新备份的名称、备注和标签
+    updateBackupDetails(backupId, details) {
+        return this.runOperation('更新备份信息', async () => {
+            try {
+                const metadata = this.getMetadata();
+                const backup = metadata.backups.find(b => b.id === backupId);
+
+                if (!backup) {
+                    console.warn('未找到指定的备份记录');
+                    return null;
+                }
+
+                Object.assign(backup, this.normalizeDetails({
+                    label: backup.label,
+                    note: backup.note,
+                    tags: backup.tags,
+                    ...details
+                }));
+                this.saveMetadata(metadata, [backup]);
+                console.log(`备份 ${backupId} 的详细信息已更新`);
+                return backup;
+            } catch (error) {
+                console.error('更新备份详细信息失败:', error);
+                return null;
+            }
+        });
     }
 
-    updateBackupScreenshot(backupId, screenshotPath) {
-        try {
-            console.log(`更新备份截图: ${backupId} -> ${screenshotPath}`);
-            const metadata = this.getMetadata();
-            const backup = metadata.backups.find(b => b.id === backupId);
-            
-            if (backup) {
-                backup.screenshot = screenshotPath;
-                fs.writeJsonSync(this.metadataFile, metadata, { spaces: 2 });
-                console.log('备份截图信息已更新');
+    // 命名分支：名称记录在分支的第一个备份上
+    setBranchName(backupId, name) {
+        return this.runOperation('命名分支', async () => {
+            try {
+                const metadata = this.getMetadata();
+                const backup = metadata.backups.find(b => b.id === backupId);
+                if (!backup) {
+                    return false;
+                }
+
+                backup.branchName = String(name || '').trim();
+                if (!backup.branchName) {
+                    delete backup.branchName;
+                }
+                this.saveMetadata(metadata, [backup]);
                 return true;
-            } else {
-                console.warn('未找到指定的备份记录');
+            } catch (error) {
+                console.error('设置分支名称失败:', error);
                 return false;
             }
-        } catch (error) {
-            console.error('更新备份截图失败:', error);
-            return false;
+        });
+    }
+
+    normalizeDetails(details = {}) {
+        const tags = Array.isArray(details.tags) ? details.tags : String(details.tags || '').split(/[,，]/);
+        return {
+            label: String(details.label || '').trim(),
+            note: String(details.note || '').trim(),
+            tags: [...new Set(tags.map(tag => String(tag).trim()).filter(Boolean))]
+        };
+    }
+
+    getBackupInfo(backupId) {
+        return this.store.get(backupId);
+    }
+
+    // 返回内存中元数据的副本，首次访问时从元数据日志读取；日志损坏时抛出错误，避免用空列表覆盖。
+    // 调用者修改副本后通过 saveMetadata 提交
+    getMetadata() {
+        return this.store.getMetadata();
+    }
+
+    // 更新内存中的元数据，并安排稍后写入元数据日志和指定备份的清单文件
+    saveMetadata(metadata, changedBackups = []) {
+        this.store.setMetadata(metadata);
+        this.metadataDirty = true;
+        for (const backup of changedBackups) {
+            this.dirtyManifests.add(backup.id);
+        }
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushMetadata(), METADATA_FLUSH_DELAY);
+        }
+    }
+
+    // 立即把内存中的元数据写入磁盘；退出程序、重建索引和上传备份清单前调用
+    flushMetadata() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.metadataDirty) {
+            return;
+        }
+
+        try {
+            this.store.flush();
+
+            const backupsById = this.store.backups;
+            for (const backupId of this.dirtyManifests) {
+                if (backupsById.has(backupId)) {
+                    writeJsonAtomic(this.getSnapshotManifestPath(backupId), backupsById.get(backupId));
+                }
+            }
+
+            // 清理已不在元数据中的备份清单
+            for (const fileName of fs.readdirSync(this.snapshotsDir)) {
+                const backupId = path.basename(fileName).replace(/\.json(\.bak)?$/, '');
+                if (BACKUP_ID_PATTERN.test(backupId) && !backupsById.has(backupId)) {
+                    fs.removeSync(path.join(this.snapshotsDir, fileName));
+                }
+            }
+
+            this.metadataDirty = false;
+            this.dirtyManifests.clear();
+        } catch (error) {
+            console.error('写入备份元数据失败:', error);
+            this.flushTimer = setTimeout(() => this.flushMetadata(), METADATA_FLUSH_DELAY);
+        }
+    }
+
+    // 备份管理器被替换时调用：不再接受新操作，等待队列中的操作完成后停止上传并写入未保存的元数据
+    async close() {
+        this.closed = true;
+        await this.operationQueue;
+        this.destinations.stop();
+        this.flushMetadata();
+    }
+
+    getSnapshotManifestPath(backupId) {
+        return path.join(this.snapshotsDir, `${backupId}.json`);
+    }
+
+    // 扫描备份清单、旧版本备份文件和截图目录，重建元数据日志与对象引用计数
+    async rebuildIndex() {
+        return this.runOperation('重建索引', async () => {
+            console.log('开始重建备份索引');
+            // 先写入内存中尚未保存的备份清单
+            this.flushMetadata();
+            const backups = new Map();
+
+            // 1. 备份清单
+            for (const fileName of fs.readdirSync(this.snapshotsDir)) {
+                const match = fileName.match(/^(.+)\.json$/);
+                if (!match || !BACKUP_ID_PATTERN.test(match[1])) {
+                    continue;
+                }
+
+                try {
+                    const backup = readJsonWithFallback(path.join(this.snapshotsDir, fileName), null);
+                    if (backup && backup.id === match[1]) {
+                        backups.set(backup.id, backup);
+                    }
+                } catch (error) {
+                    console.error(`备份清单损坏，跳过: ${fileName}`, error);
+                }
+            }
+
+            // 2. 旧版本的 backup_<时间戳>_<随机串>_<文件名> 备份文件
+            for (const fileName of fs.readdirSync(this.backupPath)) {
+                const match = fileName.match(LEGACY_BACKUP_FILE_PATTERN);
+                if (match && !backups.has(match[1])) {
+                    backups.set(match[1], await this.createLegacyBackupInfo(fileName));
+                }
+            }
+
+            // 3. 截图目录中按备份ID命名的截图
+            if (fs.existsSync(this.screenshotsDir)) {
+                for (const fileName of fs.readdirSync(this.screenshotsDir)) {
+                    const backup = backups.get(path.basename(fileName, '.png'));
+                    if (backup && !backup.screenshot) {
+                        const screenshotPath = path.join(this.screenshotsDir, fileName);
+                        backup.screenshot = screenshotPath;
+                        backup.screenshotHash = await this.calculateFileHash(screenshotPath);
+                    }
+                }
+            }
+
+            const metadata = {
+                backups: [...backups.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            };
+
+            // 旧元数据仍可读取时保留最近一次恢复的记录（以便继续撤销）和各存档路径对应的备份
+            try {
+                const { lastRestore, heads } = this.getMetadata();
+                if (lastRestore && (!lastRestore.snapshotId || backups.has(lastRestore.snapshotId))) {
+                    metadata.lastRestore = lastRestore;
+                }
+                metadata.heads = Object.fromEntries(Object.entries(heads || {}).filter(([, headId]) => backups.has(headId)));
+            } catch (error) {
+                console.error('读取备份元数据失败:', error);
+            }
+
+            // 按重建后的备份重新统计对象引用
+            const referenceCounts = {};
+            for (const backup of metadata.backups) {
+                if (backup.backupFileName) {
+                    continue;
+                }
+                for (const file of backup.files) {
+                    referenceCounts[file.object] = (referenceCounts[file.object] || 0) + 1;
+                }
+            }
+            this.objectStore.rebuildIndex(referenceCounts, metadata.backups);
+
+            this.saveMetadata(metadata, metadata.backups);
+            console.log(`备份索引重建完成，共 ${metadata.backups.length} 个备份`);
+            return metadata.backups.length;
+        });
+    }
+
+    // 根据旧版本的 backup_<时间戳>_<随机串>_<文件名> 备份文件生成备份信息；文件名不符合格式时返回 null
+    async createLegacyBackupInfo(fileName) {
+        const match = fileName.match(LEGACY_BACKUP_FILE_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const backupFilePath = path.join(this.backupPath, fileName);
+        const stats = fs.statSync(backupFilePath);
+        const files = stats.isDirectory() ? await scanTree(backupFilePath) : null;
+        return {
+            id: match[1],
+            type: stats.isDirectory() ? 'directory' : 'file',
+            originalFileName: match[4],
+            backupFileName: fileName,
+            timestamp: new Date(Number(match[2])).toISOString(),
+            size: files ? files.reduce((sum, file) => sum + file.size, 0) : stats.size,
+            hash: files ? hashFileList(files) : await this.calculateFileHash(backupFilePath),
+            originalPath: null,
+            files: files,
+            pinned: false,
+            ...this.normalizeDetails(),
+            screenshot: null
+        };
+    }
+
+    // 检查元数据与备份目录是否一致：缺少数据的备份、多余的截图和对象、未登记的备份、残留的临时文件
+    async checkConsistency() {
+        return this.runOperation('检查一致性', () => this.consistency.check());
+    }
+
+    // 按最新的检查结果清理或重新关联，返回 { report, repaired }
+    async repairConsistency() {
+        return this.runOperation('修复一致性问题', () => this.consistency.repair());
+    }
+
+    generateBackupId() {
+        const timestamp = Date.now();
+        const random = Math.random().toString(36).substring(2, 15);
+        return `backup_${timestamp}_${random}`;
+    }
+
+    async calculateFileHash(filePath) {
+        return calculateFileHash(filePath);
+    }
+
+    getBackupStats() {
+        const { timeline } = this.store.getIndex();
+        let totalSize = 0;
+        for (const backup of this.store.backups.values()) {
+            totalSize += backup.size;
+        }
+        // 对象存储已去重，按实际存放的对象统计原始大小与占用空间
+        const objectStats = this.objectStore.getStats();
+        
+        return {
+            totalBackups: timeline.length,
+            totalSize: totalSize,
+            uniqueSize: objectStats.size,
+            storedSize: objectStats.storedSize,
+            compressionRatio: objectStats.storedSize > 0 ? objectStats.size / objectStats.storedSize : 1,
+            oldestBackup: timeline.length > 0 ? timeline[0].time : null,
+            newestBackup: timeline.length > 0 ? timeline[timeline.length - 1].time : null
+        };
+    }
+
+    // 重新计算所有备份数据和截图的哈希并与元数据比对，结果写入每个备份和校验报告
+    async verifyBackups() {
+        return this.runOperation('校验备份', async () => {
+            const metadata = this.getMetadata();
+            const checkedAt = new Date().toISOString();
+            const objectResults = new Map(); // 去重后的对象只校验一次
+            const results = [];
+
+            console.log(`开始校验备份，共 ${metadata.backups.length} 个`);
+
+            for (const backup of metadata.backups) {
+                this.reportProgress(results.length, metadata.backups.length, backup.id);
+                const problems = [];
+
+                try {
+                    problems.push(...await this.verifyBackupData(backup, objectResults));
+                } catch (error) {
+                    problems.push({ type: 'corrupted', target: 'data', message: error.message });
+                }
+
+                if (backup.screenshot) {
+                    if (!fs.existsSync(backup.screenshot)) {
+                        problems.push({ type: 'missing', target: 'screenshot', message: '截图文件不存在' });
+                    } else if (backup.screenshotHash && await this.calculateFileHash(backup.screenshot) !== backup.screenshotHash) {
+                        problems.push({ type: 'corrupted', target: 'screenshot', message: '截图文件哈希不匹配' });
+                    }
+                }
+
+                let status = 'ok';
+                if (problems.some(problem => problem.type === 'corrupted')) {
+                    status = 'corrupted';
+                } else if (problems.some(problem => problem.type === 'missing')) {
+                    status = 'missing';
+                } else if (problems.length > 0) {
+                    status = 'locked';
+                }
+
+                backup.verification = { status, checkedAt, problems };
+                results.push({
+                    id: backup.id,
+                    label: backup.label,
+                    timestamp: backup.timestamp,
+                    status,
+                    problems
+                });
+            }
+
+            this.saveMetadata(metadata);
+
+            const report = {
+                checkedAt,
+                summary: {
+                    total: results.length,
+                    ok: results.filter(r => r.status === 'ok').length,
+                    missing: results.filter(r => r.status === 'missing').length,
+                    corrupted: results.filter(r => r.status === 'corrupted').length,
+                    locked: results.filter(r => r.status === 'locked').length
+                },
+                results
+            };
+
+            writeJsonAtomic(this.verifyReportFile, report);
+            console.log('备份校验完成:', report.summary);
+            return report;
+        });
+    }
+
+    async verifyBackupData(backup, objectResults) {
+        const problems = [];
+
+        // 旧版本的备份直接比对备份文件
+        if (backup.backupFileName) {
+            const backupFilePath = path.join(this.backupPath, backup.backupFileName);
+            if (!fs.existsSync(backupFilePath)) {
+                return [{ type: 'missing', target: 'data', message: '备份文件不存在' }];
+            }
+
+            const files = backup.files || [{ path: '', hash: backup.hash }];
+            for (const file of files) {
+                const filePath = path.join(backupFilePath, ...file.path.split('/').filter(Boolean));
+                if (!fs.existsSync(filePath)) {
+                    problems.push({ type: 'missing', target: file.path || 'data', message: '备份文件不存在' });
+                } else if (await this.calculateFileHash(filePath) !== file.hash) {
+                    problems.push({ type: 'corrupted', target: file.path || 'data', message: '文件哈希不匹配' });
+                }
+            }
+            return problems;
         }
+
+        for (const file of backup.files) {
+            if (!objectResults.has(file.object)) {
+                objectResults.set(file.object, await this.objectStore.verify(file.object));
+            }
+
+            const result = objectResults.get(file.object);
+            if (result.status === 'locked') {
+                problems.push({ type: 'locked', target: file.path, message: '备份已加密，解锁后才能校验' });
+            } else if (result.status === 'missing') {
+                problems.push({ type: 'missing', target: file.path, message: '备份对象不存在' });
+            } else if (result.status === 'corrupted' || result.md5 !== file.hash) {
+                problems.push({ type: 'corrupted', target: file.path, message: '文件哈希不匹配' });
+            }
+        }
+
+        return problems;
+    }
+
+    setMaxBackups(max) {
+        this.maxBackups = max;
+    }
+
+    setStorageQuota(bytes) {
+        this.storageQuota = bytes > 0 ? bytes : 0;
+    }
+
+    setRetentionPolicy(options) {
+        this.retentionPolicy = new RetentionPolicy(options);
+    }
+
+    setCompression(compression, level) {
+        this.objectStore.setCompression(compression, level);
+    }
+
+    // 设置目录存档的文件筛选规则（见 PathFilter），存档监控也按此判断文件变化是否需要备份
+    setFileFilter(rules) {
+        this.fileFilter = new PathFilter(rules);
+    }
+
+    // 比较两个备份：列出新增、删除和修改的文件，修改的文件给出键值或字节范围差异。
+    // 较早的备份作为旧版本
+    async diffBackups(backupIdA, backupIdB) {
+        return this.runOperation('比较备份', async () => {
+            const backups = [backupIdA, backupIdB].map(backupId => {
+                const backup = this.getBackupInfo(backupId);
+                if (!backup) {
+                    throw new Error(`备份不存在: ${backupId}`);
+                }
+                this.assertBackupDataExists(backup);
+                return backup;
+            }).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            const [oldBackup, newBackup] = backups;
+
+            const oldFiles = await this.getBackupFiles(oldBackup);
+            const newFiles = await this.getBackupFiles(newBackup);
+            const paths = [...new Set([...newFiles.keys(), ...oldFiles.keys()])].sort();
+            const files = [];
+            let unchanged = 0;
+
+            for (const filePath of paths) {
+                const oldFile = oldFiles.get(filePath);
+                const newFile = newFiles.get(filePath);
+
+                if (oldFile && newFile && oldFile.hash === newFile.hash) {
+                    unchanged++;
+                } else if (!oldFile || !newFile) {
+                    const file = oldFile || newFile;
+                    files.push({ path: filePath, status: oldFile ? 'removed' : 'added', size: file.size });
+                } else if (Math.max(oldFile.size, newFile.size) > MAX_DIFF_FILE_SIZE) {
+                    files.push({ path: filePath, status: 'modified', oldSize: oldFile.size, newSize: newFile.size, diff: null });
+                } else {
+                    const diff = diffSaveData(await oldFile.read(), await newFile.read(), filePath);
+                    files.push({ path: filePath, status: 'modified', oldSize: oldFile.size, newSize: newFile.size, diff });
+                }
+            }
+
+            const describe = backup => ({
+                id: backup.id,
+                label: backup.label,
+                originalFileName: backup.originalFileName,
+                timestamp: backup.timestamp
+            });
+            return { from: describe(oldBackup), to: describe(newBackup), files, unchanged };
+        });
+    }
+
+    // 返回备份中每个文件的哈希、大小和读取内容的方法
+    async getBackupFiles(backup) {
+        const files = new Map();
+
+        if (backup.backupFileName) {
+            const backupFilePath = path.join(this.backupPath, backup.backupFileName);
+            const isDirectory = fs.statSync(backupFilePath).isDirectory();
+            const relativePaths = isDirectory ? await listFiles(backupFilePath) : [backup.originalFileName];
+            for (const relativePath of relativePaths) {
+                const filePath = isDirectory ? path.join(backupFilePath, ...relativePath.split('/')) : backupFilePath;
+                files.set(relativePath, {
+                    hash: await this.calculateFileHash(filePath),
+                    size: fs.statSync(filePath).size,
+                    read: () => fs.readFile(filePath)
+                });
+            }
+            return files;
+        }
+
+        for (const file of backup.files) {
+            files.set(file.path, {
+                hash: file.hash,
+                size: file.size,
+                read: async () => {
+                    const chunks = [];
+                    for await (const data of await this.objectStore.openReadStream(file.object)) {
+                        chunks.push(data);
+                    }
+                    return Buffer.concat(chunks);
+                }
+            });
+        }
+        return files;
+    }
+
+    // 将指定备份导出为单个导出包；导出包中的数据不加密。
+    // 解密后的数据暂存在导出包所在目录，不写入系统临时目录
+    async exportBackups(backupIds, bundlePath) {
+        return this.runOperation('导出备份', async () => {
+            const metadata = this.getMetadata();
+            const backups = backupIds.map(backupId => {
+                const backup = metadata.backups.find(b => b.id === backupId);
+                if (!backup) {
+                    throw new Error(`备份不存在: ${backupId}`);
+                }
+                return backup;
+            });
+
+            if (backups.length === 0) {
+                throw new Error('请选择要导出的备份');
+            }
+
+            await fs.ensureDir(path.dirname(bundlePath));
+            const stagingDir = await fs.mkdtemp(path.join(path.dirname(bundlePath), '.gamesave-export-'));
+            try {
+                await fs.ensureDir(path.join(stagingDir, 'data'));
+                await fs.ensureDir(path.join(stagingDir, 'screenshots'));
+                const manifest = {
+                    format: BUNDLE_FORMAT,
+                    version: BUNDLE_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    backups: []
+                };
+
+                for (const backup of backups) {
+                    this.reportProgress(manifest.backups.length, backups.length, backup.id);
+                    this.assertBackupDataExists(backup);
+                    console.log(`导出备份: ${backup.id}`);
+                    manifest.backups.push(await this.stageBackupForExport(backup, stagingDir));
+                }
+
+                fs.writeJsonSync(path.join(stagingDir, 'manifest.json'), manifest, { spaces: 2 });
+                await tar.c({ gzip: true, file: bundlePath, cwd: stagingDir, portable: true }, ['manifest.json', 'data', 'screenshots']);
+                console.log(`导出完成: ${bundlePath}，共 ${backups.length} 个备份`);
+                return manifest.backups.length;
+            } finally {
+                fs.removeSync(stagingDir);
+            }
+        });
+    }
+
+    // 将备份内容以原始数据写入导出目录，返回导出包清单中的备份条目
+    async stageBackupForExport(backup, stagingDir) {
+        const files = [];
+
+        if (backup.backupFileName) {
+            const backupFilePath = path.join(this.backupPath, backup.backupFileName);
+            const isDirectory = fs.statSync(backupFilePath).isDirectory();
+            const relativePaths = isDirectory ? await listFiles(backupFilePath) : [backup.originalFileName];
+            for (const relativePath of relativePaths) {
+                const filePath = isDirectory ? path.join(backupFilePath, ...relativePath.split('/')) : backupFilePath;
+                files.push({ path: relativePath, ...await this.stageExportData(fs.createReadStream(filePath), stagingDir) });
+            }
+        } else {
+            for (const file of backup.files) {
+                const dataPath = path.join(stagingDir, 'data', file.object);
+                if (!fs.existsSync(dataPath)) {
+                    await pipeline(await this.objectStore.openReadStream(file.object), fs.createWriteStream(dataPath));
+                }
+                files.push({ path: file.path, size: file.size, hash: file.hash, object: file.object });
+            }
+        }
+
+        let screenshot = null;
+        if (backup.screenshot && fs.existsSync(backup.screenshot)) {
+            screenshot = `screenshots/${backup.id}.png`;
+            await fs.copy(backup.screenshot, path.join(stagingDir, screenshot));
+        }
+
+        return {
+            id: backup.id,
+            type: backup.type,
+            originalFileName: backup.originalFileName,
+            timestamp: backup.timestamp,
+            size: files.reduce((sum, file) => sum + file.size, 0),
+            hash: backup.hash,
+            originalPath: backup.originalPath,
+            files,
+            label: backup.label,
+            note: backup.note,
+            tags: backup.tags,
+            screenshot,
+            screenshotHash: screenshot ? backup.screenshotHash : undefined
+        };
+    }
+
+    // 复制旧版本备份的数据到导出目录，同时计算对象哈希和文件MD5
+    async stageExportData(input, stagingDir) {
+        const tempPath = path.join(stagingDir, 'data', `tmp_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`);
+        const sha256 = crypto.createHash('sha256');
+        const md5 = crypto.createHash('md5');
+        let size = 0;
+
+        input.on('data', (data) => {
+            sha256.update(data);
+            md5.update(data);
+            size += data.length;
+        });
+        await pipeline(input, fs.createWriteStream(tempPath));
+
+        const object = sha256.digest('hex');
+        await fs.move(tempPath, path.join(stagingDir, 'data', object), { overwrite: true });
+        return { size, hash: md5.digest('hex'), object };
+    }
+
+    // 导入导出包：逐个校验文件哈希后写入对象存储，备份ID冲突时分配新ID，完全相同的备份跳过
+    async importBundle(bundlePath) {
+        return this.runOperation('导入备份包', async () => {
+            const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gamesave-import-'));
+            const result = { imported: [], skipped: [], failed: [] };
+
+            try {
+                await tar.x({ file: bundlePath, cwd: extractDir });
+
+                const manifestPath = path.join(extractDir, 'manifest.json');
+                if (!fs.existsSync(manifestPath)) {
+                    throw new Error('不是有效的备份导出包：缺少 manifest.json');
+                }
+                const manifest = fs.readJsonSync(manifestPath);
+                if (manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.backups)) {
+                    throw new Error('不是有效的备份导出包');
+                }
+                if (manifest.version > BUNDLE_VERSION) {
+                    throw new Error('导出包由更新版本的程序创建，请先升级');
+                }
+
+                for (const [index, entry] of manifest.backups.entries()) {
+                    this.reportProgress(index, manifest.backups.length, entry.id);
+                    const existing = this.getBackupInfo(entry.id);
+                    if (existing && existing.hash === entry.hash && existing.timestamp === entry.timestamp) {
+                        result.skipped.push({ id: entry.id, reason: '备份已存在' });
+                        continue;
+                    }
+
+                    try {
+                        const backup = await this.importBundleEntry(entry, extractDir, Boolean(existing));
+                        result.imported.push(backup.id);
+                    } catch (error) {
+                        console.error(`导入备份 ${entry.id} 失败:`, error);
+                        result.failed.push({ id: entry.id, reason: error.message });
+                    }
+                }
+
+                console.log('导入完成:', result);
+                return result;
+            } finally {
+                fs.removeSync(extractDir);
+            }
+        });
+    }
+
+    async importBundleEntry(entry, extractDir, idCollision) {
+        if (!Array.isArray(entry.files) || entry.files.length === 0) {
+            throw new Error('导出包中的备份没有文件');
+        }
+
+        const storedObjects = [];
+        try {
+            const files = [];
+            for (const file of entry.files) {
+                const dataPath = path.join(extractDir, 'data', path.basename(String(file.object)));
+                if (!fs.existsSync(dataPath)) {
+                    throw new Error(`导出包中缺少文件: ${file.path}`);
+                }
+
+                const stored = await this.objectStore.put(dataPath);
+                storedObjects.push(stored.object);
+                if (stored.object !== file.object || stored.hash !== file.hash || stored.size !== file.size) {
+                    throw new Error(`文件哈希不匹配: ${file.path}`);
+                }
+                files.push({
+                    path: file.path,
+                    size: stored.size,
+                    storedSize: stored.storedSize,
+                    hash: stored.hash,
+                    object: stored.object
+                });
+            }
+
+            const fileHash = entry.type === 'directory' ? hashFileList(files) : files[0].hash;
+            if (fileHash !== entry.hash) {
+                throw new Error('备份哈希不匹配');
+            }
+
+            const backupId = idCollision || !BACKUP_ID_PATTERN.test(entry.id) ? this.generateBackupId() : entry.id;
+            const backup = {
+                id: backupId,
+                type: entry.type === 'directory' ? 'directory' : 'file',
+                originalFileName: entry.originalFileName,
+                timestamp: entry.timestamp,
+                size: files.reduce((sum, file) => sum + file.size, 0),
+                storedSize: files.reduce((sum, file) => sum + file.storedSize, 0),
+                hash: fileHash,
+                originalPath: entry.originalPath || null,
+                files,
+                pinned: false,
+                encrypted: this.encryption.isEnabled(),
+                ...this.normalizeDetails(entry),
+                screenshot: null,
+                importedAt: new Date().toISOString()
+            };
+
+            if (entry.screenshot) {
+                const screenshotSource = path.join(extractDir, 'screenshots', path.basename(entry.screenshot));
+                const screenshotHash = fs.existsSync(screenshotSource) ? await this.calculateFileHash(screenshotSource) : null;
+                if (screenshotHash && (!entry.screenshotHash || screenshotHash === entry.screenshotHash)) {
+                    backup.screenshot = path.join(this.screenshotsDir, `${backupId}.png`);
+                    backup.screenshotHash = screenshotHash;
+                    await fs.copy(screenshotSource, backup.screenshot);
+                } else {
+                    console.warn(`导出包中的截图缺失或已损坏，忽略: ${entry.id}`);
+                }
+            }
+
+            // 导入的备份按原时间排序，不触发自动清理
+            const metadata = this.getMetadata();
+            metadata.backups.push(backup);
+            metadata.backups.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            this.saveMetadata(metadata, [backup]);
+            this.destinations.enqueue(backupId);
+            console.log(`已导入备份 ${entry.id}${backupId !== entry.id ? `，新ID: ${backupId}` : ''}`);
+            return backup;
+        } catch (error) {
+            for (const objectHash of storedObjects) {
+                this.objectStore.release(objectHash);
+            }
+            throw error;
+        }
+    }
+
+    getEncryptionStatus() {
+        const enabled = this.encryption.isEnabled();
+        return {
+            enabled,
+            unlocked: enabled && this.encryption.isUnlocked(),
+            // 上次更换密码中断，部分数据已使用新密码加密
+            changePending: enabled && this.encryption.hasPendingKeys()
+        };
+    }
+
+    // 备份数据是否因未解锁而无法读取
+    isBackupLocked(backupId) {
+        const backup = this.getBackupInfo(backupId);
+        if (!backup || backup.backupFileName) {
+            return false;
+        }
+        return backup.files.some(file => this.objectStore.isLocked(file.object));
+    }
+
+    unlockEncryption(passphrase) {
+        this.encryption.unlock(passphrase);
+        return this.getEncryptionStatus();
+    }
+
+    lockEncryption() {
+        this.encryption.lock();
+    }
+
+    // 启用加密：生成密钥后将已有的全部备份数据重新加密
+    async enableEncryption(passphrase) {
+        return this.runOperation('启用加密', async () => {
+            if (this.encryption.isEnabled()) {
+                throw new Error('备份仓库已启用加密');
+            }
+
+            console.log('启用备份加密');
+            this.encryption.saveKeys(this.encryption.createKeys(passphrase));
+            await this.encryptRepository();
+            // 备份目标上的数据也替换为加密后的版本
+            this.destinations.enqueueAll();
+            return this.getEncryptionStatus();
+        });
+    }
+
+    // 更换密码：先用旧密码解锁，再用新密钥重新加密全部数据，完成后才替换正式密钥。
+    // 上次更换中断时，需使用当时的新密码才能继续
+    async changePassphrase(oldPassphrase, newPassphrase) {
+        return this.runOperation('更换密码', async () => {
+            this.encryption.unlock(oldPassphrase);
+
+            let pendingKeyInfo = this.encryption.getPendingKeyInfo();
+            if (pendingKeyInfo) {
+                try {
+                    this.encryption.unlockKeyInfo(pendingKeyInfo, newPassphrase);
+                } catch (error) {
+                    throw new Error('上次更换密码未完成，请使用当时设置的新密码继续');
+                }
+                console.log('继续未完成的密码更换');
+            } else {
+                pendingKeyInfo = this.encryption.createKeys(newPassphrase);
+                this.encryption.savePendingKeys(pendingKeyInfo);
+            }
+
+            await this.encryptRepository();
+            this.encryption.promotePendingKeys();
+            this.destinations.enqueueAll();
+            console.log('备份密码已更换');
+            return this.getEncryptionStatus();
+        });
+    }
+
+    // 将旧版本备份文件导入对象存储，并用当前写入密钥重新加密所有对象
+    async encryptRepository() {
+        const legacyIds = this.getMetadata().backups.filter(b => b.backupFileName).map(b => b.id);
+        for (const backupId of legacyIds) {
+            // 每次重新读取元数据，避免覆盖期间新创建的备份
+            const metadata = this.getMetadata();
+            const backup = metadata.backups.find(b => b.id === backupId);
+            if (backup && backup.backupFileName) {
+                await this.importLegacyBackup(backup);
+                this.saveMetadata(metadata, [backup]);
+            }
+        }
+
+        const keyInfo = this.encryption.getWriteKeyInfo();
+        const count = await this.objectStore.reencryptAll(this.encryption.getKeyId(keyInfo), this.encryption.getPublicKey(keyInfo));
+        console.log(`已重新加密 ${count} 个备份对象`);
+
+        const metadata = this.getMetadata();
+        for (const backup of metadata.backups) {
+            backup.encrypted = true;
+        }
+        this.saveMetadata(metadata, metadata.backups);
+    }
+
+    // 旧版本备份直接以文件形式存放，无法加密，先转存为对象
+    async importLegacyBackup(backup) {
+        const backupFilePath = path.join(this.backupPath, backup.backupFileName);
+        const isDirectory = fs.statSync(backupFilePath).isDirectory();
+        const relativePaths = isDirectory ? await listFiles(backupFilePath) : [backup.originalFileName];
+        const files = [];
+
+        for (const relativePath of relativePaths) {
+            const filePath = isDirectory ? path.join(backupFilePath, ...relativePath.split('/')) : backupFilePath;
+            const stored = await this.objectStore.put(filePath);
+            files.push({
+                path: relativePath,
+                size: stored.size,
+                storedSize: stored.storedSize,
+                hash: stored.hash,
+                object: stored.object
+            });
+        }
+
+        backup.files = files;
+        backup.storedSize = files.reduce((sum, file) => sum + file.storedSize, 0);
+        delete backup.backupFileName;
+        fs.removeSync(backupFilePath);
+        console.log(`旧版本备份已转存到对象存储: ${backup.id}`);
+    }
+
+    setDeltaStorage(enabled, keyframeInterval) {
+        this.objectStore.setDeltaOptions(enabled, keyframeInterval);
+    }
+
+    // 将过长的差异链转换回关键帧，并更新备份记录中的存储大小
+    async compactStorage() {
+        return this.runOperation('压缩差异链', async () => {
+            const count = await this.objectStore.compactDeltaChains();
+            if (count === 0) {
+                return 0;
+            }
+
+            const objects = this.objectStore.getIndex().objects;
+            const metadata = this.getMetadata();
+            const changedBackups = [];
+            for (const backup of metadata.backups) {
+                if (backup.backupFileName) {
+                    continue;
+                }
+
+                let changed = false;
+                for (const file of backup.files) {
+                    const entry = objects[file.object];
+                    if (entry && this.objectStore.getStoredSize(entry) !== file.storedSize) {
+                        file.storedSize = this.objectStore.getStoredSize(entry);
+                        changed = true;
+                    }
+                }
+                if (changed) {
+                    backup.storedSize = backup.files.reduce((sum, file) => sum + file.storedSize, 0);
+                    changedBackups.push(backup);
+                }
+            }
+
+            this.saveMetadata(metadata, changedBackups);
+            return count;
+        });
+    }
+
+    setDestinations(destinations) {
+        this.destinations.setDestinations(destinations);
+    }
+
+    getDestinationStatus() {
+        return this.destinations.getStatus();
+    }
+
+    async testDestination(destination) {
+        await this.destinations.testDestination(destination);
+    }
+
+    retryDestination(destinationId) {
+        return this.destinations.retry(destinationId);
+    }
+
+    updateBackupScreenshot(backupId, screenshotPath) {
+        return this.runOperation('更新备份截图', async () => {
+            try {
+                console.log(`更新备份截图: ${backupId} -> ${screenshotPath}`);
+                const metadata = this.getMetadata();
+                const backup = metadata.backups.find(b => b.id === backupId);
+            
+                if (backup) {
+                    backup.screenshot = screenshotPath;
+                    // 记录截图哈希，供完整性校验使用
+                    backup.screenshotHash = crypto.createHash('md5').update(fs.readFileSync(screenshotPath)).digest('hex');
+                    this.saveMetadata(metadata, [backup]);
+                    this.destinations.enqueue(backupId);
+                    console.log('备份截图信息已更新');
+                    return true;
+                } else {
+                    console.warn('未找到指定的备份记录');
+                    return false;
+                }
+            } catch (error) {
+                console.error('更新备份截图失败:', error);
+                return false;
+            }
+        });
     }
 }
 
@@ -0,0 +1,220 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+
+// 类似 rsync 的二进制差异：基准文件按固定大小分块，目标内容用滚动校验和查找相同的块，
+// 找到的部分记为“复制”，其余记为“插入”。存档每次只改动少量字节时差异非常小
+const DEFAULT_BLOCK_SIZE = 2048;
+const OP_COPY = 1;
+const OP_INSERT = 2;
+const READ_CHUNK_SIZE = 1024 * 1024;
+// 不小于该大小的文件在工作线程中计算差异，较小的文件直接计算省去启动线程的开销
+const WORKER_DELTA_SIZE = 1024 * 1024;
+
+// 计算块的弱校验和（Adler-32 的变体），返回拆开的 a、b 两部分以便滚动更新
+function weakChecksum(data, start, end) {
+    let a = 0;
+    let b = 0;
+    const length = end - start;
+    for (let i = start; i < end; i++) {
+        a = (a + data[i]) & 0xffff;
+        b = (b + (length - (i - start)) * data[i]) & 0xffff;
+    }
+    return { a, b };
+}
+
+function strongChecksum(data, start, end) {
+    return crypto.createHash('md5').update(data.subarray(start, end)).digest('base64');
+}
+
+// 读取基准文件并为每个完整的块计算校验和
+function createSignature(basePath, blockSize) {
+    const blocks = new Map();
+    const fd = fs.openSync(basePath, 'r');
+    const buffer = Buffer.alloc(blockSize);
+
+    try {
+        let offset = 0;
+        for (;;) {
+            const bytesRead = fs.readSync(fd, buffer, 0, blockSize, offset);
+            if (bytesRead < blockSize) {
+                break;
+            }
+
+            const { a, b } = weakChecksum(buffer, 0, blockSize);
+            const weak = ((b << 16) | a) >>> 0;
+            if (!blocks.has(weak)) {
+                blocks.set(weak, []);
+            }
+            blocks.get(weak).push({ offset, strong: strongChecksum(buffer, 0, blockSize) });
+            offset += blockSize;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return blocks;
+}
+
+// 生成把基准文件变为目标内容的差异数据
+function createDelta(basePath, target, blockSize = DEFAULT_BLOCK_SIZE) {
+    const blocks = createSignature(basePath, blockSize);
+    const chunks = [];
+    let pendingCopy = null;
+
+    const flushCopy = () => {
+        if (pendingCopy) {
+            const op = Buffer.alloc(13);
+            op.writeUInt8(OP_COPY, 0);
+            op.writeUInt32BE(Math.floor(pendingCopy.offset / 0x100000000), 1);
+            op.writeUInt32BE(pendingCopy.offset % 0x100000000, 5);
+            op.writeUInt32BE(pendingCopy.length, 9);
+            chunks.push(op);
+            pendingCopy = null;
+        }
+    };
+
+    const addCopy = (offset, length) => {
+        // 连续的块合并成一次复制
+        if (pendingCopy && pendingCopy.offset + pendingCopy.length === offset && pendingCopy.length + length <= 0xffffffff) {
+            pendingCopy.length += length;
+            return;
+        }
+        flushCopy();
+        pendingCopy = { offset, length };
+    };
+
+    const addInsert = (start, end) => {
+        if (end <= start) {
+            return;
+        }
+        flushCopy();
+        const op = Buffer.alloc(5);
+        op.writeUInt8(OP_INSERT, 0);
+        op.writeUInt32BE(end - start, 1);
+        chunks.push(op, target.subarray(start, end));
+    };
+
+    let literalStart = 0;
+    let i = 0;
+    let checksum = target.length >= blockSize ? weakChecksum(target, 0, blockSize) : null;
+
+    while (checksum && i + blockSize <= target.length) {
+        const weak = ((checksum.b << 16) | checksum.a) >>> 0;
+        const candidates = blocks.get(weak);
+        let match = null;
+
+        if (candidates) {
+            const strong = strongChecksum(target, i, i + blockSize);
+            match = candidates.find(block => block.strong === strong);
+        }
+
+        if (match) {
+            addInsert(literalStart, i);
+            addCopy(match.offset, blockSize);
+            i += blockSize;
+            literalStart = i;
+            checksum = i + blockSize <= target.length ? weakChecksum(target, i, i + blockSize) : null;
+            continue;
+        }
+
+        if (i + blockSize >= target.length) {
+            break;
+        }
+
+        // 窗口向后滚动一个字节
+        const removed = target[i];
+        const added = target[i + blockSize];
+        checksum.a = (checksum.a - removed + added) & 0xffff;
+        checksum.b = (checksum.b - blockSize * removed + checksum.a) & 0xffff;
+        i++;
+    }
+
+    addInsert(literalStart, target.length);
+    flushCopy();
+    return Buffer.concat(chunks);
+}
+
+// 读取目标文件并生成差异，同时返回读取到的内容的 SHA-256，供调用方确认文件没有在读取期间被改写
+function createFileDeltaSync(basePath, targetPath) {
+    const target = fs.readFileSync(targetPath);
+    return {
+        hash: crypto.createHash('sha256').update(target).digest('hex'),
+        delta: createDelta(basePath, target)
+    };
+}
+
+// 异步生成文件差异，较大的文件交给工作线程
+async function createFileDelta(basePath, targetPath, size) {
+    if (size < WORKER_DELTA_SIZE) {
+        return createFileDeltaSync(basePath, targetPath);
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'deltaWorker.js'), { workerData: { basePath, targetPath } });
+        worker.once('message', message => {
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve({ hash: message.result.hash, delta: Buffer.from(message.result.delta) });
+            }
+        });
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            if (code !== 0) {
+                reject(new Error(`差异计算线程异常退出: ${code}`));
+            }
+        });
+    });
+}
+
+// 按差异数据从基准文件重建目标文件
+function applyDelta(basePath, delta, outputPath) {
+    const baseFd = fs.openSync(basePath, 'r');
+    const outputFd = fs.openSync(outputPath, 'w');
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+
+    try {
+        let position = 0;
+        while (position < delta.length) {
+            const op = delta.readUInt8(position);
+
+            if (op === OP_COPY) {
+                let offset = delta.readUInt32BE(position + 1) * 0x100000000 + delta.readUInt32BE(position + 5);
+                let remaining = delta.readUInt32BE(position + 9);
+                position += 13;
+
+                while (remaining > 0) {
+                    const bytesRead = fs.readSync(baseFd, buffer, 0, Math.min(remaining, READ_CHUNK_SIZE), offset);
+                    if (bytesRead === 0) {
+                        throw new Error('差异数据引用的范围超出基准文件');
+                    }
+                    fs.writeSync(outputFd, buffer, 0, bytesRead);
+                    offset += bytesRead;
+                    remaining -= bytesRead;
+                }
+            } else if (op === OP_INSERT) {
+                const length = delta.readUInt32BE(position + 1);
+                position += 5;
+                if (position + length > delta.length) {
+                    throw new Error('差异数据不完整');
+                }
+                fs.writeSync(outputFd, delta, position, length);
+                position += length;
+            } else {
+                throw new Error(`无效的差异数据操作: ${op}`);
+            }
+        }
+    } finally {
+        fs.closeSync(baseFd);
+        fs.closeSync(outputFd);
+    }
+}
+
+module.exports = {
+    createDelta,
+    createFileDeltaSync,
+    createFileDelta,
+    applyDelta
+};
@@ -1,7 +1,37 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { writeJsonAtomic, readJsonWithFallback } = require('./jsonStore');
 
+// 每个配置档案独立保存的设置，其余设置（自启动、托盘、定期校验等）为全局设置
+const PROFILE_SETTINGS = [
+    'saveFilePath',
+    'backupPath',
+    'maxBackups',
+    'storageQuotaMB',
+    'retentionPolicy',
+    'compression',
+    'compressionLevel',
+    'deltaStorage',
+    'keyframeInterval',
+    'checkInterval',
+    'restoreRemoveExtraneous',
+    'destinations',
+    'fileFilters',
+    'gameProcessName',
+    'watchOnlyWhileGameRunning',
+    'backupOnGameLaunch',
+    'backupOnChange',
+    'backupSchedule',
+    'scheduleOnlyIfChanged'
+];
+
+const DEFAULT_PROFILE_ID = 'default';
+
+// 配置文件中保存全局设置、配置档案列表 profiles 和当前配置档案 activeProfileId。
+// 每个配置档案对应一个游戏：{ id, name, monitoringEnabled, ...PROFILE_SETTINGS }，
+// monitoringEnabled 记录上次是否在监控，自动开始监控时只启动这些配置档案。
+// getConfig 返回全局设置与当前配置档案设置合并后的结果，saveConfig 把档案设置写回当前配置档案
 class ConfigManager {
     constructor() {
         this.configDir = path.join(os.homedir(), '.gamesave-manager');
@@ -10,10 +40,37 @@ class ConfigManager {
             saveFilePath: '',
             backupPath: '',
             maxBackups: 50,
+            storageQuotaMB: 0,
+            retentionPolicy: {
+                enabled: false,
+                keepAllHours: 1,
+                hourlyHours: 24,
+                dailyDays: 30,
+                weeklyWeeks: 0
+            },
+            scrubIntervalHours: 24,
+            compression: 'none',
+            compressionLevel: 6,
+            deltaStorage: false,
+            keyframeInterval: 10,
             autoStart: false,
             autoStartMonitoring: false,
             minimizeToTray: true,
             checkInterval: 5000,
+            restoreRemoveExtraneous: false,
+            // 额外的备份目标：{ id, name, type: local|sftp|webdav|s3, enabled, options }
+            destinations: [],
+            // 存档目录的文件筛选规则（glob），如 ['*.sav', '!*.log', '!Cache/**']，为空时备份全部文件
+            fileFilters: [],
+            // 游戏进程名（如 eldenring.exe），设置后游戏退出时自动备份
+            gameProcessName: '',
+            watchOnlyWhileGameRunning: false,
+            backupOnGameLaunch: false,
+            // 检测到变化时立即备份；关闭后只由计划备份、游戏退出和手动备份保存
+            backupOnChange: true,
+            // 计划备份的类 cron 表达式（分 时 日 月 星期），如 '*/30 * * * *'，为空时不定时备份
+            backupSchedule: '',
+            scheduleOnlyIfChanged: true,
             firstRun: true,
             windowState: {
                 width: 1000,
@@ -31,7 +88,7 @@ class ConfigManager {
                 fs.mkdirSync(this.configDir, { recursive: true });
             }
 
-            if (!fs.existsSync(this.configFile)) {
+            if (!fs.existsSync(this.configFile) && !fs.existsSync(`${this.configFile}.bak`)) {
                 this.saveConfig(this.defaultConfig);
             }
         } catch (error) {
@@ -39,24 +96,125 @@ class ConfigManager {
         }
     }
 
-    getConfig() {
+    // 读取配置文件中保存的内容；旧版本的单一配置转换为名为“默认”的配置档案。
+    // 配置文件及其备份副本都无法读取时使用默认设置，并标记为 unreadable，不允许写回覆盖原文件
+    readStoredConfig() {
+        let stored = {};
+        let unreadable = false;
         try {
-            if (fs.existsSync(this.configFile)) {
-                const config = fs.readJsonSync(this.configFile);
-                return { ...this.defaultConfig, ...config };
-            }
-            return this.defaultConfig;
+            stored = readJsonWithFallback(this.configFile, {});
         } catch (error) {
             console.error('读取配置文件失败:', error);
-            return this.defaultConfig;
+            unreadable = true;
+        }
+
+        const { profiles, activeProfileId, ...settings } = stored;
+        const globalSettings = {};
+        const legacySettings = {};
+        for (const [key, value] of Object.entries(settings)) {
+            if (PROFILE_SETTINGS.includes(key)) {
+                legacySettings[key] = value;
+            } else {
+                globalSettings[key] = value;
+            }
+        }
+
+        let profileList = Array.isArray(profiles) ? profiles : [];
+        if (profileList.length === 0) {
+            profileList = [{ ...this.createProfileSettings(), ...legacySettings, id: DEFAULT_PROFILE_ID, name: '默认', monitoringEnabled: true }];
         }
+
+        return {
+            settings: globalSettings,
+            profiles: profileList,
+            activeProfileId: profileList.some(profile => profile.id === activeProfileId) ? activeProfileId : profileList[0].id,
+            unreadable
+        };
+    }
+
+    writeStoredConfig(stored) {
+        if (stored.unreadable) {
+            throw new Error(`配置文件无法读取，为避免覆盖已保存的配置档案，请修复或删除后再保存: ${this.configFile}`);
+        }
+        writeJsonAtomic(this.configFile, {
+            ...stored.settings,
+            profiles: stored.profiles,
+            activeProfileId: stored.activeProfileId
+        });
     }
 
+    // 新配置档案的默认设置
+    createProfileSettings() {
+        const settings = {};
+        for (const key of PROFILE_SETTINGS) {
+            settings[key] = structuredClone(this.defaultConfig[key]);
+        }
+        return settings;
+    }
+
+    getConfig() {
+        const stored = this.readStoredConfig();
+        const profile = stored.profiles.find(item => item.id === stored.activeProfileId);
+        return this.mergeProfileConfig(stored, profile);
+    }
+
+    mergeProfileConfig(stored, profile) {
+        const { id, name, monitoringEnabled, ...profileSettings } = profile;
+        return {
+            ...this.defaultConfig,
+            ...stored.settings,
+            ...this.createProfileSettings(),
+            ...profileSettings,
+            profiles: stored.profiles.map(item => ({
+                id: item.id,
+                name: item.name,
+                saveFilePath: item.saveFilePath || '',
+                backupPath: item.backupPath || '',
+                monitoringEnabled: item.monitoringEnabled || false
+            })),
+            activeProfileId: stored.activeProfileId
+        };
+    }
+
+    // 指定配置档案的完整配置（全局设置与该档案设置合并），配置档案不存在时返回 null
+    getProfileConfig(profileId) {
+        const stored = this.readStoredConfig();
+        const profile = stored.profiles.find(item => item.id === profileId);
+        return profile ? { ...this.mergeProfileConfig(stored, profile), profileId, profileName: profile.name } : null;
+    }
+
+    getProfiles() {
+        return this.readStoredConfig().profiles;
+    }
+
+    getActiveProfileId() {
+        return this.readStoredConfig().activeProfileId;
+    }
+
+    // 保存配置：档案设置写入 config.activeProfileId 指定的配置档案（默认为当前配置档案），其余写入全局设置。
+    // 两个配置档案不能使用同一个备份目录
     saveConfig(config) {
         try {
-            const currentConfig = this.getConfig();
-            const newConfig = { ...currentConfig, ...config };
-            fs.writeJsonSync(this.configFile, newConfig, { spaces: 2 });
+            const stored = this.readStoredConfig();
+            const { profiles, activeProfileId, ...settings } = config;
+            const profile = stored.profiles.find(item => item.id === activeProfileId)
+                || stored.profiles.find(item => item.id === stored.activeProfileId);
+
+            for (const [key, value] of Object.entries(settings)) {
+                if (PROFILE_SETTINGS.includes(key)) {
+                    profile[key] = value;
+                } else {
+                    stored.settings[key] = value;
+                }
+            }
+
+            const conflict = this.findBackupPathConflict(stored.profiles, profile);
+            if (conflict) {
+                console.error(`备份目录已被配置档案 ${conflict.name} 使用: ${profile.backupPath}`);
+                return false;
+            }
+
+            this.writeStoredConfig(stored);
             return true;
         } catch (error) {
             console.error('保存配置文件失败:', error);
@@ -64,15 +222,98 @@ class ConfigManager {
         }
     }
 
+    findBackupPathConflict(profiles, profile) {
+        if (!profile.backupPath) {
+            return null;
+        }
+        const backupPath = path.resolve(profile.backupPath);
+        return profiles.find(item => item.id !== profile.id && item.backupPath && path.resolve(item.backupPath) === backupPath) || null;
+    }
+
+    // 新建配置档案，使用默认设置
+    createProfile(name) {
+        const stored = this.readStoredConfig();
+        const profile = {
+            ...this.createProfileSettings(),
+            id: `profile_${Date.now()}`,
+            name: name || `配置档案 ${stored.profiles.length + 1}`,
+            monitoringEnabled: false
+        };
+        stored.profiles.push(profile);
+        this.writeStoredConfig(stored);
+        return profile;
+    }
+
+    // 更新配置档案的设置或名称、monitoringEnabled
+    updateProfile(profileId, updates) {
+        try {
+            const stored = this.readStoredConfig();
+            const profile = stored.profiles.find(item => item.id === profileId);
+            if (!profile) {
+                return false;
+            }
+            Object.assign(profile, updates, { id: profileId });
+            if (this.findBackupPathConflict(stored.profiles, profile)) {
+                return false;
+            }
+            this.writeStoredConfig(stored);
+            return true;
+        } catch (error) {
+            console.error('更新配置档案失败:', error);
+            return false;
+        }
+    }
+
+    renameProfile(profileId, name) {
+        if (!name || !name.trim()) {
+            return false;
+        }
+        return this.updateProfile(profileId, { name: name.trim() });
+    }
+
+    // 删除配置档案（不删除备份目录中的文件），至少保留一个配置档案
+    deleteProfile(profileId) {
+        try {
+            const stored = this.readStoredConfig();
+            if (stored.profiles.length <= 1 || !stored.profiles.some(item => item.id === profileId)) {
+                return false;
+            }
+            stored.profiles = stored.profiles.filter(item => item.id !== profileId);
+            if (stored.activeProfileId === profileId) {
+                stored.activeProfileId = stored.profiles[0].id;
+            }
+            this.writeStoredConfig(stored);
+            return true;
+        } catch (error) {
+            console.error('删除配置档案失败:', error);
+            return false;
+        }
+    }
+
+    setActiveProfile(profileId) {
+        try {
+            const stored = this.readStoredConfig();
+            if (!stored.profiles.some(item => item.id === profileId)) {
+                return false;
+            }
+            stored.activeProfileId = profileId;
+            this.writeStoredConfig(stored);
+            return true;
+        } catch (error) {
+            console.error('切换配置档案失败:', error);
+            return false;
+        }
+    }
+
     updateConfig(updates) {
-        const currentConfig = this.getConfig();
-        const newConfig = { ...currentConfig, ...updates };
-        return this.saveConfig(newConfig);
+        return this.saveConfig(updates);
     }
 
     resetConfig() {
         try {
+            // 备份副本一并删除，否则读取时会从备份副本恢复旧配置
             fs.removeSync(this.configFile);
+            fs.removeSync(`${this.configFile}.bak`);
             this.saveConfig(this.defaultConfig);
             return true;
         } catch (error) {
@@ -0,0 +1,428 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BACKUP_ID_PATTERN, LEGACY_BACKUP_FILE_PATTERN } = require('./backupId');
+
+// 临时文件超过该时间未被清理才视为残留，避免误删备份目标测试等正在使用的文件
+const STALE_TEMP_AGE = 60 * 60 * 1000;
+
+// 问题类型及修复方式：
+//   missing-data      元数据中的备份缺少数据文件 → remove 删除该记录
+//   missing-screenshot 截图文件不存在 → relink 关联截图目录中同名的截图，clear 清除截图记录
+//   orphan-screenshot 没有对应备份的截图 → relink 关联到缺少截图的备份，remove 删除
+//   orphan-manifest   元数据中没有的备份清单 → relink 数据完整时加回元数据，remove 删除
+//   orphan-legacy     元数据中没有的旧版本备份文件 → relink 加回元数据
+//   orphan-object     没有任何备份引用的对象 → remove 删除
+//   object-index      对象索引与实际文件或引用不一致 → reindex 重建对象索引
+//   temp-file         中断的恢复留下的 .temp_backup 或其他临时文件 → restore 目标不存在时还原，remove 删除
+const ISSUE_LABELS = {
+    'missing-data': '备份数据缺失',
+    'missing-screenshot': '截图缺失',
+    'orphan-screenshot': '多余的截图',
+    'orphan-manifest': '未登记的备份清单',
+    'orphan-legacy': '未登记的备份文件',
+    'orphan-object': '未引用的数据对象',
+    'object-index': '对象索引不一致',
+    'temp-file': '残留的临时文件'
+};
+
+// 检查备份目录与元数据是否一致，并按检查结果修复。
+// 检查和修复都在备份管理器的操作队列中执行，期间不会有其他操作修改备份目录
+class ConsistencyChecker {
+    constructor(backupManager) {
+        this.backupManager = backupManager;
+    }
+
+    async check() {
+        const manager = this.backupManager;
+        // 先写入内存中的元数据，否则刚删除的备份的清单会被当作未登记
+        manager.flushMetadata();
+        const metadata = manager.getMetadata();
+        const backupsById = new Map(metadata.backups.map(backup => [backup.id, backup]));
+        const objects = manager.objectStore.getIndex().objects;
+        const issues = [];
+
+        // 1. 元数据中的备份缺少数据或截图
+        for (const backup of metadata.backups) {
+            const missing = this.findMissingData(backup, objects);
+            if (missing.length > 0) {
+                issues.push({
+                    type: 'missing-data',
+                    action: 'remove',
+                    backupId: backup.id,
+                    label: backup.label || backup.originalFileName,
+                    timestamp: backup.timestamp,
+                    details: missing
+                });
+            }
+
+            if (backup.screenshot && !fs.existsSync(backup.screenshot)) {
+                const candidate = path.join(manager.screenshotsDir, `${backup.id}.png`);
+                issues.push({
+                    type: 'missing-screenshot',
+                    action: fs.existsSync(candidate) ? 'relink' : 'clear',
+                    backupId: backup.id,
+                    label: backup.label || backup.originalFileName,
+                    timestamp: backup.timestamp,
+                    path: backup.screenshot,
+                    target: fs.existsSync(candidate) ? candidate : null
+                });
+            }
+        }
+
+        // 2. 截图目录中没有对应备份的截图
+        const referencedScreenshots = new Set(metadata.backups.map(backup => backup.screenshot).filter(Boolean).map(p => path.resolve(p)));
+        if (fs.existsSync(manager.screenshotsDir)) {
+            for (const fileName of fs.readdirSync(manager.screenshotsDir)) {
+                const screenshotPath = path.join(manager.screenshotsDir, fileName);
+                if (referencedScreenshots.has(path.resolve(screenshotPath))) {
+                    continue;
+                }
+                const backup = backupsById.get(path.basename(fileName, '.png'));
+                if (backup && backup.screenshot && !fs.existsSync(backup.screenshot)) {
+                    // 已作为该备份的截图缺失问题处理
+                    continue;
+                }
+                const canRelink = backup && !backup.screenshot;
+                issues.push({
+                    type: 'orphan-screenshot',
+                    action: canRelink ? 'relink' : 'remove',
+                    backupId: canRelink ? backup.id : null,
+                    path: screenshotPath,
+                    size: fs.statSync(screenshotPath).size
+                });
+            }
+        }
+
+        // 3. 元数据中没有的备份清单和旧版本备份文件
+        for (const fileName of fs.readdirSync(manager.snapshotsDir)) {
+            const match = fileName.match(/^(.+)\.json$/);
+            if (!match || !BACKUP_ID_PATTERN.test(match[1]) || backupsById.has(match[1])) {
+                continue;
+            }
+
+            const manifestPath = path.join(manager.snapshotsDir, fileName);
+            let backup = null;
+            try {
+                backup = fs.readJsonSync(manifestPath);
+            } catch (error) {
+                console.error(`备份清单损坏: ${fileName}`, error);
+            }
+            const complete = backup && backup.id === match[1] && this.findMissingData(backup, objects).length === 0;
+            issues.push({
+                type: 'orphan-manifest',
+                action: complete ? 'relink' : 'remove',
+                backupId: match[1],
+                label: backup ? backup.label || backup.originalFileName : null,
+                timestamp: backup ? backup.timestamp : null,
+                path: manifestPath
+            });
+        }
+
+        for (const fileName of fs.readdirSync(manager.backupPath)) {
+            const match = fileName.match(LEGACY_BACKUP_FILE_PATTERN);
+            if (match && !backupsById.has(match[1])) {
+                issues.push({
+                    type: 'orphan-legacy',
+                    action: 'relink',
+                    backupId: match[1],
+                    timestamp: new Date(Number(match[2])).toISOString(),
+                    path: path.join(manager.backupPath, fileName)
+                });
+            }
+        }
+
+        // 4. 对象存储：未被引用的对象，以及与实际引用不一致的索引
+        const { live, referenceCounts } = this.collectLiveObjects(metadata.backups, objects);
+        const storedObjects = this.listStoredObjects();
+        for (const objectHash of storedObjects) {
+            if (!live.has(objectHash)) {
+                issues.push({
+                    type: 'orphan-object',
+                    action: 'remove',
+                    objectHash,
+                    path: manager.objectStore.getObjectPath(objectHash),
+                    size: fs.statSync(manager.objectStore.getObjectPath(objectHash)).size
+                });
+            }
+        }
+
+        const indexProblems = [];
+        for (const [objectHash, entry] of Object.entries(objects)) {
+            if (!storedObjects.has(objectHash)) {
+                indexProblems.push(`${objectHash.substring(0, 12)}: 对象文件不存在`);
+            } else if (live.has(objectHash) && entry.refs !== referenceCounts[objectHash]) {
+                indexProblems.push(`${objectHash.substring(0, 12)}: 引用计数为 ${entry.refs}，实际为 ${referenceCounts[objectHash]}`);
+            }
+        }
+        for (const objectHash of live) {
+            if (storedObjects.has(objectHash) && !objects[objectHash]) {
+                indexProblems.push(`${objectHash.substring(0, 12)}: 未记录在索引中`);
+            }
+        }
+        if (indexProblems.length > 0) {
+            issues.push({ type: 'object-index', action: 'reindex', details: indexProblems });
+        }
+
+        // 5. 临时文件
+        issues.push(...this.findTempFiles(metadata));
+
+        const summary = {};
+        for (const issue of issues) {
+            summary[issue.type] = (summary[issue.type] || 0) + 1;
+        }
+
+        return {
+            checkedAt: new Date().toISOString(),
+            total: issues.length,
+            summary,
+            labels: ISSUE_LABELS,
+            issues
+        };
+    }
+
+    // 备份缺少的数据文件；差异对象需要整条基准链都存在
+    findMissingData(backup, objects) {
+        const manager = this.backupManager;
+        if (backup.backupFileName) {
+            return fs.existsSync(path.join(manager.backupPath, backup.backupFileName)) ? [] : [backup.backupFileName];
+        }
+
+        const missing = [];
+        for (const file of backup.files || []) {
+            for (let objectHash = file.object; objectHash; objectHash = objects[objectHash] && objects[objectHash].base) {
+                if (!fs.existsSync(manager.objectStore.getObjectPath(objectHash))) {
+                    missing.push(file.path || backup.originalFileName);
+                    break;
+                }
+            }
+        }
+        return missing;
+    }
+
+    // 被备份引用的对象及其基准链，以及每个对象应有的引用次数（备份引用 + 差异对象对基准的引用）
+    collectLiveObjects(backups, objects) {
+        const objectStore = this.backupManager.objectStore;
+        const live = new Set();
+        const referenceCounts = {};
+
+        const visit = (objectHash) => {
+            if (live.has(objectHash)) {
+                return;
+            }
+            live.add(objectHash);
+
+            // 索引中缺少记录时从对象文件读取格式，避免把仍在使用的基准对象当作未引用
+            let entry = objects[objectHash];
+            const objectPath = objectStore.getObjectPath(objectHash);
+            if (!entry && fs.existsSync(objectPath)) {
+                entry = objectStore.detectFormat(objectPath);
+            }
+            if (entry && entry.type === 'delta' && entry.base) {
+                referenceCounts[entry.base] = (referenceCounts[entry.base] || 0) + 1;
+                visit(entry.base);
+            }
+        };
+
+        for (const backup of backups) {
+            if (backup.backupFileName) {
+                continue;
+            }
+            for (const file of backup.files || []) {
+                referenceCounts[file.object] = (referenceCounts[file.object] || 0) + 1;
+                visit(file.object);
+            }
+        }
+
+        return { live, referenceCounts };
+    }
+
+    listStoredObjects() {
+        const rootDir = this.backupManager.objectStore.rootDir;
+        const stored = new Set();
+        for (const dirName of fs.readdirSync(rootDir)) {
+            const dirPath = path.join(rootDir, dirName);
+            if (dirName === 'tmp' || !fs.statSync(dirPath).isDirectory()) {
+                continue;
+            }
+            for (const objectHash of fs.readdirSync(dirPath)) {
+                stored.add(objectHash);
+            }
+        }
+        return stored;
+    }
+
+    // 存档旁边中断的恢复留下的 .temp_backup，以及备份目录中写入中断留下的临时文件
+    findTempFiles(metadata) {
+        const manager = this.backupManager;
+        const issues = [];
+
+        const savePaths = new Set([
+            ...metadata.backups.map(backup => backup.originalPath),
+            ...Object.keys(metadata.heads || {}),
+            metadata.lastRestore && metadata.lastRestore.targetPath
+        ].filter(Boolean));
+        for (const savePath of savePaths) {
+            const tempBackupPath = `${savePath}.temp_backup`;
+            if (fs.existsSync(tempBackupPath)) {
+                issues.push({
+                    type: 'temp-file',
+                    action: fs.existsSync(savePath) ? 'remove' : 'restore',
+                    path: tempBackupPath,
+                    target: savePath
+                });
+            }
+        }
+
+        const now = Date.now();
+        const addStale = (filePath) => {
+            const stats = fs.statSync(filePath);
+            if (now - stats.mtimeMs > STALE_TEMP_AGE) {
+                issues.push({ type: 'temp-file', action: 'remove', path: filePath, size: stats.isDirectory() ? 0 : stats.size });
+            }
+        };
+        for (const dir of [manager.objectStore.tempDir, path.join(manager.backupPath, 'tmp')]) {
+            if (fs.existsSync(dir)) {
+                for (const fileName of fs.readdirSync(dir)) {
+                    addStale(path.join(dir, fileName));
+                }
+            }
+        }
+        for (const dir of [manager.backupPath, manager.snapshotsDir, manager.objectStore.rootDir]) {
+            for (const fileName of fs.readdirSync(dir)) {
+                if (fileName.endsWith('.tmp')) {
+                    addStale(path.join(dir, fileName));
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    // 重新检查后修复全部问题，返回修复前的检查结果和修复数量
+    async repair() {
+        const manager = this.backupManager;
+        const report = await this.check();
+        const metadata = manager.getMetadata();
+        const changedBackups = new Map();
+        const removedIds = new Set();
+        let repaired = 0;
+        let objectsChanged = false;
+
+        for (const issue of report.issues) {
+            try {
+                switch (issue.type) {
+                case 'missing-data': {
+                    const backup = metadata.backups.find(b => b.id === issue.backupId);
+                    if (backup && !backup.backupFileName) {
+                        objectsChanged = true;
+                    }
+                    if (backup && backup.screenshot) {
+                        manager.removeFile(backup.screenshot);
+                    }
+                    removedIds.add(issue.backupId);
+                    break;
+                }
+                case 'missing-screenshot': {
+                    const backup = metadata.backups.find(b => b.id === issue.backupId);
+                    if (removedIds.has(backup.id)) {
+                        // 备份本身将被删除，一并删除同名截图
+                        if (issue.target) {
+                            fs.removeSync(issue.target);
+                        }
+                    } else if (issue.action === 'relink') {
+                        backup.screenshot = issue.target;
+                        backup.screenshotHash = await manager.calculateFileHash(issue.target);
+                    } else {
+                        backup.screenshot = null;
+                        delete backup.screenshotHash;
+                    }
+                    changedBackups.set(backup.id, backup);
+                    break;
+                }
+                case 'orphan-screenshot':
+                    if (issue.action === 'relink' && !removedIds.has(issue.backupId)) {
+                        const backup = metadata.backups.find(b => b.id === issue.backupId);
+                        backup.screenshot = issue.path;
+                        backup.screenshotHash = await manager.calculateFileHash(issue.path);
+                        changedBackups.set(backup.id, backup);
+                    } else {
+                        fs.removeSync(issue.path);
+                    }
+                    break;
+                case 'orphan-manifest':
+                    if (issue.action === 'relink') {
+                        const backup = fs.readJsonSync(issue.path);
+                        metadata.backups.push(backup);
+                        changedBackups.set(backup.id, backup);
+                        objectsChanged = true;
+                    } else {
+                        fs.removeSync(issue.path);
+                        fs.removeSync(`${issue.path}.bak`);
+                    }
+                    break;
+                case 'orphan-legacy': {
+                    const backup = await manager.createLegacyBackupInfo(path.basename(issue.path));
+                    metadata.backups.push(backup);
+                    changedBackups.set(backup.id, backup);
+                    break;
+                }
+                case 'orphan-object':
+                case 'object-index':
+                    // 对象在元数据修复完成后统一处理
+                    objectsChanged = true;
+                    continue;
+                case 'temp-file':
+                    if (issue.action === 'restore') {
+                        await fs.move(issue.path, issue.target);
+                    } else {
+                        fs.removeSync(issue.path);
+                    }
+                    break;
+                }
+                repaired++;
+            } catch (error) {
+                console.error(`修复失败 (${ISSUE_LABELS[issue.type]}):`, error);
+            }
+        }
+
+        if (removedIds.size > 0) {
+            for (const backup of manager.detachFromTimeline(metadata, removedIds)) {
+                changedBackups.set(backup.id, backup);
+            }
+            metadata.backups = metadata.backups.filter(backup => !removedIds.has(backup.id));
+        }
+        metadata.backups.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        if (removedIds.size > 0 || changedBackups.size > 0) {
+            manager.saveMetadata(metadata, [...changedBackups.values()].filter(backup => !removedIds.has(backup.id)));
+        }
+
+        // 删除不再被引用的对象，再按实际引用重建对象索引
+        if (objectsChanged) {
+            const objects = manager.objectStore.getIndex().objects;
+            const { live } = this.collectLiveObjects(metadata.backups, objects);
+            for (const objectHash of this.listStoredObjects()) {
+                if (!live.has(objectHash)) {
+                    fs.removeSync(manager.objectStore.getObjectPath(objectHash));
+                    repaired += report.issues.some(issue => issue.objectHash === objectHash) ? 1 : 0;
+                }
+            }
+            const fileReferences = {};
+            for (const backup of metadata.backups) {
+                for (const file of backup.backupFileName ? [] : backup.files) {
+                    fileReferences[file.object] = (fileReferences[file.object] || 0) + 1;
+                }
+            }
+            manager.objectStore.rebuildIndex(fileReferences, metadata.backups);
+            if (report.issues.some(issue => issue.type === 'object-index')) {
+                repaired++;
+            }
+            console.log(`对象索引已重建，有效对象 ${live.size} 个`);
+        }
+
+        console.log(`一致性修复完成: ${repaired}/${report.total}`);
+        return { report, repaired };
+    }
+}
+
+module.exports = ConsistencyChecker;
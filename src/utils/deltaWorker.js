@@ -0,0 +1,9 @@
+const { parentPort, workerData } = require('worker_threads');
+const { createFileDeltaSync } = require('./binaryDelta');
+
+// 在工作线程中计算较大文件的差异，避免阻塞主进程
+try {
+    parentPort.postMessage({ result: createFileDeltaSync(workerData.basePath, workerData.targetPath) });
+} catch (error) {
+    parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,307 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { writeJsonAtomic, readJsonWithFallback } = require('./jsonStore');
+const LocalDestination = require('./destinations/localDestination');
+const SftpDestination = require('./destinations/sftpDestination');
+const WebdavDestination = require('./destinations/webdavDestination');
+const S3Destination = require('./destinations/s3Destination');
+
+const DESTINATION_TYPES = {
+    local: LocalDestination,
+    sftp: SftpDestination,
+    webdav: WebdavDestination,
+    s3: S3Destination
+};
+
+// 新备份入队后稍等片刻再上传，让随后写入的截图一起上传
+const UPLOAD_DELAY = 5 * 1000;
+// 上传失败后按指数退避重试
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+
+function createDestination(config) {
+    const Destination = DESTINATION_TYPES[config.type];
+    if (!Destination) {
+        throw new Error(`不支持的备份目标类型: ${config.type}`);
+    }
+    return new Destination(config.options || {});
+}
+
+// 将备份镜像到额外的备份目标。远程目录与本地备份目录结构相同（对象、备份清单、截图、加密密钥），
+// 因此可以把远程内容复制回来后用“重建索引”恢复全部备份。
+// 每个目标有独立的上传队列和重试计时器，队列和已上传文件记录保存在 destinations.json 中，重启后继续上传。
+// 本地删除备份不会删除远程的数据。
+class DestinationManager extends EventEmitter {
+    constructor(backupManager) {
+        super();
+        this.backupManager = backupManager;
+        this.stateFile = path.join(backupManager.backupPath, 'destinations.json');
+        this.destinations = new Map();
+        this.stopped = false;
+    }
+
+    getState() {
+        try {
+            return readJsonWithFallback(this.stateFile, { destinations: {} });
+        } catch (error) {
+            console.error('读取备份目标状态失败:', error);
+            return { destinations: {} };
+        }
+    }
+
+    saveState() {
+        const state = { destinations: {} };
+        for (const [id, runtime] of this.destinations) {
+            state.destinations[id] = runtime.state;
+        }
+        writeJsonAtomic(this.stateFile, state);
+    }
+
+    // 按配置更新备份目标；新增的目标会上传已有的全部备份
+    setDestinations(configs = []) {
+        const savedState = this.getState().destinations;
+        const previous = this.destinations;
+        this.destinations = new Map();
+
+        for (const config of configs) {
+            if (!config || !config.id) {
+                continue;
+            }
+
+            const existing = previous.get(config.id);
+            if (existing) {
+                previous.delete(config.id);
+                existing.config = config;
+                this.destinations.set(config.id, existing);
+                continue;
+            }
+
+            const isNew = !savedState[config.id];
+            const runtime = {
+                config,
+                state: savedState[config.id] || { pending: [], uploaded: {}, lastSuccessAt: null, lastError: null },
+                status: 'idle',
+                attempts: 0,
+                timer: null,
+                nextRetryAt: null,
+                running: false
+            };
+            this.destinations.set(config.id, runtime);
+
+            if (isNew) {
+                runtime.state.pending = this.backupManager.getBackupList().map(backup => backup.id).reverse();
+            }
+        }
+
+        // 已移除的目标停止上传
+        for (const runtime of previous.values()) {
+            clearTimeout(runtime.timer);
+            runtime.removed = true;
+        }
+
+        this.saveState();
+        for (const id of this.destinations.keys()) {
+            this.schedule(id, 0);
+        }
+        this.emitStatus();
+    }
+
+    // 将备份加入所有已启用目标的上传队列
+    enqueue(backupId) {
+        for (const [id, runtime] of this.destinations) {
+            if (!runtime.state.pending.includes(backupId)) {
+                runtime.state.pending.push(backupId);
+            }
+            if (!runtime.nextRetryAt) {
+                this.schedule(id, UPLOAD_DELAY);
+            }
+        }
+        this.saveState();
+        this.emitStatus();
+    }
+
+    enqueueAll() {
+        for (const backup of this.backupManager.getBackupList().reverse()) {
+            this.enqueue(backup.id);
+        }
+    }
+
+    // 立即重试（跳过退避等待）
+    retry(id) {
+        const runtime = this.destinations.get(id);
+        if (!runtime) {
+            return false;
+        }
+        runtime.attempts = 0;
+        runtime.nextRetryAt = null;
+        this.schedule(id, 0);
+        return true;
+    }
+
+    schedule(id, delay) {
+        const runtime = this.destinations.get(id);
+        if (!runtime || this.stopped || runtime.config.enabled === false || runtime.running) {
+            return;
+        }
+
+        clearTimeout(runtime.timer);
+        runtime.timer = setTimeout(() => this.processQueue(id), delay);
+    }
+
+    async processQueue(id) {
+        const runtime = this.destinations.get(id);
+        if (!runtime || runtime.running || this.stopped || runtime.config.enabled === false || runtime.state.pending.length === 0) {
+            return;
+        }
+
+        runtime.running = true;
+        runtime.timer = null;
+        runtime.nextRetryAt = null;
+        runtime.status = 'uploading';
+        this.emitStatus();
+
+        let destination = null;
+        try {
+            destination = createDestination(runtime.config);
+            await destination.connect();
+
+            while (runtime.state.pending.length > 0 && !this.stopped && !runtime.removed) {
+                const backupId = runtime.state.pending[0];
+                await this.uploadBackup(destination, runtime, backupId);
+                runtime.state.pending.shift();
+                runtime.state.lastSuccessAt = new Date().toISOString();
+                runtime.state.lastError = null;
+                this.saveState();
+                this.emitStatus();
+            }
+
+            runtime.attempts = 0;
+            runtime.status = 'idle';
+        } catch (error) {
+            console.error(`上传到备份目标 ${runtime.config.name || id} 失败:`, error);
+            runtime.attempts++;
+            runtime.status = 'error';
+            runtime.state.lastError = error.message;
+            const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, runtime.attempts - 1), RETRY_MAX_DELAY);
+            runtime.nextRetryAt = new Date(Date.now() + delay).toISOString();
+            if (!runtime.removed) {
+                this.saveState();
+            }
+        } finally {
+            if (destination) {
+                await destination.close().catch(error => console.error('关闭备份目标连接失败:', error));
+            }
+            runtime.running = false;
+        }
+
+        if (runtime.status === 'error') {
+            this.schedule(id, new Date(runtime.nextRetryAt) - Date.now());
+        } else if (runtime.state.pending.length > 0) {
+            this.schedule(id, 0);
+        }
+        this.emitStatus();
+    }
+
+    // 上传一个备份：先上传对象（差异对象连同其基准）、截图和加密密钥，最后上传备份清单，
+    // 远程存在清单即表示该备份已完整上传。内容未变化的文件不重复上传
+    async uploadBackup(destination, runtime, backupId) {
+        const backup = this.backupManager.getBackupInfo(backupId);
+        if (!backup) {
+            // 上传前已被删除
+            return;
+        }
+
+        const uploaded = runtime.state.uploaded;
+        const upload = async (localPath, signature) => {
+            const remotePath = this.getRemotePath(localPath);
+            if (uploaded[remotePath] === signature) {
+                return;
+            }
+            await destination.upload(localPath, remotePath);
+            uploaded[remotePath] = signature;
+        };
+
+        if (backup.backupFileName) {
+            await upload(path.join(this.backupManager.backupPath, backup.backupFileName), 'file');
+        } else {
+            const objectStore = this.backupManager.objectStore;
+            const objects = objectStore.getIndex().objects;
+            for (const file of backup.files) {
+                // 差异对象需要其整条基准链才能还原
+                for (let objectHash = file.object; objectHash; objectHash = objects[objectHash] && objects[objectHash].base) {
+                    const entry = objects[objectHash] || {};
+                    await upload(objectStore.getObjectPath(objectHash), `${entry.keyId || 'plain'}:${entry.type || 'full'}`);
+                }
+            }
+        }
+
+        if (backup.screenshot && fs.existsSync(backup.screenshot)) {
+            await upload(backup.screenshot, backup.screenshotHash || 'file');
+        }
+
+        const encryption = this.backupManager.encryption;
+        if (encryption.isEnabled()) {
+            await upload(encryption.keyFile, encryption.getKeyId(encryption.getKeyInfo()));
+        }
+
+        // 清单可能还在内存中等待写入
+        this.backupManager.flushMetadata();
+        const manifestPath = this.backupManager.getSnapshotManifestPath(backupId);
+        await upload(manifestPath, crypto.createHash('md5').update(fs.readFileSync(manifestPath)).digest('hex'));
+    }
+
+    // 远程路径与本地备份目录中的相对路径相同；备份目录之外的截图放在 screenshots 下
+    getRemotePath(localPath) {
+        const relativePath = path.relative(this.backupManager.backupPath, localPath);
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            return `screenshots/${path.basename(localPath)}`;
+        }
+        return relativePath.split(path.sep).join('/');
+    }
+
+    // 测试连接：上传并删除一个小文件
+    async testDestination(config) {
+        const destination = createDestination(config);
+        const testFile = path.join(this.backupManager.backupPath, 'tmp', `destination-test-${Date.now()}`);
+        try {
+            await fs.outputFile(testFile, 'GameSave Manager');
+            await destination.connect();
+            await destination.upload(testFile, '.gamesave-manager-test');
+            await destination.remove('.gamesave-manager-test');
+        } finally {
+            fs.removeSync(testFile);
+            await destination.close().catch(() => {});
+        }
+    }
+
+    getStatus() {
+        return [...this.destinations.entries()].map(([id, runtime]) => ({
+            id,
+            name: runtime.config.name || id,
+            type: runtime.config.type,
+            enabled: runtime.config.enabled !== false,
+            status: runtime.config.enabled === false ? 'disabled' : runtime.status,
+            pending: runtime.state.pending.length,
+            lastSuccessAt: runtime.state.lastSuccessAt,
+            lastError: runtime.state.lastError,
+            nextRetryAt: runtime.nextRetryAt
+        }));
+    }
+
+    emitStatus() {
+        this.emit('status-changed', this.getStatus());
+    }
+
+    // 停止所有计时器，正在上传的文件完成后退出；未上传的备份保留在队列中
+    stop() {
+        this.stopped = true;
+        for (const runtime of this.destinations.values()) {
+            clearTimeout(runtime.timer);
+            runtime.timer = null;
+        }
+    }
+}
+
+module.exports = DestinationManager;
@@ -0,0 +1,52 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs-extra');
+
+const REQUEST_TIMEOUT = 60 * 1000;
+
+// 发送 HTTP(S) 请求；body 可以是 Buffer 或本地文件路径（{ filePath }），返回状态码、响应头和响应内容
+function httpRequest(url, options = {}) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, {
+            method: options.method || 'GET',
+            headers: options.headers || {},
+            timeout: REQUEST_TIMEOUT
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                statusCode: response.statusCode,
+                headers: response.headers,
+                body: Buffer.concat(chunks)
+            }));
+            response.on('error', reject);
+        });
+
+        request.on('timeout', () => request.destroy(new Error('请求超时')));
+        request.on('error', reject);
+
+        if (options.body && options.body.filePath) {
+            const input = fs.createReadStream(options.body.filePath);
+            input.on('error', error => request.destroy(error));
+            input.pipe(request);
+        } else {
+            request.end(options.body);
+        }
+    });
+}
+
+// 非 2xx 响应转换为带状态码的错误
+function assertSuccess(response, action) {
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+        const detail = response.body.toString('utf8').substring(0, 200).trim();
+        throw new Error(`${action}失败: HTTP ${response.statusCode}${detail ? ` ${detail}` : ''}`);
+    }
+}
+
+module.exports = {
+    httpRequest,
+    assertSuccess
+};
@@ -0,0 +1,38 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// 本地目录或已挂载的 NAS 路径
+class LocalDestination {
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('未设置目标目录');
+        }
+        this.rootDir = options.path;
+    }
+
+    getLocalPath(remotePath) {
+        return path.join(this.rootDir, ...remotePath.split('/'));
+    }
+
+    async connect() {
+        await fs.ensureDir(this.rootDir);
+    }
+
+    // 先写临时文件再重命名，中断时不会留下不完整的文件
+    async upload(localPath, remotePath) {
+        const targetPath = this.getLocalPath(remotePath);
+        const tempPath = `${targetPath}.uploading`;
+        await fs.ensureDir(path.dirname(targetPath));
+        await fs.copy(localPath, tempPath);
+        await fs.move(tempPath, targetPath, { overwrite: true });
+    }
+
+    async remove(remotePath) {
+        await fs.remove(this.getLocalPath(remotePath));
+    }
+
+    async close() {
+    }
+}
+
+module.exports = LocalDestination;
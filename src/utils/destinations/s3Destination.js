@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { httpRequest, assertSuccess } = require('./httpRequest');
+
+// S3 兼容的对象存储（AWS S3、MinIO、Cloudflare R2 等），请求使用 AWS Signature V4 签名
+class S3Destination {
+    constructor(options = {}) {
+        if (!options.endpoint || !options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 设置不完整，需要服务地址、存储桶和访问密钥');
+        }
+        this.endpoint = new URL(options.endpoint);
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+        // MinIO 等自建服务通常只支持路径形式的地址
+        this.forcePathStyle = options.forcePathStyle !== false;
+    }
+
+    getObjectKey(remotePath) {
+        return this.prefix ? `${this.prefix}/${remotePath}` : remotePath;
+    }
+
+    getUrl(key) {
+        const encodedKey = key.split('/').map(encodeUriSegment).join('/');
+        const base = `${this.endpoint.protocol}//`;
+        const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+        if (this.forcePathStyle) {
+            return `${base}${this.endpoint.host}${basePath}/${this.bucket}/${encodedKey}`;
+        }
+        return `${base}${this.bucket}.${this.endpoint.host}${basePath}/${encodedKey}`;
+    }
+
+    // 按 Signature V4 为请求生成签名头
+    signRequest(method, url, payloadHash) {
+        const target = new URL(url);
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.substring(0, 8);
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+
+        const headers = {
+            host: target.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+        const canonicalRequest = [method, target.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        let signingKey = hmac(`AWS4${this.secretAccessKey}`, date);
+        for (const part of [this.region, 's3', 'aws4_request']) {
+            signingKey = hmac(signingKey, part);
+        }
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            ...headers,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    // 检查存储桶可以访问
+    async connect() {
+        const url = this.getUrl('');
+        const response = await httpRequest(url, {
+            method: 'HEAD',
+            headers: this.signRequest('HEAD', url, sha256(''))
+        });
+        assertSuccess(response, `访问存储桶 ${this.bucket}`);
+    }
+
+    async upload(localPath, remotePath) {
+        const url = this.getUrl(this.getObjectKey(remotePath));
+        const payloadHash = await hashFile(localPath);
+        const response = await httpRequest(url, {
+            method: 'PUT',
+            headers: {
+                ...this.signRequest('PUT', url, payloadHash),
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': fs.statSync(localPath).size
+            },
+            body: { filePath: localPath }
+        });
+        assertSuccess(response, `上传 ${remotePath}`);
+    }
+
+    async remove(remotePath) {
+        const url = this.getUrl(this.getObjectKey(remotePath));
+        const response = await httpRequest(url, {
+            method: 'DELETE',
+            headers: this.signRequest('DELETE', url, sha256(''))
+        });
+        assertSuccess(response, `删除 ${remotePath}`);
+    }
+
+    async close() {
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// S3 要求按 RFC 3986 编码路径，encodeURIComponent 不会编码 !'()*
+function encodeUriSegment(segment) {
+    return encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+module.exports = S3Destination;
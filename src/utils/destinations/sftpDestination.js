@@ -0,0 +1,77 @@
+const fs = require('fs-extra');
+const path = require('path');
+const SftpClient = require('ssh2-sftp-client');
+
+// SFTP 服务器，支持密码或私钥登录
+class SftpDestination {
+    constructor(options = {}) {
+        if (!options.host || !options.username) {
+            throw new Error('未设置 SFTP 服务器地址或用户名');
+        }
+        this.options = options;
+        this.remoteRoot = (options.remotePath || '.').replace(/\/+$/, '') || '/';
+        this.client = null;
+        this.createdDirs = new Set();
+    }
+
+    getRemotePath(remotePath) {
+        return path.posix.join(this.remoteRoot, remotePath);
+    }
+
+    async connect() {
+        if (this.client) {
+            return;
+        }
+
+        const client = new SftpClient();
+        await client.connect({
+            host: this.options.host,
+            port: Number(this.options.port) || 22,
+            username: this.options.username,
+            password: this.options.password || undefined,
+            privateKey: this.options.privateKeyPath ? fs.readFileSync(this.options.privateKeyPath) : undefined,
+            passphrase: this.options.privateKeyPassphrase || undefined,
+            readyTimeout: 30 * 1000
+        });
+        this.client = client;
+    }
+
+    async ensureRemoteDir(remoteDir) {
+        if (this.createdDirs.has(remoteDir)) {
+            return;
+        }
+        if (!(await this.client.exists(remoteDir))) {
+            await this.client.mkdir(remoteDir, true);
+        }
+        this.createdDirs.add(remoteDir);
+    }
+
+    // 先上传为临时文件再重命名，中断时不会留下不完整的文件
+    async upload(localPath, remotePath) {
+        await this.connect();
+        const targetPath = this.getRemotePath(remotePath);
+        const tempPath = `${targetPath}.uploading`;
+        await this.ensureRemoteDir(path.posix.dirname(targetPath));
+        await this.client.fastPut(localPath, tempPath);
+        if (await this.client.exists(targetPath)) {
+            await this.client.delete(targetPath);
+        }
+        await this.client.rename(tempPath, targetPath);
+    }
+
+    async remove(remotePath) {
+        await this.connect();
+        await this.client.delete(this.getRemotePath(remotePath), true);
+    }
+
+    async close() {
+        if (this.client) {
+            const client = this.client;
+            this.client = null;
+            this.createdDirs.clear();
+            await client.end();
+        }
+    }
+}
+
+module.exports = SftpDestination;
@@ -0,0 +1,73 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { httpRequest, assertSuccess } = require('./httpRequest');
+
+// WebDAV 服务器（如 Nextcloud、群晖），使用基本认证
+class WebdavDestination {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('未设置 WebDAV 地址');
+        }
+        this.baseUrl = options.url.replace(/\/+$/, '');
+        this.headers = {};
+        if (options.username) {
+            const credentials = Buffer.from(`${options.username}:${options.password || ''}`).toString('base64');
+            this.headers.Authorization = `Basic ${credentials}`;
+        }
+        this.createdDirs = new Set();
+    }
+
+    getUrl(remotePath) {
+        return `${this.baseUrl}/${remotePath.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    // 检查根目录可以访问
+    async connect() {
+        const response = await httpRequest(`${this.baseUrl}/`, {
+            method: 'PROPFIND',
+            headers: { ...this.headers, Depth: '0' }
+        });
+        assertSuccess(response, '连接 WebDAV 服务器');
+    }
+
+    // 逐级创建目录；目录已存在时服务器返回 405
+    async ensureRemoteDir(remoteDir) {
+        if (remoteDir === '.' || this.createdDirs.has(remoteDir)) {
+            return;
+        }
+
+        await this.ensureRemoteDir(path.posix.dirname(remoteDir));
+        const response = await httpRequest(`${this.getUrl(remoteDir)}/`, { method: 'MKCOL', headers: this.headers });
+        if (response.statusCode !== 405) {
+            assertSuccess(response, `创建目录 ${remoteDir}`);
+        }
+        this.createdDirs.add(remoteDir);
+    }
+
+    async upload(localPath, remotePath) {
+        await this.ensureRemoteDir(path.posix.dirname(remotePath));
+        const response = await httpRequest(this.getUrl(remotePath), {
+            method: 'PUT',
+            headers: {
+                ...this.headers,
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': fs.statSync(localPath).size
+            },
+            body: { filePath: localPath }
+        });
+        assertSuccess(response, `上传 ${remotePath}`);
+    }
+
+    async remove(remotePath) {
+        const response = await httpRequest(this.getUrl(remotePath), { method: 'DELETE', headers: this.headers });
+        if (response.statusCode !== 404) {
+            assertSuccess(response, `删除 ${remotePath}`);
+        }
+    }
+
+    async close() {
+        this.createdDirs.clear();
+    }
+}
+
+module.exports = WebdavDestination;
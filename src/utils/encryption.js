@@ -0,0 +1,312 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { writeJsonAtomic, readJsonWithFallback } = require('./jsonStore');
+
+// 加密对象格式：魔数(4) + 版本(1) + 临时公钥长度(2) + 临时公钥 + IV(12) + 密文 + 认证标签(16)
+const MAGIC = Buffer.from('GSME');
+const VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// 解析加密对象的头部；数据不足时返回 null
+function parseHeader(data) {
+    const fixedLength = MAGIC.length + 3;
+    if (data.length < fixedLength) {
+        return null;
+    }
+    if (!data.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error('不是有效的加密备份数据');
+    }
+
+    const keyLength = data.readUInt16BE(MAGIC.length + 1);
+    const length = fixedLength + keyLength + IV_LENGTH;
+    if (data.length < length) {
+        return null;
+    }
+
+    return {
+        length,
+        ephemeralPublicKey: crypto.createPublicKey({
+            key: data.subarray(fixedLength, fixedLength + keyLength),
+            format: 'der',
+            type: 'spki'
+        }),
+        iv: data.subarray(fixedLength + keyLength, length)
+    };
+}
+
+// 已解锁的私钥按密钥文件路径和密钥ID缓存，同一备份仓库的多个实例共享解锁状态
+const unlockedKeys = new Map();
+
+// 备份仓库加密：仓库持有一对 X25519 密钥，私钥由用户密码派生的密钥加密保存。
+// 每个对象使用临时密钥协商出独立的 AES-256-GCM 密钥，因此创建备份只需公钥，恢复和查看才需要密码。
+// 更换密码时新密钥先写入 .pending 文件，全部数据重新加密后才替换正式密钥，中断后可以继续。
+class RepositoryEncryption {
+    constructor(keyFile) {
+        this.keyFile = keyFile;
+        this.pendingKeyFile = `${keyFile}.pending`;
+    }
+
+    isEnabled() {
+        return fs.existsSync(this.keyFile) || fs.existsSync(`${this.keyFile}.bak`);
+    }
+
+    isUnlocked() {
+        return this.isEnabled() && this.getUnlockedKeys().has(this.getKeyId(this.getKeyInfo()));
+    }
+
+    getUnlockedKeys() {
+        if (!unlockedKeys.has(this.keyFile)) {
+            unlockedKeys.set(this.keyFile, new Map());
+        }
+        return unlockedKeys.get(this.keyFile);
+    }
+
+    getKeyInfo() {
+        const keyInfo = readJsonWithFallback(this.keyFile, null);
+        if (!keyInfo) {
+            throw new Error('备份仓库未启用加密');
+        }
+        return keyInfo;
+    }
+
+    getPendingKeyInfo() {
+        return fs.existsSync(this.pendingKeyFile) ? fs.readJsonSync(this.pendingKeyFile) : null;
+    }
+
+    // 密钥ID由公钥计算，记录在每个加密对象上，用于选择解密私钥
+    getKeyId(keyInfo) {
+        return crypto.createHash('sha256').update(keyInfo.publicKey).digest('hex').substring(0, 16);
+    }
+
+    // 新对象使用的密钥：更换密码期间直接使用新密钥，避免产生需要再次重新加密的对象
+    getWriteKeyInfo() {
+        return this.getPendingKeyInfo() || this.getKeyInfo();
+    }
+
+    getCurrentKeyId() {
+        return this.getKeyId(this.getWriteKeyInfo());
+    }
+
+    getPublicKey(keyInfo = this.getWriteKeyInfo()) {
+        return crypto.createPublicKey({
+            key: Buffer.from(keyInfo.publicKey, 'base64'),
+            format: 'der',
+            type: 'spki'
+        });
+    }
+
+    getPrivateKey(keyId) {
+        const privateKey = this.getUnlockedKeys().get(keyId);
+        if (!privateKey) {
+            throw new Error('备份已加密，请先输入密码解锁');
+        }
+        return privateKey;
+    }
+
+    // 生成新的仓库密钥对并用密码保护私钥
+    createKeys(passphrase) {
+        if (!passphrase) {
+            throw new Error('密码不能为空');
+        }
+
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+        const salt = crypto.randomBytes(16);
+        const wrappingKey = this.deriveWrappingKey(passphrase, salt, SCRYPT_PARAMS);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+        const encryptedKey = Buffer.concat([
+            cipher.update(privateKey.export({ format: 'der', type: 'pkcs8' })),
+            cipher.final()
+        ]);
+
+        const keyInfo = {
+            version: VERSION,
+            kdf: { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT_PARAMS.N, r: SCRYPT_PARAMS.r, p: SCRYPT_PARAMS.p },
+            publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64'),
+            encryptedPrivateKey: {
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: encryptedKey.toString('base64')
+            },
+            createdAt: new Date().toISOString()
+        };
+
+        this.getUnlockedKeys().set(this.getKeyId(keyInfo), privateKey);
+        return keyInfo;
+    }
+
+    // 首次启用加密：直接保存为正式密钥
+    saveKeys(keyInfo) {
+        writeJsonAtomic(this.keyFile, keyInfo);
+    }
+
+    savePendingKeys(keyInfo) {
+        writeJsonAtomic(this.pendingKeyFile, keyInfo);
+    }
+
+    // 数据全部用新密钥加密后，将待用密钥替换为正式密钥
+    promotePendingKeys() {
+        const keyInfo = this.getPendingKeyInfo();
+        if (!keyInfo) {
+            return;
+        }
+
+        const oldKeyId = this.getKeyId(this.getKeyInfo());
+        writeJsonAtomic(this.keyFile, keyInfo);
+        fs.removeSync(this.pendingKeyFile);
+        fs.removeSync(`${this.pendingKeyFile}.bak`);
+        this.getUnlockedKeys().delete(oldKeyId);
+    }
+
+    // 用密码解锁正式密钥；存在未完成的更换时一并尝试解锁待用密钥
+    unlock(passphrase) {
+        this.unlockKeyInfo(this.getKeyInfo(), passphrase);
+
+        const pendingKeyInfo = this.getPendingKeyInfo();
+        if (pendingKeyInfo) {
+            try {
+                this.unlockKeyInfo(pendingKeyInfo, passphrase);
+            } catch (error) {
+                // 待用密钥使用的是新密码，这里解锁失败是正常的
+            }
+        }
+        return true;
+    }
+
+    hasPendingKeys() {
+        return fs.existsSync(this.pendingKeyFile);
+    }
+
+    isPendingUnlocked() {
+        const pendingKeyInfo = this.getPendingKeyInfo();
+        return Boolean(pendingKeyInfo) && this.getUnlockedKeys().has(this.getKeyId(pendingKeyInfo));
+    }
+
+    unlockKeyInfo(keyInfo, passphrase) {
+        const { salt, N, r, p } = keyInfo.kdf;
+        const wrappingKey = this.deriveWrappingKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p, maxmem: SCRYPT_PARAMS.maxmem });
+
+        try {
+            const { iv, tag, data } = keyInfo.encryptedPrivateKey;
+            const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            const keyData = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+            this.getUnlockedKeys().set(this.getKeyId(keyInfo), crypto.createPrivateKey({ key: keyData, format: 'der', type: 'pkcs8' }));
+        } catch (error) {
+            throw new Error('密码错误');
+        }
+    }
+
+    lock() {
+        unlockedKeys.delete(this.keyFile);
+    }
+
+    deriveWrappingKey(passphrase, salt, params) {
+        return crypto.scryptSync(String(passphrase), salt, 32, params);
+    }
+
+    deriveObjectKey(privateKey, publicKey) {
+        const sharedSecret = crypto.diffieHellman({ privateKey, publicKey });
+        return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.alloc(0), 'gamesave-manager-object', 32));
+    }
+
+    // 创建加密流；可指定公钥，用于更换密码时用新密钥重新加密
+    createEncryptStream(publicKey = this.getPublicKey()) {
+        const ephemeral = crypto.generateKeyPairSync('x25519');
+        const ephemeralPublicKey = ephemeral.publicKey.export({ format: 'der', type: 'spki' });
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveObjectKey(ephemeral.privateKey, publicKey), iv);
+
+        const header = Buffer.alloc(MAGIC.length + 3);
+        MAGIC.copy(header, 0);
+        header.writeUInt8(VERSION, MAGIC.length);
+        header.writeUInt16BE(ephemeralPublicKey.length, MAGIC.length + 1);
+
+        let headerWritten = false;
+        const writeHeader = (stream) => {
+            if (!headerWritten) {
+                stream.push(Buffer.concat([header, ephemeralPublicKey, iv]));
+                headerWritten = true;
+            }
+        };
+
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                writeHeader(this);
+                callback(null, cipher.update(chunk));
+            },
+            flush(callback) {
+                writeHeader(this);
+                this.push(cipher.final());
+                this.push(cipher.getAuthTag());
+                callback();
+            }
+        });
+    }
+
+    // 创建解密流；认证标签位于末尾，因此始终保留最后16字节直到流结束再校验
+    createDecryptStream(privateKey) {
+        const encryption = this;
+        let buffered = Buffer.alloc(0);
+        let decipher = null;
+
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                try {
+                    buffered = Buffer.concat([buffered, chunk]);
+
+                    if (!decipher) {
+                        const header = parseHeader(buffered);
+                        if (!header) {
+                            return callback();
+                        }
+                        decipher = crypto.createDecipheriv('aes-256-gcm', encryption.deriveObjectKey(privateKey, header.ephemeralPublicKey), header.iv);
+                        buffered = buffered.subarray(header.length);
+                    }
+
+                    if (buffered.length > TAG_LENGTH) {
+                        const data = buffered.subarray(0, buffered.length - TAG_LENGTH);
+                        buffered = buffered.subarray(buffered.length - TAG_LENGTH);
+                        this.push(decipher.update(data));
+                    }
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                try {
+                    if (!decipher || buffered.length !== TAG_LENGTH) {
+                        throw new Error('加密备份数据不完整');
+                    }
+                    decipher.setAuthTag(buffered);
+                    this.push(decipher.final());
+                    callback();
+                } catch (error) {
+                    callback(new Error(`加密备份数据校验失败: ${error.message}`));
+                }
+            }
+        });
+    }
+
+    // 一次性解密整个对象，用于重建索引时识别对象使用的密钥
+    decryptBufferSync(data, privateKey) {
+        const header = parseHeader(data);
+        if (!header || data.length < header.length + TAG_LENGTH) {
+            throw new Error('加密备份数据不完整');
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveObjectKey(privateKey, header.ephemeralPublicKey), header.iv);
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+        return Buffer.concat([decipher.update(data.subarray(header.length, data.length - TAG_LENGTH)), decipher.final()]);
+    }
+
+    static isEncryptedData(data) {
+        return data.length >= MAGIC.length && data.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+}
+
+module.exports = RepositoryEncryption;
@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// 计算单个文件的MD5哈希
+function calculateFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('md5');
+        const stream = fs.createReadStream(filePath);
+
+        stream.on('data', (data) => {
+            hash.update(data);
+        });
+
+        stream.on('end', () => {
+            resolve(hash.digest('hex'));
+        });
+
+        stream.on('error', (error) => {
+            reject(error);
+        });
+    });
+}
+
+// 递归列出目录下的所有文件，返回使用 / 分隔的相对路径（已排序）；
+// 传入 filter（PathFilter）时只返回符合文件筛选规则的文件
+async function listFiles(rootDir, filter = null) {
+    const results = [];
+
+    async function walk(currentDir) {
+        const entries = await fs.readdir(currentDir, { withFileTypes: true });
+        for (const entry of entries) {
+            const fullPath = path.join(currentDir, entry.name);
+            const relativePath = path.relative(rootDir, fullPath).split(path.sep).join('/');
+            if (entry.isDirectory()) {
+                if (!filter || !filter.excludesDirectory(relativePath)) {
+                    await walk(fullPath);
+                }
+            } else if (entry.isFile() && (!filter || filter.matches(relativePath))) {
+                results.push(relativePath);
+            }
+        }
+    }
+
+    await walk(rootDir);
+    return results.sort();
+}
+
+// 扫描目录，返回每个文件的相对路径、大小和哈希
+async function scanTree(rootDir, filter = null) {
+    const files = [];
+    for (const relativePath of await listFiles(rootDir, filter)) {
+        const fullPath = path.join(rootDir, ...relativePath.split('/'));
+        const stats = await fs.stat(fullPath);
+        files.push({
+            path: relativePath,
+            size: stats.size,
+            hash: await calculateFileHash(fullPath)
+        });
+    }
+    return files;
+}
+
+// 由文件清单计算整体哈希，任一文件的增删改都会改变结果
+function hashFileList(files) {
+    const hash = crypto.createHash('md5');
+    for (const file of files) {
+        hash.update(`${file.path}\0${file.hash}\n`);
+    }
+    return hash.digest('hex');
+}
+
+// 计算存档路径的哈希：文件直接计算，目录按（符合筛选规则的）文件清单计算
+async function calculatePathHash(targetPath, filter = null) {
+    const stats = await fs.stat(targetPath);
+    if (stats.isDirectory()) {
+        return hashFileList(await scanTree(targetPath, filter));
+    }
+    return calculateFileHash(targetPath);
+}
+
+// 统计目录在磁盘上占用的总字节数
+async function getDirectorySize(rootDir) {
+    if (!fs.existsSync(rootDir)) {
+        return 0;
+    }
+
+    let total = 0;
+    for (const relativePath of await listFiles(rootDir)) {
+        const stats = await fs.stat(path.join(rootDir, ...relativePath.split('/')));
+        total += stats.size;
+    }
+    return total;
+}
+
+module.exports = {
+    calculateFileHash,
+    listFiles,
+    scanTree,
+    hashFileList,
+    calculatePathHash,
+    getDirectorySize
+};
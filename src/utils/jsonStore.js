@@ -0,0 +1,49 @@
+const fs = require('fs-extra');
+
+// 原子写入JSON：先写临时文件并刷盘，保留上一版本为 .bak，再重命名替换
+function writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    const backupPath = `${filePath}.bak`;
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (fs.existsSync(filePath)) {
+        fs.copyFileSync(filePath, backupPath);
+    }
+
+    fs.renameSync(tempPath, filePath);
+}
+
+// 读取JSON，主文件损坏时回退到 .bak；两者都不可用时抛出错误而不是返回空数据
+function readJsonWithFallback(filePath, defaultValue) {
+    const backupPath = `${filePath}.bak`;
+
+    if (!fs.existsSync(filePath) && !fs.existsSync(backupPath)) {
+        return defaultValue;
+    }
+
+    try {
+        return fs.readJsonSync(filePath);
+    } catch (error) {
+        console.error(`读取 ${filePath} 失败，尝试使用备份副本:`, error);
+    }
+
+    try {
+        const data = fs.readJsonSync(backupPath);
+        console.warn(`已从备份副本恢复: ${backupPath}`);
+        return data;
+    } catch (error) {
+        throw new Error(`${filePath} 及其备份副本均已损坏`);
+    }
+}
+
+module.exports = {
+    writeJsonAtomic,
+    readJsonWithFallback
+};
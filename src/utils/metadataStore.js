@@ -0,0 +1,444 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { readJsonWithFallback } = require('./jsonStore');
+
+// 日志记录数超过备份数量的两倍（且不少于此数量）时压缩日志
+const COMPACT_MIN_RECORDS = 500;
+
+const SORT_FIELDS = {
+    timestamp: backup => Date.parse(backup.timestamp),
+    size: backup => backup.size || 0,
+    label: backup => (backup.label || backup.originalFileName || '').toLowerCase()
+};
+
+// 备份元数据存储：以追加写入的日志（metadata.log，每行一条 JSON 记录）保存，
+// 加载后在内存中维护按时间排序的索引以及按游戏（存档路径）和标签的索引，供分页查询使用。
+// 记录类型：put（新增或更新备份）、delete（删除备份）、state（heads、lastRestore 等备份以外的字段）。
+// 写入时只追加发生变化的备份，无效记录过多时重写为压缩后的日志。
+// 写入前检查日志在本实例上次读写之后是否被其他实例修改过，修改过时先重新读取并合并
+class MetadataStore {
+    constructor(backupPath) {
+        this.logFile = path.join(backupPath, 'metadata.log');
+        this.legacyFile = path.join(backupPath, 'metadata.json');
+        this.backups = new Map();
+        this.state = {};
+        this.loaded = false;
+        // 已写入日志的内容，用于找出需要追加的记录；为 null 时表示日志不可用，下次写入时整体重写
+        this.persisted = null;
+        this.persistedState = null;
+        this.logRecords = 0;
+        // 本实例上次读写后日志文件的状态，用于发现其他实例写入的内容
+        this.logSignature = null;
+        this.index = null;
+    }
+
+    load() {
+        if (this.loaded) {
+            return;
+        }
+
+        if (fs.existsSync(this.logFile)) {
+            this.replayLog();
+        } else {
+            this.migrateLegacyFile();
+        }
+        this.loaded = true;
+    }
+
+    replayLog() {
+        const log = this.readLog();
+        this.backups = log.backups;
+        this.state = log.state;
+        // 末尾有不完整的记录时不能继续追加，下次写入时重写日志
+        this.persisted = log.truncated ? null : serializeBackups(log.backups);
+        this.persistedState = JSON.stringify(log.state);
+        this.logRecords = log.records;
+        this.logSignature = log.signature;
+        this.index = null;
+    }
+
+    // 读取并重放日志，返回 { backups, state, records, truncated, signature }
+    readLog() {
+        const signature = this.getLogSignature();
+        const lines = fs.readFileSync(this.logFile, 'utf8').split('\n');
+        const backups = new Map();
+        let state = {};
+        let records = 0;
+        let truncated = false;
+
+        lines.forEach((line, lineIndex) => {
+            if (!line.trim()) {
+                return;
+            }
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // 最后一行可能是写入时中断留下的不完整记录，忽略即可
+                if (lines.slice(lineIndex + 1).every(rest => !rest.trim())) {
+                    console.warn('忽略元数据日志末尾不完整的记录');
+                    truncated = true;
+                    return;
+                }
+                throw new Error(`${this.logFile} 已损坏（第 ${lineIndex + 1} 行），请重建索引`);
+            }
+
+            records++;
+            if (record.op === 'put') {
+                backups.set(record.backup.id, record.backup);
+            } else if (record.op === 'delete') {
+                backups.delete(record.id);
+            } else if (record.op === 'state') {
+                state = record.state;
+            }
+        });
+
+        return { backups, state, records, truncated, signature };
+    }
+
+    // 日志文件的大小、修改时间和 inode，日志不存在时返回 null
+    getLogSignature() {
+        try {
+            const stats = fs.statSync(this.logFile);
+            return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // 其他实例（例如同一备份目录的另一个备份管理器）在本实例上次读写后修改了日志：
+    // 重新读取日志，再把本实例相对上次读写的修改合并上去，避免追加或压缩时丢失对方写入的备份
+    mergeFromLog() {
+        const log = this.readLog();
+        const backups = new Map(log.backups);
+        if (this.persisted) {
+            for (const [id, backup] of this.backups) {
+                if (this.persisted.get(id) !== JSON.stringify(backup)) {
+                    backups.set(id, backup);
+                }
+            }
+            for (const id of this.persisted.keys()) {
+                if (!this.backups.has(id)) {
+                    backups.delete(id);
+                }
+            }
+        } else {
+            // 不知道上次写入的内容时无法区分本实例的修改，保留双方的全部备份
+            for (const [id, backup] of this.backups) {
+                backups.set(id, backup);
+            }
+        }
+
+        const persistedState = this.persistedState ? JSON.parse(this.persistedState) : {};
+        console.log('元数据日志已被其他实例修改，重新读取并合并');
+        this.backups = backups;
+        this.state = mergeChanges(persistedState, this.state, log.state) || {};
+        this.persisted = log.truncated ? null : serializeBackups(log.backups);
+        this.persistedState = JSON.stringify(log.state);
+        this.logRecords = log.records;
+        this.logSignature = log.signature;
+        this.index = null;
+    }
+
+    // 丢弃内存中的内容，重新读取日志
+    reload() {
+        this.loaded = false;
+        this.load();
+    }
+
+    // 旧版本把全部元数据保存在 metadata.json 中，首次加载时转换为日志
+    migrateLegacyFile() {
+        const metadata = readJsonWithFallback(this.legacyFile, { backups: [] });
+        this.setMetadata(metadata);
+        if (fs.existsSync(this.legacyFile) || fs.existsSync(`${this.legacyFile}.bak`)) {
+            console.log('将 metadata.json 转换为元数据日志');
+            this.compact();
+            fs.removeSync(this.legacyFile);
+            fs.removeSync(`${this.legacyFile}.bak`);
+        }
+    }
+
+    // 完整的元数据副本：{ backups: [...], ...state }，备份按加入顺序排列
+    getMetadata() {
+        this.load();
+        return structuredClone({ ...this.state, backups: [...this.backups.values()] });
+    }
+
+    // 替换内存中的元数据，写入由 flush 完成
+    setMetadata(metadata) {
+        const { backups = [], ...state } = structuredClone(metadata);
+        this.backups = new Map(backups.map(backup => [backup.id, backup]));
+        this.state = state;
+        this.loaded = true;
+        this.index = null;
+    }
+
+    get(backupId) {
+        this.load();
+        const backup = this.backups.get(backupId);
+        return backup ? structuredClone(backup) : null;
+    }
+
+    // 把与日志内容不同的备份和状态追加到日志
+    flush() {
+        if (!this.loaded) {
+            return;
+        }
+        const signature = this.getLogSignature();
+        if (signature !== this.logSignature) {
+            if (signature) {
+                this.mergeFromLog();
+            } else {
+                // 日志已被删除，重写完整的日志
+                this.persisted = null;
+            }
+        }
+        if (!this.persisted) {
+            this.compact();
+            return;
+        }
+
+        const records = [];
+        const current = new Map();
+        for (const [id, backup] of this.backups) {
+            const serialized = JSON.stringify(backup);
+            current.set(id, serialized);
+            if (this.persisted.get(id) !== serialized) {
+                records.push(`{"op":"put","backup":${serialized}}`);
+            }
+        }
+        for (const id of this.persisted.keys()) {
+            if (!current.has(id)) {
+                records.push(JSON.stringify({ op: 'delete', id }));
+            }
+        }
+        const state = JSON.stringify(this.state);
+        if (state !== this.persistedState) {
+            records.push(`{"op":"state","state":${state}}`);
+        }
+
+        if (records.length === 0) {
+            return;
+        }
+
+        if (this.logRecords + records.length > Math.max(COMPACT_MIN_RECORDS, this.backups.size * 2)) {
+            this.compact();
+            return;
+        }
+
+        const fd = fs.openSync(this.logFile, 'a');
+        try {
+            fs.writeSync(fd, records.join('\n') + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this.persisted = current;
+        this.persistedState = state;
+        this.logRecords += records.length;
+        this.logSignature = this.getLogSignature();
+    }
+
+    // 用当前内容重写日志：先写临时文件并刷盘，再重命名替换
+    compact() {
+        const persisted = new Map();
+        const lines = [];
+        for (const [id, backup] of this.backups) {
+            const serialized = JSON.stringify(backup);
+            persisted.set(id, serialized);
+            lines.push(`{"op":"put","backup":${serialized}}`);
+        }
+        const state = JSON.stringify(this.state);
+        lines.push(`{"op":"state","state":${state}}`);
+
+        const tempPath = `${this.logFile}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, lines.join('\n') + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, this.logFile);
+
+        this.persisted = persisted;
+        this.persistedState = state;
+        this.logRecords = lines.length;
+        this.logSignature = this.getLogSignature();
+    }
+
+    // 按需重建内存索引：按时间升序排列的备份，以及存档路径、标签到备份 ID 的映射
+    getIndex() {
+        this.load();
+        if (this.index) {
+            return this.index;
+        }
+
+        const timeline = [...this.backups.values()]
+            .map(backup => ({ id: backup.id, time: Date.parse(backup.timestamp) }))
+            .sort((a, b) => a.time - b.time);
+        const byGame = new Map();
+        const byTag = new Map();
+        const addTo = (map, key, id) => {
+            if (!map.has(key)) {
+                map.set(key, new Set());
+            }
+            map.get(key).add(id);
+        };
+
+        for (const backup of this.backups.values()) {
+            addTo(byGame, backup.originalPath, backup.id);
+            for (const tag of backup.tags || []) {
+                addTo(byTag, tag, backup.id);
+            }
+        }
+
+        this.index = { timeline, byGame, byTag };
+        return this.index;
+    }
+
+    // 分页查询备份。options:
+    //   search: 搜索文字，空格分隔的每个词都要出现在名称、备注、标签、文件名或分支名中；
+    //   game: 存档路径；tag: 标签；from/to: 时间范围（ISO 时间字符串，包含边界）；
+    //   minSize/maxSize: 原始大小范围（字节）；hasScreenshot/pinned: 为 true 时只返回有截图/已固定的备份；sortBy: timestamp | size | label；order: asc | desc；
+    //   offset/limit: 分页，limit 为 0 时返回全部
+    // 返回 { total, offset, limit, items }
+    query(options = {}) {
+        const { timeline, byGame, byTag } = this.getIndex();
+        const offset = Math.max(0, Number(options.offset) || 0);
+        const limit = Math.max(0, Number(options.limit) || 0);
+        const sortBy = SORT_FIELDS[options.sortBy] ? options.sortBy : 'timestamp';
+        const order = options.order === 'asc' ? 'asc' : 'desc';
+
+        // 时间范围在按时间排序的索引上二分查找
+        const from = options.from ? Date.parse(options.from) : -Infinity;
+        const to = options.to ? Date.parse(options.to) : Infinity;
+        const start = lowerBound(timeline, from);
+        const end = lowerBound(timeline, to, true);
+
+        const sets = [];
+        if (options.game) {
+            sets.push(byGame.get(options.game) || new Set());
+        }
+        if (options.tag) {
+            sets.push(byTag.get(options.tag) || new Set());
+        }
+        const minSize = Number(options.minSize) || 0;
+        const maxSize = options.maxSize ? Number(options.maxSize) : Infinity;
+        const terms = String(options.search || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        let matches = [];
+        for (let i = start; i < end; i++) {
+            const { id } = timeline[i];
+            if (sets.some(set => !set.has(id))) {
+                continue;
+            }
+            const backup = this.backups.get(id);
+            const size = backup.size || 0;
+            if (size < minSize || size > maxSize
+                || (options.hasScreenshot && !backup.screenshot)
+                || (options.pinned && !backup.pinned)) {
+                continue;
+            }
+            if (terms.length > 0) {
+                const text = getSearchText(backup);
+                if (!terms.every(term => text.includes(term))) {
+                    continue;
+                }
+            }
+            matches.push(backup);
+        }
+
+        if (sortBy === 'timestamp') {
+            if (order === 'desc') {
+                matches.reverse();
+            }
+        } else {
+            const key = SORT_FIELDS[sortBy];
+            const direction = order === 'asc' ? 1 : -1;
+            matches = matches
+                .map(backup => ({ backup, value: key(backup) }))
+                .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0) * direction)
+                .map(entry => entry.backup);
+        }
+
+        const items = limit > 0 ? matches.slice(offset, offset + limit) : matches.slice(offset);
+        return {
+            total: matches.length,
+            offset,
+            limit,
+            items: structuredClone(items)
+        };
+    }
+
+    // 可用于筛选的游戏（存档路径）和标签，以及各自的备份数量
+    getFilterOptions() {
+        const { byGame, byTag } = this.getIndex();
+        return {
+            games: [...byGame].map(([gamePath, ids]) => ({
+                path: gamePath,
+                name: path.basename(gamePath || ''),
+                count: ids.size
+            })).sort((a, b) => a.name.localeCompare(b.name)),
+            tags: [...byTag].map(([tag, ids]) => ({ tag, count: ids.size }))
+                .sort((a, b) => a.tag.localeCompare(b.tag))
+        };
+    }
+}
+
+function serializeBackups(backups) {
+    return new Map([...backups].map(([id, backup]) => [id, JSON.stringify(backup)]));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 三方合并：本实例相对 base 没有修改的值取 disk 中的值，修改过的取本实例的值；
+// 双方都是对象时逐个字段合并（例如不同存档的 heads）
+function mergeChanges(base, local, disk) {
+    if (JSON.stringify(local) === JSON.stringify(base)) {
+        return disk;
+    }
+    if (!isPlainObject(base) || !isPlainObject(local) || !isPlainObject(disk)) {
+        return local;
+    }
+
+    const result = {};
+    for (const key of new Set([...Object.keys(base), ...Object.keys(local), ...Object.keys(disk)])) {
+        const value = mergeChanges(base[key], local[key], disk[key]);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function getSearchText(backup) {
+    return [backup.label, backup.note, backup.originalFileName, backup.branchName, ...(backup.tags || [])]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+}
+
+// 第一个时间不小于（inclusive 为 true 时大于）给定时间的位置
+function lowerBound(timeline, time, inclusive = false) {
+    let low = 0;
+    let high = timeline.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (timeline[mid].time < time || (inclusive && timeline[mid].time === time)) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+module.exports = MetadataStore;
@@ -0,0 +1,718 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { writeJsonAtomic, readJsonWithFallback } = require('./jsonStore');
+const RepositoryEncryption = require('./encryption');
+const { createFileDelta, applyDelta } = require('./binaryDelta');
+
+const COMPRESSION_TYPES = ['none', 'gzip'];
+// 差异对象格式：魔数(4) + 版本(1) + 基准对象SHA-256(32) + 差异数据
+const DELTA_MAGIC = Buffer.from('GSMD');
+const DELTA_VERSION = 1;
+const DELTA_HEADER_LENGTH = DELTA_MAGIC.length + 1 + 32;
+// 小于该大小的文件直接完整保存
+const MIN_DELTA_SIZE = 64 * 1024;
+// 差异超过原文件一半时不如直接保存完整内容
+const MAX_DELTA_RATIO = 0.5;
+
+// 内容寻址的对象存储：相同内容只保存一份，按SHA-256哈希存放并记录引用计数。
+// 对象索引在首次访问时读入内存，修改后由 flushIndex 一次写入磁盘（备份管理器在每个操作结束时调用）
+class ObjectStore {
+    constructor(rootDir, options = {}) {
+        this.rootDir = rootDir;
+        this.tempDir = path.join(rootDir, 'tmp');
+        this.indexFile = path.join(rootDir, 'index.json');
+        this.index = null;
+        this.indexDirty = false;
+        this.compression = 'none';
+        this.compressionLevel = zlib.constants.Z_DEFAULT_COMPRESSION;
+        this.encryption = null;
+        this.deltaEnabled = false;
+        this.keyframeInterval = 10;
+        this.setCompression(options.compression, options.compressionLevel);
+        this.ensureStoreDir();
+    }
+
+    // 设置新写入对象的压缩方式；已存储的对象按各自记录的方式读取
+    setCompression(compression = 'none', level) {
+        if (!COMPRESSION_TYPES.includes(compression)) {
+            throw new Error(`不支持的压缩方式: ${compression}`);
+        }
+
+        this.compression = compression;
+        if (Number.isInteger(level)) {
+            this.compressionLevel = Math.min(Math.max(level, 1), 9);
+        }
+    }
+
+    // 设置仓库加密；启用后新写入的对象在压缩之后加密
+    setEncryption(encryption) {
+        this.encryption = encryption;
+    }
+
+    isEncryptionEnabled() {
+        return Boolean(this.encryption && this.encryption.isEnabled());
+    }
+
+    // 设置差异存储：启用后新对象尽量保存为相对上一版本的差异，
+    // 每条差异链最多 keyframeInterval - 1 个差异，之后重新保存完整的关键帧
+    setDeltaOptions(enabled, keyframeInterval) {
+        this.deltaEnabled = Boolean(enabled);
+        if (Number.isInteger(keyframeInterval) && keyframeInterval >= 1) {
+            this.keyframeInterval = keyframeInterval;
+        }
+    }
+
+    ensureStoreDir() {
+        if (!fs.existsSync(this.tempDir)) {
+            fs.mkdirSync(this.tempDir, { recursive: true });
+        }
+
+        if (!fs.existsSync(this.indexFile) && !fs.existsSync(`${this.indexFile}.bak`)) {
+            writeJsonAtomic(this.indexFile, { objects: {} });
+        }
+    }
+
+    // 返回内存中的对象索引，调用者修改后通过 saveIndex 提交
+    getIndex() {
+        if (!this.index) {
+            try {
+                this.index = readJsonWithFallback(this.indexFile, { objects: {} });
+            } catch (error) {
+                console.error('ObjectStore: 读取对象索引失败:', error);
+                throw error;
+            }
+        }
+        return this.index;
+    }
+
+    saveIndex(index) {
+        this.index = index;
+        this.indexDirty = true;
+    }
+
+    // 把修改过的对象索引写入磁盘
+    flushIndex() {
+        if (this.indexDirty) {
+            writeJsonAtomic(this.indexFile, this.index);
+            this.indexDirty = false;
+        }
+    }
+
+    // 丢弃内存中的对象索引，下次访问时重新读取（其他实例写入后调用）
+    reloadIndex() {
+        this.index = null;
+        this.indexDirty = false;
+    }
+
+    // 按给定的引用计数重建索引；磁盘上存在但未被引用的对象保留并记为 0 次引用
+    rebuildIndex(referenceCounts, backups) {
+        let oldIndex = { objects: {} };
+        try {
+            oldIndex = this.getIndex();
+        } catch (error) {
+            console.warn('ObjectStore: 对象索引已损坏，将从对象文件重建');
+        }
+
+        const originalSizes = {};
+        for (const backup of backups) {
+            for (const file of backup.files || []) {
+                if (file.object) {
+                    originalSizes[file.object] = file.size;
+                }
+            }
+        }
+
+        const objects = {};
+        for (const dirName of fs.readdirSync(this.rootDir)) {
+            const dirPath = path.join(this.rootDir, dirName);
+            if (dirName === 'tmp' || !fs.statSync(dirPath).isDirectory()) {
+                continue;
+            }
+
+            for (const objectHash of fs.readdirSync(dirPath)) {
+                const objectPath = path.join(dirPath, objectHash);
+                const storedSize = fs.statSync(objectPath).size;
+                const previous = oldIndex.objects[objectHash];
+                objects[objectHash] = {
+                    refs: referenceCounts[objectHash] || 0,
+                    size: previous ? previous.size : (originalSizes[objectHash] ?? storedSize),
+                    storedSize,
+                    ...(previous ? this.getFormat(previous) : this.detectFormat(objectPath))
+                };
+            }
+        }
+
+        // 差异对象各持有一次基准对象的引用
+        for (const entry of Object.values(objects)) {
+            if (entry.type === 'delta' && objects[entry.base]) {
+                objects[entry.base].refs += 1;
+            }
+        }
+        for (const objectHash of Object.keys(objects)) {
+            this.calculateDepth(objects, objectHash);
+        }
+
+        this.saveIndex({ objects });
+        return objects;
+    }
+
+    // 计算差异链长度（关键帧为 0）并写回条目
+    calculateDepth(objects, objectHash, visiting = new Set()) {
+        const entry = objects[objectHash];
+        if (!entry || entry.type !== 'delta') {
+            return 0;
+        }
+        if (visiting.has(objectHash)) {
+            throw new Error(`差异链存在循环: ${objectHash}`);
+        }
+
+        visiting.add(objectHash);
+        entry.depth = this.calculateDepth(objects, entry.base, visiting) + 1;
+        return entry.depth;
+    }
+
+    // 索引条目中描述对象存储格式的字段
+    getFormat(entry) {
+        const format = { compression: entry.compression || 'none' };
+        if (entry.type === 'delta') {
+            format.type = 'delta';
+            format.base = entry.base;
+            format.depth = entry.depth;
+        }
+        if (entry.encrypted) {
+            format.encrypted = true;
+            format.keyId = entry.keyId;
+        }
+        return format;
+    }
+
+    // 从对象文件推断存储格式；加密对象无法得知内部是否压缩，需解密后判断
+    detectFormat(objectPath) {
+        const data = fs.readFileSync(objectPath);
+        if (RepositoryEncryption.isEncryptedData(data)) {
+            return this.detectEncryptedFormat(objectPath);
+        }
+        return this.detectPayloadFormat(objectPath, data);
+    }
+
+    detectEncryptedFormat(objectPath) {
+        const format = { compression: 'none', encrypted: true, keyId: null };
+        if (!this.encryption) {
+            return format;
+        }
+
+        for (const [keyId, privateKey] of this.encryption.getUnlockedKeys()) {
+            try {
+                const data = this.encryption.decryptBufferSync(fs.readFileSync(objectPath), privateKey);
+                return { ...format, ...this.detectPayloadFormat(objectPath, data), keyId };
+            } catch (error) {
+                // 不是该密钥加密的对象，继续尝试下一个
+            }
+        }
+
+        // 未解锁时默认为当前密钥；解锁后校验会发现不一致
+        if (this.encryption.isEnabled()) {
+            format.keyId = this.encryption.getCurrentKeyId();
+        }
+        return format;
+    }
+
+    // 判断对象是否为gzip压缩、是否为差异对象：解压后的哈希与对象哈希一致或带有差异头才算
+    // （存档本身可能就是gzip格式，只看文件头会误判）
+    detectPayloadFormat(objectPath, data) {
+        const candidates = [];
+        if (data[0] === 0x1f && data[1] === 0x8b) {
+            try {
+                candidates.push({ compression: 'gzip', payload: zlib.gunzipSync(data) });
+            } catch (error) {
+                // 不是有效的gzip数据
+            }
+        }
+        candidates.push({ compression: 'none', payload: data });
+
+        for (const { compression, payload } of candidates) {
+            if (crypto.createHash('sha256').update(payload).digest('hex') === path.basename(objectPath)) {
+                return { compression };
+            }
+            const delta = this.parseDeltaHeader(payload);
+            if (delta) {
+                return { compression, type: 'delta', base: delta.base };
+            }
+        }
+        return { compression: 'none' };
+    }
+
+    parseDeltaHeader(payload) {
+        if (payload.length < DELTA_HEADER_LENGTH || !payload.subarray(0, DELTA_MAGIC.length).equals(DELTA_MAGIC)) {
+            return null;
+        }
+        return {
+            base: payload.subarray(DELTA_MAGIC.length + 1, DELTA_HEADER_LENGTH).toString('hex'),
+            data: payload.subarray(DELTA_HEADER_LENGTH)
+        };
+    }
+
+    getObjectPath(objectHash) {
+        return path.join(this.rootDir, objectHash.substring(0, 2), objectHash);
+    }
+
+    has(objectHash) {
+        const index = this.getIndex();
+        return Boolean(index.objects[objectHash]) && fs.existsSync(this.getObjectPath(objectHash));
+    }
+
+    createTempPath() {
+        return path.join(this.tempDir, `${Date.now()}_${Math.random().toString(36).substring(2, 10)}`);
+    }
+
+    // 写入文件内容并增加一次引用；返回对象哈希、文件MD5、原始大小和存储大小。
+    // options.base 为同一文件上一版本的对象，启用差异存储时据此保存差异
+    async put(filePath, options = {}) {
+        const tempPath = this.createTempPath();
+        let delta = null;
+
+        try {
+            const { objectHash, md5, size, keyId } = await this.copyAndHash(filePath, tempPath);
+            const objectPath = this.getObjectPath(objectHash);
+
+            if (!this.has(objectHash)) {
+                delta = await this.createDeltaObject(filePath, objectHash, size, options.base);
+            }
+
+            const index = this.getIndex();
+            // 索引中有记录但对象文件丢失时重新写入文件，保留原有的引用计数
+            const existing = index.objects[objectHash];
+            const refs = (existing ? existing.refs || 0 : 0) + 1;
+            if (existing && fs.existsSync(objectPath)) {
+                console.log(`ObjectStore: 对象已存在，复用 ${objectHash}`);
+                existing.refs += 1;
+            } else if (delta && index.objects[delta.base]) {
+                await fs.move(delta.tempPath, objectPath, { overwrite: true });
+                index.objects[objectHash] = this.setStoredFormat({
+                    refs,
+                    size,
+                    storedSize: fs.statSync(objectPath).size,
+                    type: 'delta',
+                    base: delta.base,
+                    depth: delta.depth
+                }, delta.keyId);
+                index.objects[delta.base].refs += 1;
+                console.log(`ObjectStore: 保存为差异对象 ${objectHash}，差异链长度 ${delta.depth}`);
+            } else {
+                const storedSize = fs.statSync(tempPath).size;
+                await fs.move(tempPath, objectPath, { overwrite: true });
+                index.objects[objectHash] = this.setStoredFormat({
+                    refs,
+                    size,
+                    storedSize
+                }, keyId);
+            }
+
+            this.saveIndex(index);
+            if (existing && existing !== index.objects[objectHash] && existing.type === 'delta') {
+                // 丢失的差异对象持有的基准引用随旧记录一起释放
+                this.release(existing.base);
+            }
+            return {
+                object: objectHash,
+                hash: md5,
+                size,
+                storedSize: this.getStoredSize(index.objects[objectHash])
+            };
+        } finally {
+            fs.removeSync(tempPath);
+            if (delta) {
+                fs.removeSync(delta.tempPath);
+            }
+        }
+    }
+
+    // 记录对象按当前设置写入时使用的压缩方式和加密密钥
+    setStoredFormat(entry, keyId) {
+        entry.compression = this.compression;
+        if (keyId) {
+            entry.encrypted = true;
+            entry.keyId = keyId;
+        } else {
+            delete entry.encrypted;
+            delete entry.keyId;
+        }
+        return entry;
+    }
+
+    // 尝试生成相对基准对象的差异；不适合保存为差异时返回 null
+    async createDeltaObject(filePath, objectHash, size, baseHash) {
+        if (!this.deltaEnabled || !baseHash || baseHash === objectHash || size < MIN_DELTA_SIZE) {
+            return null;
+        }
+
+        const baseEntry = this.getIndex().objects[baseHash];
+        if (!baseEntry || this.isLocked(baseHash)) {
+            return null;
+        }
+
+        const depth = (baseEntry.depth || 0) + 1;
+        if (depth >= this.keyframeInterval) {
+            return null;
+        }
+
+        const basePath = this.createTempPath();
+        const deltaPath = this.createTempPath();
+        try {
+            await this.extract(baseHash, basePath);
+            const { hash, delta: deltaData } = await createFileDelta(basePath, filePath, size);
+            // 文件在读取期间被改写时放弃差异，按已计算哈希的完整内容保存
+            if (hash !== objectHash) {
+                return null;
+            }
+
+            if (deltaData.length > size * MAX_DELTA_RATIO) {
+                return null;
+            }
+
+            const header = Buffer.alloc(DELTA_HEADER_LENGTH);
+            DELTA_MAGIC.copy(header, 0);
+            header.writeUInt8(DELTA_VERSION, DELTA_MAGIC.length);
+            Buffer.from(baseHash, 'hex').copy(header, DELTA_MAGIC.length + 1);
+
+            const { keyId } = await this.writeStored(Readable.from([Buffer.concat([header, deltaData])]), deltaPath);
+            return { tempPath: deltaPath, base: baseHash, depth, keyId };
+        } catch (error) {
+            console.warn(`ObjectStore: 生成差异失败，保存完整内容 ${objectHash}:`, error);
+            fs.removeSync(deltaPath);
+            return null;
+        } finally {
+            fs.removeSync(basePath);
+        }
+    }
+
+    // 边复制边计算原始内容的哈希，按当前压缩和加密方式写入临时文件
+    async copyAndHash(sourcePath, destPath) {
+        const sha256 = crypto.createHash('sha256');
+        const md5 = crypto.createHash('md5');
+        let size = 0;
+        const input = fs.createReadStream(sourcePath);
+
+        input.on('data', (data) => {
+            sha256.update(data);
+            md5.update(data);
+            size += data.length;
+        });
+
+        const { keyId } = await this.writeStored(input, destPath);
+        return { objectHash: sha256.digest('hex'), md5: md5.digest('hex'), size, keyId };
+    }
+
+    // 按当前压缩和加密方式写入数据，返回使用的密钥ID（未加密为 null）
+    async writeStored(input, destPath) {
+        const streams = [input];
+        if (this.compression === 'gzip') {
+            streams.push(zlib.createGzip({ level: this.compressionLevel }));
+        }
+
+        let keyId = null;
+        if (this.isEncryptionEnabled()) {
+            keyId = this.encryption.getCurrentKeyId();
+            streams.push(this.encryption.createEncryptStream());
+        }
+        streams.push(fs.createWriteStream(destPath));
+
+        await pipeline(...streams);
+        return { keyId };
+    }
+
+    // 旧索引中没有记录存储大小的对象均为未压缩存储
+    getStoredSize(entry) {
+        return entry.storedSize !== undefined ? entry.storedSize : entry.size;
+    }
+
+    getStats() {
+        const objects = Object.values(this.getIndex().objects);
+        return {
+            objectCount: objects.length,
+            size: objects.reduce((sum, entry) => sum + entry.size, 0),
+            storedSize: objects.reduce((sum, entry) => sum + this.getStoredSize(entry), 0)
+        };
+    }
+
+    // 释放一次引用，引用归零时删除对象文件；返回释放的磁盘空间
+    release(objectHash) {
+        const index = this.getIndex();
+        const entry = index.objects[objectHash];
+
+        if (!entry) {
+            console.warn(`ObjectStore: 释放不存在的对象 ${objectHash}`);
+            return 0;
+        }
+
+        let freedBytes = 0;
+        entry.refs -= 1;
+        if (entry.refs <= 0) {
+            console.log(`ObjectStore: 对象不再被引用，删除 ${objectHash}`);
+            const objectPath = this.getObjectPath(objectHash);
+            if (fs.existsSync(objectPath)) {
+                freedBytes = fs.statSync(objectPath).size;
+                fs.removeSync(objectPath);
+            }
+            delete index.objects[objectHash];
+        }
+
+        this.saveIndex(index);
+
+        // 差异对象删除后释放其对基准对象的引用
+        if (entry.refs <= 0 && entry.type === 'delta') {
+            freedBytes += this.release(entry.base);
+        }
+        return freedBytes;
+    }
+
+    // 打开对象存储数据的读取流，自动解密、解压；差异对象读到的是差异数据
+    openStoredStream(objectHash) {
+        const objectPath = this.getObjectPath(objectHash);
+        if (!fs.existsSync(objectPath)) {
+            throw new Error(`备份对象不存在: ${objectHash}`);
+        }
+
+        const entry = this.getIndex().objects[objectHash] || {};
+        const streams = [];
+        if (entry.encrypted) {
+            if (!this.encryption) {
+                throw new Error('备份已加密，请先输入密码解锁');
+            }
+            streams.push(this.encryption.createDecryptStream(this.encryption.getPrivateKey(entry.keyId)));
+        }
+        if (entry.compression === 'gzip') {
+            streams.push(zlib.createGunzip());
+        }
+
+        let output = fs.createReadStream(objectPath);
+        for (const stream of streams) {
+            output.on('error', (error) => stream.destroy(error));
+            output = output.pipe(stream);
+        }
+        return output;
+    }
+
+    // 打开对象内容的读取流；差异对象先在临时文件中重建，读取结束后删除
+    async openReadStream(objectHash) {
+        const entry = this.getIndex().objects[objectHash];
+        if (!entry || entry.type !== 'delta') {
+            return this.openStoredStream(objectHash);
+        }
+
+        const tempPath = this.createTempPath();
+        await this.extract(objectHash, tempPath);
+        const input = fs.createReadStream(tempPath);
+        input.on('close', () => fs.removeSync(tempPath));
+        return input;
+    }
+
+    // 对象（包括其差异链上的基准对象）是否因密钥未解锁而无法读取
+    isLocked(objectHash) {
+        const index = this.getIndex();
+        let entry = index.objects[objectHash];
+        while (entry) {
+            if (entry.encrypted && (!this.encryption || !this.encryption.getUnlockedKeys().has(entry.keyId))) {
+                return true;
+            }
+            entry = entry.type === 'delta' ? index.objects[entry.base] : null;
+        }
+        return false;
+    }
+
+    // 将超过差异链长度上限的差异对象重新保存为完整的关键帧；
+    // 关闭差异存储时全部转换。按链长度从短到长处理，转换后的对象会缩短其后续对象的链
+    async compactDeltaChains() {
+        const maxDepth = this.deltaEnabled ? this.keyframeInterval - 1 : 0;
+        const index = this.getIndex();
+        const deltas = Object.entries(index.objects)
+            .filter(([, entry]) => entry.type === 'delta')
+            .sort(([, a], [, b]) => (a.depth || 0) - (b.depth || 0));
+        const depths = new Map();
+        let count = 0;
+
+        for (const [objectHash, entry] of deltas) {
+            const baseEntry = index.objects[entry.base];
+            const baseDepth = depths.has(entry.base) ? depths.get(entry.base) : (baseEntry ? baseEntry.depth || 0 : 0);
+            const depth = baseDepth + 1;
+
+            if (depth <= maxDepth || this.isLocked(objectHash)) {
+                depths.set(objectHash, depth);
+                continue;
+            }
+
+            try {
+                await this.convertToKeyframe(objectHash);
+                depths.set(objectHash, 0);
+                count++;
+            } catch (error) {
+                console.error(`ObjectStore: 转换关键帧失败 ${objectHash}:`, error);
+                depths.set(objectHash, depth);
+            }
+        }
+
+        // 更新其余差异对象记录的链长度
+        const latestIndex = this.getIndex();
+        for (const [objectHash, depth] of depths) {
+            const entry = latestIndex.objects[objectHash];
+            if (entry && entry.type === 'delta') {
+                entry.depth = depth;
+            }
+        }
+        this.saveIndex(latestIndex);
+
+        if (count > 0) {
+            console.log(`ObjectStore: 已将 ${count} 个差异对象转换为关键帧`);
+        }
+        return count;
+    }
+
+    async convertToKeyframe(objectHash) {
+        const objectPath = this.getObjectPath(objectHash);
+        const contentPath = this.createTempPath();
+        const storedPath = this.createTempPath();
+        let keyId = null;
+
+        try {
+            await this.extract(objectHash, contentPath);
+            ({ keyId } = await this.writeStored(fs.createReadStream(contentPath), storedPath));
+            await fs.move(storedPath, objectPath, { overwrite: true });
+        } finally {
+            fs.removeSync(contentPath);
+            fs.removeSync(storedPath);
+        }
+
+        const index = this.getIndex();
+        const entry = index.objects[objectHash];
+        if (!entry) {
+            // 转换期间对象已被删除
+            fs.removeSync(objectPath);
+            return;
+        }
+
+        const base = entry.base;
+        delete entry.type;
+        delete entry.base;
+        delete entry.depth;
+        entry.storedSize = fs.statSync(objectPath).size;
+        this.setStoredFormat(entry, keyId);
+        this.saveIndex(index);
+        this.release(base);
+    }
+
+    // 用当前密钥重新加密所有对象（启用加密或更换密码后调用）；
+    // 每个对象写入临时文件后替换并立即更新索引，中断后再次调用会跳过已完成的对象
+    async reencryptAll(keyId, publicKey) {
+        let count = 0;
+
+        for (const [objectHash, entry] of Object.entries(this.getIndex().objects)) {
+            if (entry.encrypted && entry.keyId === keyId) {
+                continue;
+            }
+
+            const objectPath = this.getObjectPath(objectHash);
+            if (!fs.existsSync(objectPath)) {
+                console.warn(`ObjectStore: 跳过缺失的对象 ${objectHash}`);
+                continue;
+            }
+
+            const tempPath = path.join(this.tempDir, `${objectHash}.reencrypt`);
+            const streams = [fs.createReadStream(objectPath)];
+            if (entry.encrypted) {
+                streams.push(this.encryption.createDecryptStream(this.encryption.getPrivateKey(entry.keyId)));
+            }
+            streams.push(this.encryption.createEncryptStream(publicKey), fs.createWriteStream(tempPath));
+
+            try {
+                await pipeline(...streams);
+                await fs.move(tempPath, objectPath, { overwrite: true });
+            } catch (error) {
+                fs.removeSync(tempPath);
+                throw error;
+            }
+
+            // 期间可能有对象被删除，按当前的索引更新
+            const latestIndex = this.getIndex();
+            const latestEntry = latestIndex.objects[objectHash];
+            if (!latestEntry) {
+                // 重新加密期间对象已被删除
+                fs.removeSync(objectPath);
+                continue;
+            }
+
+            latestEntry.encrypted = true;
+            latestEntry.keyId = keyId;
+            latestEntry.storedSize = fs.statSync(objectPath).size;
+            this.saveIndex(latestIndex);
+            count++;
+        }
+
+        return count;
+    }
+
+    // 将对象内容还原到目标路径；差异对象先还原基准对象再应用差异
+    async extract(objectHash, destPath) {
+        await fs.ensureDir(path.dirname(destPath));
+        const entry = this.getIndex().objects[objectHash];
+        if (!entry || entry.type !== 'delta') {
+            await pipeline(this.openStoredStream(objectHash), fs.createWriteStream(destPath));
+            return;
+        }
+
+        const chunks = [];
+        for await (const data of this.openStoredStream(objectHash)) {
+            chunks.push(data);
+        }
+        const delta = this.parseDeltaHeader(Buffer.concat(chunks));
+        if (!delta || delta.base !== entry.base) {
+            throw new Error(`差异对象已损坏: ${objectHash}`);
+        }
+
+        const basePath = this.createTempPath();
+        try {
+            await this.extract(entry.base, basePath);
+            applyDelta(basePath, delta.data, destPath);
+        } finally {
+            fs.removeSync(basePath);
+        }
+    }
+
+    // 重新读取对象内容并与其哈希比对：返回 ok、missing、corrupted，未解锁的加密对象返回 locked
+    async verify(objectHash) {
+        if (!fs.existsSync(this.getObjectPath(objectHash))) {
+            return { status: 'missing' };
+        }
+
+        if (this.isLocked(objectHash)) {
+            return { status: 'locked' };
+        }
+
+        try {
+            const sha256 = crypto.createHash('sha256');
+            const md5 = crypto.createHash('md5');
+            const input = await this.openReadStream(objectHash);
+
+            for await (const data of input) {
+                sha256.update(data);
+                md5.update(data);
+            }
+
+            const actualHash = sha256.digest('hex');
+            return {
+                status: actualHash === objectHash ? 'ok' : 'corrupted',
+                md5: md5.digest('hex')
+            };
+        } catch (error) {
+            // 解密认证失败、解压失败等读取错误同样视为损坏
+            console.error(`ObjectStore: 校验对象失败 ${objectHash}:`, error);
+            return { status: 'corrupted', error: error.message };
+        }
+    }
+}
+
+module.exports = ObjectStore;
+module.exports.COMPRESSION_TYPES = COMPRESSION_TYPES;
@@ -0,0 +1,84 @@
+// 按 glob 规则筛选存档目录中的文件，规则示例：*.sav、!*.log、!Cache/**
+//   不以 ! 开头的是包含规则，以 ! 开头的是排除规则；没有包含规则时包含全部文件，排除规则优先。
+//   规则匹配相对存档目录、以 / 分隔的路径，不区分大小写：
+//   不含 /（末尾的 / 或 /** 除外）的规则可匹配任意层级，例如 *.log、Cache/**；
+//   含 / 或以 / 开头的规则从存档目录开始匹配，例如 Saves/*.sav、/Cache/**。
+//   * 匹配除 / 以外的任意字符，** 匹配任意层级的目录，? 匹配除 / 以外的单个字符；以 / 结尾表示整个目录
+class PathFilter {
+    constructor(rules = []) {
+        this.rules = (rules || [])
+            .map(rule => String(rule).trim())
+            .filter(rule => rule && rule !== '!' && !rule.startsWith('#'))
+            .map(rule => parseRule(rule));
+        this.includes = this.rules.filter(rule => !rule.exclude);
+        this.excludes = this.rules.filter(rule => rule.exclude);
+    }
+
+    isEmpty() {
+        return this.rules.length === 0;
+    }
+
+    getRules() {
+        return this.rules.map(rule => rule.source);
+    }
+
+    matches(relativePath) {
+        if (this.excludes.some(rule => rule.regex.test(relativePath))) {
+            return false;
+        }
+        return this.includes.length === 0 || this.includes.some(rule => rule.regex.test(relativePath));
+    }
+
+    // 目录被排除整个目录的规则（如 Cache/**）匹配时，其中的文件都不需要扫描
+    excludesDirectory(relativeDir) {
+        return this.excludes.some(rule => rule.dirRegex && rule.dirRegex.test(relativeDir));
+    }
+}
+
+function parseRule(source) {
+    const exclude = source.startsWith('!');
+    let pattern = exclude ? source.slice(1).trim() : source;
+    let anchored = pattern.startsWith('/');
+    if (anchored) {
+        pattern = pattern.slice(1);
+    }
+    if (pattern.endsWith('/')) {
+        pattern += '**';
+    }
+
+    const dirPattern = pattern.endsWith('/**') ? pattern.slice(0, -3) : null;
+    anchored = anchored || (dirPattern !== null ? dirPattern : pattern).includes('/');
+
+    return {
+        source,
+        exclude,
+        regex: globToRegExp(pattern, anchored),
+        dirRegex: dirPattern ? globToRegExp(dirPattern, anchored) : null
+    };
+}
+
+function globToRegExp(pattern, anchored) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // **/ 匹配零个或多个目录，末尾的 ** 匹配其下的所有内容
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`, 'i');
+}
+
+module.exports = PathFilter;
@@ -0,0 +1,159 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { EventEmitter } = require('events');
+
+// 定期检查游戏进程是否在运行：进程出现时触发 started，全部退出时触发 exited。
+// Linux 读取 /proc（进程名取 comm 或命令行第一个参数的文件名，Wine/Proton 运行的 .exe 也能识别），
+// Windows 使用 tasklist，其他系统使用 ps。进程名不区分大小写，可省略 .exe
+class ProcessWatcher extends EventEmitter {
+    constructor(processName, options = {}) {
+        super();
+        this.processName = normalizeProcessName(processName);
+        this.interval = options.interval || 2000;
+        // 可指向模拟的 /proc 目录，便于测试
+        this.procRoot = options.procRoot || '/proc';
+        this.platform = options.platform || process.platform;
+        this.active = false;
+        this.timer = null;
+        this.gameRunning = false;
+        this.pids = [];
+    }
+
+    start() {
+        if (this.active) {
+            return false;
+        }
+        this.active = true;
+        this.check(true);
+        return true;
+    }
+
+    stop() {
+        this.active = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.gameRunning = false;
+        this.pids = [];
+    }
+
+    isGameRunning() {
+        return this.gameRunning;
+    }
+
+    // 检查一次进程状态；initial 为 true 表示开始监视时游戏已在运行，而不是刚刚启动
+    async check(initial = false) {
+        try {
+            const pids = await this.findProcesses();
+            if (!this.active) {
+                return;
+            }
+
+            const wasRunning = this.gameRunning;
+            this.gameRunning = pids.length > 0;
+            this.pids = pids;
+            if (this.gameRunning && !wasRunning) {
+                console.log(`游戏进程已启动: ${this.processName} (${pids.join(', ')})`);
+                this.emit('started', { name: this.processName, pids, initial });
+            } else if (!this.gameRunning && wasRunning) {
+                console.log(`游戏进程已退出: ${this.processName}`);
+                this.emit('exited', { name: this.processName });
+            }
+        } catch (error) {
+            console.error('检查游戏进程失败:', error);
+            this.emit('error', new Error(`检查游戏进程失败: ${error.message}`));
+        }
+
+        if (this.active) {
+            this.timer = setTimeout(() => this.check(), this.interval);
+        }
+    }
+
+    async findProcesses() {
+        const processes = await this.listProcesses();
+        return processes
+            .filter(item => item.names.some(name => normalizeProcessName(name) === this.processName))
+            .map(item => item.pid);
+    }
+
+    // 返回 [{ pid, names }]，names 为该进程可用于匹配的名称
+    async listProcesses() {
+        if (this.platform === 'win32') {
+            return listWindowsProcesses();
+        }
+        if (fs.existsSync(this.procRoot)) {
+            return listProcProcesses(this.procRoot);
+        }
+        return listPsProcesses();
+    }
+}
+
+// 统一进程名：去掉路径和 .exe 后缀并转为小写
+function normalizeProcessName(name) {
+    return path.win32.basename(String(name || '').trim()).toLowerCase().replace(/\.exe$/, '');
+}
+
+async function listProcProcesses(procRoot) {
+    const processes = [];
+    for (const entry of await fs.readdir(procRoot)) {
+        if (!/^\d+$/.test(entry)) {
+            continue;
+        }
+
+        // 读取期间进程可能已退出或无权读取，跳过即可
+        try {
+            const names = [];
+            const comm = (await fs.readFile(path.join(procRoot, entry, 'comm'), 'utf8')).trim();
+            if (comm) {
+                names.push(comm);
+            }
+            const cmdline = await fs.readFile(path.join(procRoot, entry, 'cmdline'), 'utf8');
+            const command = cmdline.split('\0')[0];
+            if (command) {
+                names.push(command);
+            }
+            processes.push({ pid: Number(entry), names });
+        } catch (error) {
+            continue;
+        }
+    }
+    return processes;
+}
+
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { windowsHide: true, maxBuffer: 8 * 1024 * 1024 }, (error, stdout) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+async function listWindowsProcesses() {
+    const output = await runCommand('tasklist', ['/fo', 'csv', '/nh']);
+    const processes = [];
+    for (const line of output.split(/\r?\n/)) {
+        const match = line.match(/^"([^"]*)","(\d+)"/);
+        if (match) {
+            processes.push({ pid: Number(match[2]), names: [match[1]] });
+        }
+    }
+    return processes;
+}
+
+async function listPsProcesses() {
+    const output = await runCommand('ps', ['-axo', 'pid=,comm=']);
+    const processes = [];
+    for (const line of output.split('\n')) {
+        const match = line.trim().match(/^(\d+)\s+(.+)$/);
+        if (match) {
+            processes.push({ pid: Number(match[1]), names: [match[2]] });
+        }
+    }
+    return processes;
+}
+
+module.exports = ProcessWatcher;
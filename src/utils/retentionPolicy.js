@@ -0,0 +1,74 @@
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// 分层保留策略（祖父-父-子）：近期备份全部保留，越久远的备份保留得越稀疏
+class RetentionPolicy {
+    constructor(options = {}) {
+        this.enabled = Boolean(options.enabled);
+        // 最近多少小时内的备份全部保留
+        this.keepAllHours = this.toNumber(options.keepAllHours, 1);
+        // 最近多少小时内每小时保留一个
+        this.hourlyHours = this.toNumber(options.hourlyHours, 24);
+        // 最近多少天内每天保留一个
+        this.dailyDays = this.toNumber(options.dailyDays, 30);
+        // 更早的备份每周保留一个，保留多少周（0 表示不限）
+        this.weeklyWeeks = this.toNumber(options.weeklyWeeks, 0);
+    }
+
+    toNumber(value, defaultValue) {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? number : defaultValue;
+    }
+
+    // 返回应保留的备份ID集合；每个时间段内保留最新的一个备份
+    selectBackupsToKeep(backups, now = Date.now()) {
+        const keep = new Set();
+        const usedBuckets = new Set();
+        const sorted = [...backups].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        for (const backup of sorted) {
+            const time = new Date(backup.timestamp).getTime();
+            const age = now - time;
+            const bucket = this.getBucket(time, age);
+
+            if (bucket === null) {
+                continue;
+            }
+
+            if (bucket === 'all' || !usedBuckets.has(bucket)) {
+                usedBuckets.add(bucket);
+                keep.add(backup.id);
+            }
+        }
+
+        return keep;
+    }
+
+    // 计算备份所属的时间段，超出所有保留范围时返回 null
+    getBucket(time, age) {
+        if (age <= this.keepAllHours * HOUR) {
+            return 'all';
+        }
+
+        if (age <= this.hourlyHours * HOUR) {
+            return `hour:${Math.floor(time / HOUR)}`;
+        }
+
+        if (age <= this.dailyDays * DAY) {
+            return `day:${new Date(time).toDateString()}`;
+        }
+
+        if (this.weeklyWeeks === 0 || age <= this.weeklyWeeks * WEEK) {
+            // 以本地时间的周一作为每周的起点
+            const date = new Date(time);
+            date.setHours(0, 0, 0, 0);
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+            return `week:${date.toDateString()}`;
+        }
+
+        return null;
+    }
+}
+
+module.exports = RetentionPolicy;
@@ -0,0 +1,356 @@
+const path = require('path');
+
+// 结构化比较两个版本的存档内容：JSON、XML、INI 和 Unity PlayerPrefs 按键值比较，
+// 其他内容按字节范围比较
+const MAX_CHANGES = 1000;
+const MAX_BYTE_RANGES = 200;
+const MAX_RANGE_BYTES = 64;
+// 相距不超过该字节数的差异合并为一个范围
+const RANGE_MERGE_GAP = 8;
+
+function diffSaveData(oldData, newData, fileName = '') {
+    const oldText = decodeText(oldData);
+    const newText = decodeText(newData);
+
+    if (oldText !== null && newText !== null) {
+        const extension = path.extname(fileName).toLowerCase();
+        for (const parser of getParsers(extension)) {
+            const oldValues = parser.parse(oldText);
+            const newValues = parser.parse(newText);
+            if (oldValues && newValues) {
+                return { format: parser.format, ...diffValues(oldValues, newValues) };
+            }
+        }
+    }
+
+    return { format: 'binary', ...diffBytes(oldData, newData) };
+}
+
+// 按扩展名决定尝试顺序，扩展名无法判断时依次尝试所有格式
+function getParsers(extension) {
+    const parsers = [
+        { format: 'json', extensions: ['.json'], parse: parseJson },
+        { format: 'playerprefs', extensions: ['.plist', '.prefs'], parse: parsePlayerPrefs },
+        { format: 'xml', extensions: ['.xml'], parse: parseXmlValues },
+        { format: 'ini', extensions: ['.ini', '.cfg', '.conf'], parse: parseIni }
+    ];
+    const matched = parsers.filter(parser => parser.extensions.includes(extension));
+    return [...matched, ...parsers.filter(parser => !matched.includes(parser))];
+}
+
+// 解码为 UTF-8 文本；包含 NUL 或无效字符时视为二进制
+function decodeText(data) {
+    if (data.includes(0)) {
+        return null;
+    }
+
+    const text = data.toString('utf8');
+    if (text.includes('\uFFFD')) {
+        return null;
+    }
+    return text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+}
+
+// 比较两组扁平化的键值，保留键在文件中出现的顺序
+function diffValues(oldValues, newValues) {
+    const changes = [];
+    let unchanged = 0;
+    const keys = [...new Set([...newValues.keys(), ...oldValues.keys()])];
+
+    for (const key of keys) {
+        const hasOld = oldValues.has(key);
+        const hasNew = newValues.has(key);
+
+        if (hasOld && hasNew && oldValues.get(key) === newValues.get(key)) {
+            unchanged++;
+            continue;
+        }
+
+        changes.push({
+            key,
+            type: !hasOld ? 'added' : !hasNew ? 'removed' : 'changed',
+            oldValue: hasOld ? oldValues.get(key) : null,
+            newValue: hasNew ? newValues.get(key) : null
+        });
+    }
+
+    return {
+        changes: changes.slice(0, MAX_CHANGES),
+        totalChanges: changes.length,
+        truncated: changes.length > MAX_CHANGES,
+        unchanged
+    };
+}
+
+// 逐字节比较，返回发生变化的字节范围及其十六进制内容
+function diffBytes(oldData, newData) {
+    const ranges = [];
+    const length = Math.max(oldData.length, newData.length);
+    let totalRanges = 0;
+    let changedBytes = 0;
+    let current = null;
+
+    for (let offset = 0; offset < length; offset++) {
+        if (offset < oldData.length && offset < newData.length && oldData[offset] === newData[offset]) {
+            continue;
+        }
+
+        changedBytes++;
+        if (current && offset - current.end <= RANGE_MERGE_GAP) {
+            current.end = offset + 1;
+            continue;
+        }
+
+        current = { start: offset, end: offset + 1 };
+        totalRanges++;
+        if (ranges.length < MAX_BYTE_RANGES) {
+            ranges.push(current);
+        }
+    }
+
+    return {
+        oldSize: oldData.length,
+        newSize: newData.length,
+        changedBytes,
+        totalRanges,
+        truncated: totalRanges > ranges.length,
+        ranges: ranges.map(range => ({
+            offset: range.start,
+            length: range.end - range.start,
+            oldHex: toHex(oldData, range.start, range.end),
+            newHex: toHex(newData, range.start, range.end)
+        }))
+    };
+}
+
+function toHex(data, start, end) {
+    const slice = data.subarray(start, Math.min(end, start + MAX_RANGE_BYTES));
+    const hex = slice.toString('hex').replace(/(..)(?!$)/g, '$1 ');
+    return end - start > MAX_RANGE_BYTES && slice.length === MAX_RANGE_BYTES ? `${hex} …` : hex;
+}
+
+// JSON：对象按 a.b、数组按 a[0] 展开
+function parseJson(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(trimmed);
+    } catch (error) {
+        return null;
+    }
+
+    const values = new Map();
+    const walk = (value, key) => {
+        if (Array.isArray(value) && value.length > 0) {
+            value.forEach((item, index) => walk(item, `${key}[${index}]`));
+        } else if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+            for (const [childKey, child] of Object.entries(value)) {
+                walk(child, key ? `${key}.${childKey}` : childKey);
+            }
+        } else {
+            values.set(key || '(根)', JSON.stringify(value));
+        }
+    };
+    walk(data, '');
+    return values;
+}
+
+// INI：键名为 节.键，节之外的键直接使用键名
+function parseIni(text) {
+    const values = new Map();
+    let section = '';
+    let keyCount = 0;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith(';') || line.startsWith('#')) {
+            continue;
+        }
+
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].trim();
+            continue;
+        }
+
+        const separator = line.indexOf('=');
+        if (separator <= 0) {
+            return null;
+        }
+
+        const key = line.substring(0, separator).trim();
+        values.set(section ? `${section}.${key}` : key, line.substring(separator + 1).trim());
+        keyCount++;
+    }
+
+    return keyCount > 0 ? values : null;
+}
+
+// Unity PlayerPrefs：Linux 上为 unity_prefs XML，macOS 上为 plist，按偏好键展开
+function parsePlayerPrefs(text) {
+    const root = parseXml(text);
+    if (root && root.name === 'unity_prefs') {
+        return parseUnityPrefs(root);
+    }
+    if (root && root.name === 'plist') {
+        return parsePlist(root);
+    }
+    return null;
+}
+
+// 其他 XML 按元素路径展开，属性记为 路径/@属性
+function parseXmlValues(text) {
+    const root = parseXml(text);
+    if (!root) {
+        return null;
+    }
+
+    const values = new Map();
+    flattenXml(root, root.name, values);
+    return values;
+}
+
+function parseUnityPrefs(root) {
+    const values = new Map();
+    for (const pref of root.children.filter(child => child.name === 'pref')) {
+        const type = pref.attributes.type ? ` (${pref.attributes.type})` : '';
+        values.set(pref.attributes.name || '', `${pref.text}${type}`);
+    }
+    return values;
+}
+
+function parsePlist(root) {
+    const values = new Map();
+    const walk = (node, key) => {
+        if (node.name === 'dict') {
+            for (let i = 0; i < node.children.length; i += 2) {
+                const keyNode = node.children[i];
+                const valueNode = node.children[i + 1];
+                if (keyNode && keyNode.name === 'key' && valueNode) {
+                    walk(valueNode, key ? `${key}.${keyNode.text}` : keyNode.text);
+                }
+            }
+        } else if (node.name === 'array') {
+            node.children.forEach((child, index) => walk(child, `${key}[${index}]`));
+        } else if (node.name === 'true' || node.name === 'false') {
+            values.set(key, node.name);
+        } else {
+            values.set(key, node.text);
+        }
+    };
+    root.children.forEach(child => walk(child, ''));
+    return values;
+}
+
+function flattenXml(node, nodePath, values) {
+    for (const [name, value] of Object.entries(node.attributes)) {
+        values.set(`${nodePath}/@${name}`, value);
+    }
+    if (node.text) {
+        values.set(nodePath, node.text);
+    }
+
+    // 同名的兄弟元素用 [序号] 区分
+    const counts = {};
+    for (const child of node.children) {
+        counts[child.name] = (counts[child.name] || 0) + 1;
+    }
+    const indexes = {};
+    for (const child of node.children) {
+        indexes[child.name] = (indexes[child.name] || 0) + 1;
+        const childPath = counts[child.name] > 1
+            ? `${nodePath}/${child.name}[${indexes[child.name]}]`
+            : `${nodePath}/${child.name}`;
+        flattenXml(child, childPath, values);
+    }
+}
+
+// 简单的 XML 解析，只支持存档中常见的元素、属性、文本和 CDATA；格式不对时返回 null
+function parseXml(text) {
+    const source = text.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '').replace(/<!DOCTYPE[^>]*>/gi, '');
+    const tokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const stack = [];
+    let root = null;
+    let position = 0;
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+        // 中间有无法识别的内容（例如孤立的 <）说明不是XML
+        if (match.index !== position) {
+            return null;
+        }
+        position = tokenPattern.lastIndex;
+
+        const [, cdata, closing, name, attributeText, selfClosing, textContent] = match;
+
+        if (cdata !== undefined || textContent !== undefined) {
+            const value = cdata !== undefined ? cdata : decodeXmlEntities(textContent);
+            if (stack.length > 0) {
+                stack[stack.length - 1].text += value;
+            } else if (value.trim()) {
+                return null;
+            }
+            continue;
+        }
+
+        if (!name) {
+            return null;
+        }
+
+        if (closing) {
+            const node = stack.pop();
+            if (!node || node.name !== name) {
+                return null;
+            }
+            node.text = node.text.trim();
+            continue;
+        }
+
+        const node = { name, attributes: parseXmlAttributes(attributeText), children: [], text: '' };
+        if (stack.length > 0) {
+            stack[stack.length - 1].children.push(node);
+        } else if (root) {
+            return null;
+        } else {
+            root = node;
+        }
+
+        if (!selfClosing) {
+            stack.push(node);
+        }
+    }
+
+    return root && stack.length === 0 && position === source.length ? root : null;
+}
+
+function parseXmlAttributes(text) {
+    const attributes = {};
+    const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = attributePattern.exec(text || '')) !== null) {
+        attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#(x[0-9a-f]+|\d+);/gi, (entity, code) => {
+            const codePoint = /^x/i.test(code) ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+            // 超出 Unicode 范围的编号不是有效的字符引用，保留原文
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+        })
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    diffSaveData
+};
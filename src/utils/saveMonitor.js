@@ -1,20 +1,33 @@
 const chokidar = require('chokidar');
 const fs = require('fs-extra');
-const crypto = require('crypto');
 const path = require('path');
+const { calculateFileHash, calculatePathHash } = require('./fileTree');
+const ProcessWatcher = require('./processWatcher');
 const { EventEmitter } = require('events');
 
+const DEFAULT_CHECK_INTERVAL = 5000;
+const MIN_CHECK_INTERVAL = 1000;
+
 class SaveMonitor extends EventEmitter {
-    constructor(saveFilePath, backupManager) {
+    // options.gameProcess: { name, watchWhileRunning, backupOnLaunch }，设置 name 后监视游戏进程，
+    // watchWhileRunning 为 true 时只在游戏运行期间监控文件变化；
+    // options.checkInterval: 定期检查文件变化的间隔（毫秒）；
+    // options.backupOnChange: 为 false 时检测到变化不立即备份，由计划备份、游戏退出或手动备份保存
+    constructor(saveFilePath, backupManager, options = {}) {
         super();
         this.saveFilePath = saveFilePath;
         this.backupManager = backupManager;
+        this.gameProcess = options.gameProcess || {};
+        this.checkIntervalMs = options.checkInterval || DEFAULT_CHECK_INTERVAL;
+        this.backupOnChange = options.backupOnChange !== false;
+        this.processWatcher = null;
         this.watcher = null;
         this.isMonitoring = false;
         this.lastHash = null;
         this.checkInterval = null;
         this.debounceTimeout = null;
         this.debounceDelay = 1000; // 1秒防抖
+        this.isDirectory = false;
     }
 
     async start() {
@@ -28,60 +41,26 @@ class SaveMonitor extends EventEmitter {
                 throw new Error(`存档文件不存在: ${this.saveFilePath}`);
             }
 
-            console.log(`开始监控文件: ${this.saveFilePath}`);
+            // 存档路径为目录时进入目录模式，递归监控其中所有文件
+            this.isDirectory = fs.statSync(this.saveFilePath).isDirectory();
+            console.log(`开始监控${this.isDirectory ? '目录' : '文件'}: ${this.saveFilePath}`);
 
             // 获取初始文件哈希
-            this.lastHash = await this.calculateFileHash(this.saveFilePath);
+            this.lastHash = await this.calculatePathHash(this.saveFilePath);
             console.log(`初始文件哈希: ${this.lastHash}`);
             
-            // 设置文件监控 - 使用更强的轮询机制
-            this.watcher = chokidar.watch(this.saveFilePath, {
-                ignored: /(^|[\/\\])\../, // 忽略隐藏文件
-                persistent: true,
-                usePolling: true,
-                interval: 500, // 降低轮询间隔
-                binaryInterval: 1000,
-                ignoreInitial: true, // 忽略初始事件
-                awaitWriteFinish: {
-                    stabilityThreshold: 1000,
-                    pollInterval: 100
-                },
-                atomic: true // 支持原子操作
-            });
-
-            this.watcher.on('change', (path) => {
-                console.log(`文件变化检测到: ${path}`);
-                this.emit('file-change-detected', { path });
-                this.handleFileChange();
-            });
-
-            this.watcher.on('add', (path) => {
-                console.log(`文件添加检测到: ${path}`);
-            });
-
-            this.watcher.on('unlink', (path) => {
-                console.log(`文件删除检测到: ${path}`);
-                this.emit('error', new Error('存档文件已被删除'));
-            });
-
-            this.watcher.on('error', (error) => {
-                console.error('文件监控错误:', error);
-                this.emit('error', new Error(`文件监控错误: ${error.message}`));
-            });
-
-            this.watcher.on('ready', () => {
-                console.log('文件监控器已就绪');
-            });
-
-            // 设置定期检查（作为备用方案）- 更频繁的检查
-            this.checkInterval = setInterval(() => {
-                console.log('执行定期文件检查');
-                this.checkFileChanges();
-            }, 2000); // 改为2秒检查一次
+            // 只在游戏运行时监控的，等游戏进程启动后再开始监控文件
+            if (!this.gameProcess.name || !this.gameProcess.watchWhileRunning) {
+                this.startWatching();
+            }
 
             this.isMonitoring = true;
             this.emit('monitoring-started', { path: this.saveFilePath });
             console.log('文件监控已启动');
+
+            if (this.gameProcess.name) {
+                this.startProcessWatcher();
+            }
             
             // 创建初始备份
             console.log('创建初始备份');
@@ -95,11 +74,105 @@ class SaveMonitor extends EventEmitter {
         }
     }
 
-    stop() {
-        if (!this.isMonitoring) {
-            return false;
+    // 开始监控存档文件的变化
+    startWatching() {
+        if (this.watcher) {
+            return;
+        }
+
+        // 设置文件监控 - 使用更强的轮询机制
+        this.watcher = chokidar.watch(this.saveFilePath, {
+            // 忽略隐藏文件（只判断文件名，避免存档位于隐藏目录下时被整体忽略）和文件筛选规则排除的整个目录
+            ignored: (watchedPath, stats) => watchedPath !== this.saveFilePath
+                && (path.basename(watchedPath).startsWith('.') || Boolean(stats && stats.isDirectory() && this.isExcludedDirectory(watchedPath))),
+            persistent: true,
+            usePolling: true,
+            interval: 500, // 降低轮询间隔
+            binaryInterval: 1000,
+            ignoreInitial: true, // 忽略初始事件
+            awaitWriteFinish: {
+                stabilityThreshold: 1000,
+                pollInterval: 100
+            },
+            atomic: true // 支持原子操作
+        });
+
+        this.watcher.on('change', (path) => {
+            console.log(`文件变化检测到: ${path}`);
+            if (this.isFilteredOut(path)) {
+                return;
+            }
+            this.emit('file-change-detected', { path });
+            this.handleFileChange();
+        });
+
+        this.watcher.on('add', (path) => {
+            console.log(`文件添加检测到: ${path}`);
+            if (this.isDirectory && !this.isFilteredOut(path)) {
+                this.emit('file-change-detected', { path });
+                this.handleFileChange();
+            }
+        });
+
+        this.watcher.on('unlink', (path) => {
+            console.log(`文件删除检测到: ${path}`);
+            if (this.isDirectory) {
+                // 目录模式下删除单个文件也是一次存档变化
+                if (!this.isFilteredOut(path)) {
+                    this.emit('file-change-detected', { path });
+                    this.handleFileChange();
+                }
+            } else {
+                this.emit('error', new Error('存档文件已被删除'));
+            }
+        });
+
+        this.watcher.on('error', (error) => {
+            console.error('文件监控错误:', error);
+            this.emit('error', new Error(`文件监控错误: ${error.message}`));
+        });
+
+        this.watcher.on('ready', () => {
+            console.log('文件监控器已就绪');
+        });
+
+        this.startCheckTimer();
+    }
+
+    // 定期检查（作为文件事件的备用方案），间隔由配置档案的检查间隔决定
+    startCheckTimer() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
         }
+        this.checkInterval = setInterval(() => {
+            console.log('执行定期文件检查');
+            this.checkFileChanges();
+        }, Math.max(this.checkIntervalMs, MIN_CHECK_INTERVAL));
+    }
+
+    // 运行中修改检查间隔、变化时是否备份和游戏进程设置，不需要重新开始监控
+    updateOptions(options = {}) {
+        if (options.gameProcess) {
+            const previous = this.gameProcess;
+            this.gameProcess = { ...options.gameProcess };
+            // 是否在游戏启动时备份在事件中读取，立即生效；进程名或监控方式变化时重新监视进程
+            if (this.isMonitoring && ((previous.name || '') !== (this.gameProcess.name || '')
+                || Boolean(previous.watchWhileRunning) !== Boolean(this.gameProcess.watchWhileRunning))) {
+                this.restartProcessWatcher();
+            }
+        }
+        if (options.checkInterval && options.checkInterval !== this.checkIntervalMs) {
+            this.checkIntervalMs = options.checkInterval;
+            if (this.checkInterval) {
+                this.startCheckTimer();
+            }
+        }
+        if (options.backupOnChange !== undefined) {
+            this.backupOnChange = options.backupOnChange !== false;
+        }
+    }
 
+    stopWatching() {
         if (this.watcher) {
             this.watcher.close();
             this.watcher = null;
@@ -114,12 +187,96 @@ class SaveMonitor extends EventEmitter {
             clearTimeout(this.debounceTimeout);
             this.debounceTimeout = null;
         }
+    }
+
+    // 监视游戏进程：游戏退出时总是创建备份，可选在游戏启动时创建备份、只在游戏运行时监控文件
+    startProcessWatcher() {
+        this.processWatcher = new ProcessWatcher(this.gameProcess.name);
+
+        this.processWatcher.on('started', async ({ initial }) => {
+            this.emit('game-started', { name: this.gameProcess.name, initial });
+            if (this.gameProcess.watchWhileRunning) {
+                this.startWatching();
+            }
+            // 开始监控时游戏已在运行的，已经创建了初始备份
+            if (this.gameProcess.backupOnLaunch && !initial) {
+                await this.createBackupIfNeeded({ label: `游戏启动 ${new Date().toLocaleString()}` });
+            }
+        });
+
+        this.processWatcher.on('exited', async () => {
+            this.emit('game-exited', { name: this.gameProcess.name });
+            if (this.gameProcess.watchWhileRunning) {
+                this.stopWatching();
+            }
+            if (!fs.existsSync(this.saveFilePath)) {
+                return;
+            }
+            // 退出时的存档已经备份，之后的定期检查不再重复备份
+            if (await this.createBackupIfNeeded({ label: `游戏退出 ${new Date().toLocaleString()}` })) {
+                this.lastHash = await this.calculatePathHash(this.saveFilePath).catch(() => this.lastHash);
+            }
+        });
+
+        this.processWatcher.on('error', (error) => {
+            this.emit('error', error);
+        });
+
+        this.processWatcher.start();
+    }
+
+    // 按新的游戏进程设置重新监视：只在游戏运行时监控的，先停止文件监控，等新的进程监视报告游戏运行后再开始
+    restartProcessWatcher() {
+        if (this.processWatcher) {
+            this.processWatcher.stop();
+            this.processWatcher = null;
+        }
+
+        if (this.gameProcess.name && this.gameProcess.watchWhileRunning) {
+            this.stopWatching();
+        } else {
+            this.startWatching();
+        }
+
+        if (this.gameProcess.name) {
+            this.startProcessWatcher();
+        }
+    }
+
+    stop() {
+        if (!this.isMonitoring) {
+            return false;
+        }
+
+        this.stopWatching();
+        if (this.processWatcher) {
+            this.processWatcher.stop();
+            this.processWatcher = null;
+        }
 
         this.isMonitoring = false;
         this.emit('monitoring-stopped');
         return true;
     }
 
+    // 目录模式下，不符合文件筛选规则的文件（缓存、日志等）的变化不触发备份
+    isFilteredOut(changedPath) {
+        if (!this.isDirectory) {
+            return false;
+        }
+        const relativePath = path.relative(this.saveFilePath, changedPath).split(path.sep).join('/');
+        if (this.backupManager.fileFilter.matches(relativePath)) {
+            return false;
+        }
+        console.log(`文件不符合筛选规则，忽略: ${relativePath}`);
+        return true;
+    }
+
+    isExcludedDirectory(dirPath) {
+        const relativePath = path.relative(this.saveFilePath, dirPath).split(path.sep).join('/');
+        return this.backupManager.fileFilter.excludesDirectory(relativePath);
+    }
+
     handleFileChange() {
         console.log('处理文件变化事件');
         // 使用防抖来避免频繁的文件检查
@@ -142,13 +299,17 @@ class SaveMonitor extends EventEmitter {
                 return;
             }
 
-            const currentHash = await this.calculateFileHash(this.saveFilePath);
+            const currentHash = await this.calculatePathHash(this.saveFilePath);
             console.log(`当前文件哈希: ${currentHash}`);
             console.log(`上次文件哈希: ${this.lastHash}`);
             
             if (currentHash !== this.lastHash) {
-                console.log('文件内容已变化，准备创建备份');
                 this.lastHash = currentHash;
+                if (!this.backupOnChange) {
+                    console.log('文件内容已变化，等待计划备份');
+                    return;
+                }
+                console.log('文件内容已变化，准备创建备份');
                 const backupResult = await this.createBackupIfNeeded();
                 if (backupResult) {
                     console.log('备份创建成功');
@@ -164,20 +325,20 @@ class SaveMonitor extends EventEmitter {
         }
     }
 
-    async createBackupIfNeeded() {
+    async createBackupIfNeeded(details = {}) {
         try {
             console.log('SaveMonitor: 开始创建备份检查');
             const stats = fs.statSync(this.saveFilePath);
             console.log(`SaveMonitor: 文件大小 ${stats.size} 字节`);
             
-            // 检查文件是否太小（降低阈值，某些存档文件可能很小）
-            if (stats.size < 1) {
+            // 检查文件是否太小（降低阈值，某些存档文件可能很小）；目录的大小由快照统计
+            if (!stats.isDirectory() && stats.size < 1) {
                 console.log('SaveMonitor: 文件太小，跳过备份');
                 return false;
             }
 
             console.log('SaveMonitor: 调用备份管理器创建备份');
-            const backupInfo = await this.backupManager.createBackup(this.saveFilePath);
+            const backupInfo = await this.backupManager.createBackup(this.saveFilePath, details);
             console.log('SaveMonitor: 备份管理器返回结果:', backupInfo);
             
             if (backupInfo) {
@@ -187,6 +348,7 @@ class SaveMonitor extends EventEmitter {
                     timestamp: backupInfo.timestamp,
                     size: backupInfo.size,
                     hash: backupInfo.hash,
+                    label: backupInfo.label,
                     originalPath: this.saveFilePath
                 });
                 return true;
@@ -202,22 +364,12 @@ class SaveMonitor extends EventEmitter {
     }
 
     async calculateFileHash(filePath) {
-        return new Promise((resolve, reject) => {
-            const hash = crypto.createHash('md5');
-            const stream = fs.createReadStream(filePath);
-            
-            stream.on('data', (data) => {
-                hash.update(data);
-            });
-            
-            stream.on('end', () => {
-                resolve(hash.digest('hex'));
-            });
-            
-            stream.on('error', (error) => {
-                reject(error);
-            });
-        });
+        return calculateFileHash(filePath);
+    }
+
+    // 文件直接计算哈希，目录按符合文件筛选规则的文件清单计算，与备份的内容一致
+    async calculatePathHash(targetPath) {
+        return calculatePathHash(targetPath, this.backupManager.fileFilter);
     }
 
     getOriginalPath() {
@@ -232,6 +384,10 @@ class SaveMonitor extends EventEmitter {
         return {
             isMonitoring: this.isMonitoring,
             saveFilePath: this.saveFilePath,
+            isDirectory: this.isDirectory,
+            gameProcess: this.gameProcess.name || null,
+            gameRunning: Boolean(this.processWatcher && this.processWatcher.isGameRunning()),
+            watching: Boolean(this.watcher),
             lastHash: this.lastHash,
             lastCheck: new Date().toISOString()
         };
@@ -249,12 +405,35 @@ class SaveMonitor extends EventEmitter {
         }
     }
 
-    // 强制创建备份，无论文件是否变化
-    async forceBackup() {
+    // 计划备份；onlyIfChanged 为 true 时，存档与当前对应的备份（最近一次备份或恢复的备份）相同则跳过
+    async scheduledBackup({ onlyIfChanged = true } = {}) {
+        if (!this.isMonitoring || !fs.existsSync(this.saveFilePath)) {
+            return false;
+        }
+
+        try {
+            const currentHash = await this.calculatePathHash(this.saveFilePath);
+            const head = this.backupManager.getHeadBackup(this.saveFilePath);
+            if (onlyIfChanged && head && head.hash === currentHash) {
+                console.log('SaveMonitor: 存档在上次备份后未变化，跳过计划备份');
+                return false;
+            }
+
+            this.lastHash = currentHash;
+            return await this.createBackupIfNeeded({ label: `计划备份 ${new Date().toLocaleString()}` });
+        } catch (error) {
+            console.error('SaveMonitor: 计划备份失败:', error);
+            this.emit('error', new Error(`计划备份失败: ${error.message}`));
+            return false;
+        }
+    }
+
+    // 强制创建备份，无论文件是否变化；可附带名称、备注和标签
+    async forceBackup(details = {}) {
         console.log('SaveMonitor: 强制创建备份');
         if (this.isMonitoring) {
             try {
-                const backupResult = await this.createBackupIfNeeded();
+                const backupResult = await this.createBackupIfNeeded(details);
                 if (backupResult) {
                     console.log('SaveMonitor: 强制备份创建成功');
                     return true;
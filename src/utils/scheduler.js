@@ -0,0 +1,213 @@
+const { EventEmitter } = require('events');
+
+// setTimeout 最长约 24.8 天，更远的运行时间分段等待
+const MAX_TIMER_DELAY = 2147483647;
+// 查找下次运行时间时最多向后查找的年数（2 月 29 日这类表达式可能要隔几年才运行一次）
+const SEARCH_YEARS = 5;
+
+const FIELDS = [
+    { name: '分钟', min: 0, max: 59 },
+    { name: '小时', min: 0, max: 23 },
+    { name: '日', min: 1, max: 31 },
+    { name: '月', min: 1, max: 12 },
+    { name: '星期', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// 类 cron 表达式：5 个字段「分 时 日 月 星期」，按本地时间计算。
+// 每个字段支持 *、数字、逗号分隔的列表、范围 a-b 和步长 */n、a-b/n；星期 0 和 7 都表示周日。
+// 日和星期都有限制时满足其一即可（与 cron 相同）。另支持 @hourly、@daily、@weekly、@monthly
+class CronExpression {
+    constructor(expression) {
+        this.expression = String(expression || '').trim();
+        const fields = (SHORTCUTS[this.expression] || this.expression).split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error(`计划表达式应为 5 个字段（分 时 日 月 星期）: ${this.expression}`);
+        }
+
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+        this.minutes = minutes;
+        this.hours = hours;
+        this.days = days;
+        this.months = months;
+        this.weekdays = new Set([...weekdays].map(day => day % 7));
+        this.anyDay = fields[2] === '*';
+        this.anyWeekday = fields[4] === '*';
+    }
+
+    matchesDay(date) {
+        const dayMatches = this.days.has(date.getDate());
+        const weekdayMatches = this.weekdays.has(date.getDay());
+        if (!this.anyDay && !this.anyWeekday) {
+            return dayMatches || weekdayMatches;
+        }
+        return dayMatches && weekdayMatches;
+    }
+
+    // 给定时间之后（不含）的下一次运行时间，找不到时返回 null
+    next(after = new Date()) {
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = new Date(after.getTime());
+        limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+        while (date <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+}
+
+function parseField(field, { name, min, max }) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`${name}字段无效: ${part}`);
+        }
+
+        let start = min;
+        let end = max;
+        if (match[1] !== '*') {
+            start = Number(match[2]);
+            // a/n 表示从 a 开始到最大值，每隔 n
+            end = match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start);
+        }
+        const step = match[4] ? Number(match[4]) : 1;
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`${name}字段超出范围（${min}-${max}）: ${part}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+// 按类 cron 表达式定时运行任务。每个任务有一个 ID，重复添加时替换原任务；
+// 上一次运行尚未结束时跳过本次运行。每次运行后触发 run 事件（下次运行时间随之更新），
+// 任务出错时先触发 error 事件，使用者需要监听 error
+class Scheduler extends EventEmitter {
+    constructor() {
+        super();
+        this.jobs = new Map();
+    }
+
+    // 解析表达式，无效时抛出错误
+    static parse(expression) {
+        return new CronExpression(expression);
+    }
+
+    // 添加或替换定时任务，返回下次运行时间；表达式无效时抛出错误
+    schedule(id, expression, task) {
+        const cron = Scheduler.parse(expression);
+        this.cancel(id);
+
+        const job = { id, cron, task, timer: null, nextRun: null, lastRun: null, running: false };
+        this.jobs.set(id, job);
+        this.arm(job);
+        return job.nextRun;
+    }
+
+    arm(job) {
+        clearTimeout(job.timer);
+        job.nextRun = job.cron.next(new Date());
+        if (!job.nextRun) {
+            return;
+        }
+
+        const delay = Math.min(Math.max(job.nextRun.getTime() - Date.now(), 0), MAX_TIMER_DELAY);
+        job.timer = setTimeout(() => {
+            if (Date.now() >= job.nextRun.getTime()) {
+                this.run(job);
+            } else {
+                this.arm(job);
+            }
+        }, delay);
+    }
+
+    async run(job) {
+        if (this.jobs.get(job.id) !== job) {
+            return;
+        }
+
+        this.arm(job);
+        if (job.running) {
+            console.log(`定时任务 ${job.id} 上次运行尚未结束，跳过本次运行`);
+            return;
+        }
+
+        job.running = true;
+        job.lastRun = new Date();
+        try {
+            await job.task();
+        } catch (error) {
+            console.error(`定时任务 ${job.id} 运行失败:`, error);
+            this.emit('error', error, job.id);
+        } finally {
+            job.running = false;
+            this.emit('run', job.id);
+        }
+    }
+
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return false;
+        }
+        clearTimeout(job.timer);
+        this.jobs.delete(id);
+        return true;
+    }
+
+    cancelAll() {
+        for (const id of [...this.jobs.keys()]) {
+            this.cancel(id);
+        }
+    }
+
+    // 各任务接下来的 count 次运行时间，按最近的运行时间排序
+    getUpcoming(count = 3) {
+        return [...this.jobs.values()]
+            .filter(job => job.nextRun)
+            .map(job => {
+                const runs = [job.nextRun];
+                while (runs.length < count) {
+                    const next = job.cron.next(runs[runs.length - 1]);
+                    if (!next) {
+                        break;
+                    }
+                    runs.push(next);
+                }
+                return {
+                    id: job.id,
+                    expression: job.cron.expression,
+                    lastRun: job.lastRun ? job.lastRun.toISOString() : null,
+                    runs: runs.map(run => run.toISOString())
+                };
+            })
+            .sort((a, b) => new Date(a.runs[0]) - new Date(b.runs[0]));
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createDelta, applyDelta } = require('../src/utils/binaryDelta');
+
+const BLOCK_SIZE = 64;
+
+// 固定种子的伪随机数据，失败时可以复现
+function pseudoRandomBytes(length, seed) {
+    const buffer = Buffer.alloc(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        buffer[i] = state >>> 24;
+    }
+    return buffer;
+}
+
+describe('binaryDelta', () => {
+    let dir;
+    const base = pseudoRandomBytes(BLOCK_SIZE * 20 + 17, 1);
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-delta-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+    });
+
+    // 生成差异并还原，返回差异数据，还原结果必须与目标完全相同
+    function roundTrip(baseData, target) {
+        const basePath = path.join(dir, 'base');
+        const outputPath = path.join(dir, 'output');
+        fs.writeFileSync(basePath, baseData);
+        const delta = createDelta(basePath, target, BLOCK_SIZE);
+        applyDelta(basePath, delta, outputPath);
+        expect(fs.readFileSync(outputPath).equals(target)).toBe(true);
+        return delta;
+    }
+
+    test('内容相同时只有复制操作', () => {
+        const delta = roundTrip(base, Buffer.from(base));
+        // 一次合并后的复制（13 字节）加末尾不足一块的插入
+        expect(delta.length).toBeLessThan(13 + 5 + BLOCK_SIZE);
+    });
+
+    test('末尾追加内容', () => {
+        const target = Buffer.concat([base, pseudoRandomBytes(300, 2)]);
+        const delta = roundTrip(base, target);
+        expect(delta.length).toBeLessThan(400);
+    });
+
+    test('中间插入内容，之后的块仍能匹配', () => {
+        const target = Buffer.concat([base.subarray(0, 500), Buffer.from('inserted bytes'), base.subarray(500)]);
+        const delta = roundTrip(base, target);
+        expect(delta.length).toBeLessThan(4 * BLOCK_SIZE);
+    });
+
+    test('修改少量字节', () => {
+        const target = Buffer.from(base);
+        target[10] ^= 0xff;
+        target[700] ^= 0xff;
+        const delta = roundTrip(base, target);
+        expect(delta.length).toBeLessThan(4 * BLOCK_SIZE);
+    });
+
+    test('截断和删除开头', () => {
+        roundTrip(base, base.subarray(0, BLOCK_SIZE * 5 + 3));
+        roundTrip(base, base.subarray(BLOCK_SIZE * 3 + 1));
+    });
+
+    test('空的基准或目标', () => {
+        expect(roundTrip(Buffer.alloc(0), Buffer.alloc(0)).length).toBe(0);
+        roundTrip(Buffer.alloc(0), base);
+        roundTrip(base, Buffer.alloc(0));
+    });
+
+    test('目标短于一个块', () => {
+        roundTrip(base, base.subarray(0, BLOCK_SIZE - 1));
+        roundTrip(base.subarray(0, BLOCK_SIZE - 1), base);
+    });
+
+    test('重复的块和完全不同的内容', () => {
+        const block = base.subarray(0, BLOCK_SIZE);
+        roundTrip(base, Buffer.concat([block, block, block, base.subarray(BLOCK_SIZE * 7)]));
+        roundTrip(base, pseudoRandomBytes(base.length, 3));
+    });
+
+    test('损坏的差异数据报错', () => {
+        const basePath = path.join(dir, 'base');
+        const outputPath = path.join(dir, 'output');
+        fs.writeFileSync(basePath, base);
+        const delta = createDelta(basePath, Buffer.concat([base, Buffer.from('tail')]), BLOCK_SIZE);
+
+        expect(() => applyDelta(basePath, delta.subarray(0, delta.length - 2), outputPath)).toThrow('差异数据不完整');
+        expect(() => applyDelta(basePath, Buffer.from([9]), outputPath)).toThrow('无效的差异数据操作');
+
+        fs.writeFileSync(basePath, base.subarray(0, BLOCK_SIZE));
+        expect(() => applyDelta(basePath, delta, outputPath)).toThrow('超出基准文件');
+    });
+});
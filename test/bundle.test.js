@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const BackupManager = require('../src/utils/backupManager');
+
+describe('BackupManager 导出包', () => {
+    let dir;
+    let manager;
+    let backupId;
+    let bundlePath;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-bundle-'));
+        manager = new BackupManager(path.join(dir, 'backups'));
+        const saveDir = path.join(dir, 'save');
+        await fs.outputFile(path.join(saveDir, 'slot1.sav'), 'first slot');
+        await fs.outputFile(path.join(saveDir, 'slot2.sav'), 'second slot');
+        ({ id: backupId } = await manager.createBackup(saveDir, { label: '第一关', tags: ['boss'] }));
+        bundlePath = path.join(dir, 'export', 'saves.gsbundle');
+        await manager.exportBackups([backupId], bundlePath);
+    });
+
+    afterEach(async () => {
+        await manager.close();
+        await fs.remove(dir);
+        jest.restoreAllMocks();
+    });
+
+    // 解开导出包，修改后重新打包
+    async function rewriteBundle(modify) {
+        const extractDir = path.join(dir, 'rewrite');
+        await fs.emptyDir(extractDir);
+        await tar.x({ file: bundlePath, cwd: extractDir });
+        const manifestPath = path.join(extractDir, 'manifest.json');
+        const manifest = await fs.readJson(manifestPath);
+        await modify(manifest, extractDir);
+        await fs.writeJson(manifestPath, manifest);
+        await tar.c({ gzip: true, file: bundlePath, cwd: extractDir, portable: true }, ['manifest.json', 'data', 'screenshots']);
+    }
+
+    test('导出后不在导出目录留下临时文件', async () => {
+        expect(await fs.readdir(path.dirname(bundlePath))).toEqual(['saves.gsbundle']);
+    });
+
+    test('导入到另一个备份目录后内容和说明保持不变', async () => {
+        const other = new BackupManager(path.join(dir, 'other'));
+        try {
+            const result = await other.importBundle(bundlePath);
+            expect(result).toMatchObject({ imported: [backupId], skipped: [], failed: [] });
+            expect(other.getBackupInfo(backupId)).toMatchObject({ label: '第一关', tags: ['boss'] });
+
+            const target = path.join(dir, 'restored');
+            await other.restoreBackupAs(backupId, target);
+            expect(await fs.readFile(path.join(target, 'slot1.sav'), 'utf8')).toBe('first slot');
+            expect(await fs.readFile(path.join(target, 'slot2.sav'), 'utf8')).toBe('second slot');
+        } finally {
+            await other.close();
+        }
+    });
+
+    test('完全相同的备份跳过，ID 相同的其他备份分配新 ID', async () => {
+        expect(await manager.importBundle(bundlePath)).toMatchObject({
+            imported: [],
+            skipped: [{ id: backupId, reason: '备份已存在' }]
+        });
+
+        await rewriteBundle(manifest => {
+            manifest.backups[0].timestamp = new Date(Date.now() - 60000).toISOString();
+        });
+        const result = await manager.importBundle(bundlePath);
+        expect(result.imported).toHaveLength(1);
+        const [newId] = result.imported;
+        expect(newId).not.toBe(backupId);
+        expect(manager.getBackupInfo(newId)).toMatchObject({ label: '第一关', hash: manager.getBackupInfo(backupId).hash });
+        expect(manager.getBackupList()).toHaveLength(2);
+    });
+
+    test('文件内容被篡改时拒绝导入并释放已写入的对象', async () => {
+        await rewriteBundle(async (manifest, extractDir) => {
+            const [file] = manifest.backups[0].files;
+            await fs.writeFile(path.join(extractDir, 'data', file.object), 'tampered');
+        });
+
+        const other = new BackupManager(path.join(dir, 'other'));
+        try {
+            const result = await other.importBundle(bundlePath);
+            expect(result.imported).toEqual([]);
+            expect(result.failed).toEqual([{ id: backupId, reason: expect.stringContaining('文件哈希不匹配') }]);
+            expect(other.getBackupList()).toHaveLength(0);
+            expect(Object.values(other.objectStore.getIndex().objects).every(entry => entry.refs === 0)).toBe(true);
+        } finally {
+            await other.close();
+        }
+    });
+
+    test('清单中的备份哈希不匹配时拒绝导入', async () => {
+        await rewriteBundle(manifest => {
+            manifest.backups[0].hash = '0'.repeat(32);
+        });
+
+        const other = new BackupManager(path.join(dir, 'other'));
+        try {
+            const result = await other.importBundle(bundlePath);
+            expect(result.failed).toEqual([{ id: backupId, reason: '备份哈希不匹配' }]);
+            expect(other.getBackupList()).toHaveLength(0);
+        } finally {
+            await other.close();
+        }
+    });
+});
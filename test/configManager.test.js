@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../src/utils/configManager');
+
+describe('ConfigManager 配置文件读写', () => {
+    let dir;
+    let configFile;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-config-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(dir);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        configFile = path.join(dir, '.gamesave-manager', 'config.json');
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+        jest.restoreAllMocks();
+    });
+
+    test('保存配置档案后重新读取', () => {
+        const manager = new ConfigManager();
+        const profile = manager.createProfile('第二个游戏');
+        expect(manager.saveConfig({ activeProfileId: profile.id, saveFilePath: 'C:/saves', autoStart: true })).toBe(true);
+
+        const reloaded = new ConfigManager();
+        expect(reloaded.getProfiles().map(item => item.name)).toEqual(['默认', '第二个游戏']);
+        expect(reloaded.getProfileConfig(profile.id)).toMatchObject({ saveFilePath: 'C:/saves', autoStart: true });
+    });
+
+    test('配置文件损坏时从备份副本读取', () => {
+        const manager = new ConfigManager();
+        manager.createProfile('第二个游戏');
+        manager.createProfile('第三个游戏');
+        fs.writeFileSync(configFile, '{ "profiles": [');
+
+        expect(manager.getProfiles().map(item => item.name)).toEqual(['默认', '第二个游戏']);
+    });
+
+    test('配置文件及备份副本都无法读取时不覆盖原文件', () => {
+        const manager = new ConfigManager();
+        manager.createProfile('第二个游戏');
+        fs.writeFileSync(configFile, '{ "profiles": [');
+        fs.writeFileSync(`${configFile}.bak`, '');
+
+        // 仍能以默认设置运行，但不会把默认配置写回
+        expect(manager.getProfiles().map(item => item.name)).toEqual(['默认']);
+        expect(manager.saveConfig({ saveFilePath: 'C:/saves' })).toBe(false);
+        expect(manager.setActiveProfile('default')).toBe(false);
+        expect(() => manager.createProfile('新游戏')).toThrow('配置文件无法读取');
+        expect(fs.readFileSync(configFile, 'utf8')).toBe('{ "profiles": [');
+
+        new ConfigManager();
+        expect(fs.readFileSync(configFile, 'utf8')).toBe('{ "profiles": [');
+    });
+
+    test('重置配置时同时删除备份副本', () => {
+        const manager = new ConfigManager();
+        manager.createProfile('第二个游戏');
+        manager.createProfile('第三个游戏');
+        expect(manager.resetConfig()).toBe(true);
+        expect(manager.getProfiles().map(item => item.name)).toEqual(['默认']);
+    });
+});
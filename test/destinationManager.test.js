@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DestinationManager = require('../src/utils/destinationManager');
+const LocalDestination = require('../src/utils/destinations/localDestination');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+describe('DestinationManager 重试', () => {
+    let backupPath;
+    let manager;
+    let connect;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        backupPath = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-destinations-'));
+        // 只提供 DestinationManager 用到的备份管理器接口；备份不存在时上传直接跳过
+        const backupManager = {
+            backupPath,
+            getBackupList: () => [{ id: 'backup_2' }, { id: 'backup_1' }],
+            getBackupInfo: () => null
+        };
+        connect = jest.spyOn(LocalDestination.prototype, 'connect').mockRejectedValue(new Error('目标不可用'));
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+        manager = new DestinationManager(backupManager);
+        manager.setDestinations([{ id: 'nas', type: 'local', options: { path: path.join(backupPath, 'nas') } }]);
+    });
+
+    afterEach(async () => {
+        manager.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        await fs.remove(backupPath);
+    });
+
+    const status = () => manager.getStatus()[0];
+
+    test('新目标加入已有的全部备份，失败后按指数退避重试，最长 30 分钟', async () => {
+        expect(status().pending).toBe(2);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(connect).toHaveBeenCalledTimes(1);
+        expect(status()).toMatchObject({ status: 'error', lastError: '目标不可用', pending: 2 });
+
+        const delays = [30 * SECOND, 1 * MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE, 16 * MINUTE, 30 * MINUTE, 30 * MINUTE];
+        for (const [index, delay] of delays.entries()) {
+            expect(Date.parse(status().nextRetryAt) - Date.now()).toBe(delay);
+            await jest.advanceTimersByTimeAsync(delay - 1);
+            expect(connect).toHaveBeenCalledTimes(index + 1);
+            await jest.advanceTimersByTimeAsync(1);
+            expect(connect).toHaveBeenCalledTimes(index + 2);
+        }
+    });
+
+    test('恢复后清空队列并重置退避', async () => {
+        await jest.advanceTimersByTimeAsync(0);
+        await jest.advanceTimersByTimeAsync(30 * SECOND);
+        expect(connect).toHaveBeenCalledTimes(2);
+
+        connect.mockResolvedValue();
+        await jest.advanceTimersByTimeAsync(1 * MINUTE);
+        expect(status()).toMatchObject({ status: 'idle', pending: 0, lastError: null, nextRetryAt: null });
+        expect(status().lastSuccessAt).toBe(new Date().toISOString());
+        expect(manager.destinations.get('nas').attempts).toBe(0);
+
+        // 队列和已上传记录保存在 destinations.json 中，重启后继续
+        const saved = fs.readJsonSync(path.join(backupPath, 'destinations.json'));
+        expect(saved.destinations.nas.pending).toEqual([]);
+    });
+
+    test('立即重试跳过退避等待', async () => {
+        await jest.advanceTimersByTimeAsync(0);
+        await jest.advanceTimersByTimeAsync(30 * SECOND);
+        expect(Date.parse(status().nextRetryAt) - Date.now()).toBe(1 * MINUTE);
+
+        connect.mockResolvedValue();
+        expect(manager.retry('nas')).toBe(true);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(connect).toHaveBeenCalledTimes(3);
+        expect(status()).toMatchObject({ status: 'idle', pending: 0 });
+    });
+
+    test('停止后不再重试', async () => {
+        await jest.advanceTimersByTimeAsync(0);
+        manager.stop();
+        await jest.advanceTimersByTimeAsync(30 * MINUTE);
+        expect(connect).toHaveBeenCalledTimes(1);
+        expect(status().pending).toBe(2);
+    });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const RepositoryEncryption = require('../src/utils/encryption');
+const BackupManager = require('../src/utils/backupManager');
+
+// 通过加密流或解密流处理整段数据
+async function transform(stream, data) {
+    const chunks = [];
+    await pipeline(Readable.from([data]), stream, async function* (source) {
+        for await (const chunk of source) {
+            chunks.push(chunk);
+        }
+    });
+    return Buffer.concat(chunks);
+}
+
+describe('RepositoryEncryption', () => {
+    let dir;
+    let encryption;
+    let keyId;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-encryption-'));
+        encryption = new RepositoryEncryption(path.join(dir, 'encryption.json'));
+        const keyInfo = encryption.createKeys('correct horse');
+        encryption.saveKeys(keyInfo);
+        keyId = encryption.getKeyId(keyInfo);
+    });
+
+    afterEach(async () => {
+        encryption.lock();
+        await fs.remove(dir);
+    });
+
+    test('加密后解密得到原始数据，密文中不含明文', async () => {
+        const data = Buffer.from('存档内容 '.repeat(10000));
+        const encrypted = await transform(encryption.createEncryptStream(), data);
+
+        expect(RepositoryEncryption.isEncryptedData(encrypted)).toBe(true);
+        expect(encrypted.includes(Buffer.from('存档内容'))).toBe(false);
+        const privateKey = encryption.getPrivateKey(keyId);
+        expect((await transform(encryption.createDecryptStream(privateKey), encrypted)).equals(data)).toBe(true);
+        expect(encryption.decryptBufferSync(encrypted, privateKey).equals(data)).toBe(true);
+    });
+
+    test('空数据也能加密和解密', async () => {
+        const encrypted = await transform(encryption.createEncryptStream(), Buffer.alloc(0));
+        const privateKey = encryption.getPrivateKey(keyId);
+        expect(await transform(encryption.createDecryptStream(privateKey), encrypted)).toHaveLength(0);
+    });
+
+    test('锁定后需要正确的密码才能解锁', () => {
+        encryption.lock();
+        expect(encryption.isUnlocked()).toBe(false);
+        expect(() => encryption.getPrivateKey(keyId)).toThrow('请先输入密码解锁');
+
+        expect(() => encryption.unlock('wrong')).toThrow('密码错误');
+        expect(encryption.isUnlocked()).toBe(false);
+
+        encryption.unlock('correct horse');
+        expect(encryption.isUnlocked()).toBe(true);
+    });
+
+    test('篡改认证标签、密文或截断时解密失败', async () => {
+        const data = Buffer.from('important save data');
+        const encrypted = await transform(encryption.createEncryptStream(), data);
+        const privateKey = encryption.getPrivateKey(keyId);
+
+        const tamperedTag = Buffer.from(encrypted);
+        tamperedTag[tamperedTag.length - 1] ^= 0x01;
+        await expect(transform(encryption.createDecryptStream(privateKey), tamperedTag)).rejects.toThrow('加密备份数据校验失败');
+        expect(() => encryption.decryptBufferSync(tamperedTag, privateKey)).toThrow();
+
+        const tamperedData = Buffer.from(encrypted);
+        tamperedData[tamperedData.length - 20] ^= 0x01;
+        await expect(transform(encryption.createDecryptStream(privateKey), tamperedData)).rejects.toThrow('加密备份数据校验失败');
+
+        await expect(transform(encryption.createDecryptStream(privateKey), encrypted.subarray(0, encrypted.length - 20)))
+            .rejects.toThrow('加密备份数据校验失败');
+    });
+
+    test('其他密钥无法解密', async () => {
+        const other = new RepositoryEncryption(path.join(dir, 'other.json'));
+        const otherKeyInfo = other.createKeys('another');
+        const encrypted = await transform(encryption.createEncryptStream(), Buffer.from('data'));
+        const otherKey = other.getPrivateKey(other.getKeyId(otherKeyInfo));
+        await expect(transform(other.createDecryptStream(otherKey), encrypted)).rejects.toThrow('加密备份数据校验失败');
+        other.lock();
+    });
+});
+
+describe('BackupManager 更换密码', () => {
+    let dir;
+    let manager;
+    const contents = ['first save', 'second save', 'third save'];
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-rekey-'));
+        manager = new BackupManager(path.join(dir, 'backups'));
+        const saveDir = path.join(dir, 'save');
+        for (const content of contents) {
+            await fs.outputFile(path.join(saveDir, 'slot.sav'), content);
+            await manager.createBackup(saveDir);
+        }
+        await manager.enableEncryption('old passphrase');
+    });
+
+    afterEach(async () => {
+        manager.lockEncryption();
+        await manager.close();
+        await fs.remove(dir);
+        jest.restoreAllMocks();
+    });
+
+    async function readAllBackups() {
+        const results = [];
+        for (const backup of manager.getBackupList()) {
+            const target = path.join(dir, 'restored', backup.id);
+            await manager.restoreBackupAs(backup.id, target);
+            results.push(await fs.readFile(path.join(target, 'slot.sav'), 'utf8'));
+        }
+        return results.sort();
+    }
+
+    test('启用加密后对象不再包含明文，恢复需要密码', async () => {
+        for (const backup of manager.getBackupList()) {
+            const data = fs.readFileSync(manager.objectStore.getObjectPath(backup.files[0].object));
+            expect(RepositoryEncryption.isEncryptedData(data)).toBe(true);
+        }
+
+        manager.lockEncryption();
+        const [backup] = manager.getBackupList();
+        expect(manager.isBackupLocked(backup.id)).toBe(true);
+        await expect(manager.restoreBackupAs(backup.id, path.join(dir, 'locked'))).rejects.toThrow();
+
+        expect(() => manager.unlockEncryption('wrong')).toThrow('密码错误');
+        manager.unlockEncryption('old passphrase');
+        expect(await readAllBackups()).toEqual([...contents].sort());
+    });
+
+    test('更换密码中断后用当时的新密码继续完成', async () => {
+        // 重新加密第二个对象时中断
+        const createEncryptStream = manager.encryption.createEncryptStream.bind(manager.encryption);
+        let calls = 0;
+        jest.spyOn(manager.encryption, 'createEncryptStream').mockImplementation((...args) => {
+            if (++calls === 2) {
+                throw new Error('模拟中断');
+            }
+            return createEncryptStream(...args);
+        });
+        await expect(manager.changePassphrase('old passphrase', 'new passphrase')).rejects.toThrow('模拟中断');
+        manager.encryption.createEncryptStream.mockRestore();
+
+        expect(manager.getEncryptionStatus().changePending).toBe(true);
+        const keyIds = new Set(Object.values(manager.objectStore.getIndex().objects).map(entry => entry.keyId));
+        expect(keyIds.size).toBe(2);
+
+        // 模拟重启：旧密码只能解锁尚未重新加密的数据
+        manager.lockEncryption();
+        manager.unlockEncryption('old passphrase');
+        expect(manager.encryption.isPendingUnlocked()).toBe(false);
+        await expect(manager.changePassphrase('old passphrase', 'different')).rejects.toThrow('上次更换密码未完成');
+
+        await manager.changePassphrase('old passphrase', 'new passphrase');
+        expect(manager.getEncryptionStatus()).toMatchObject({ enabled: true, changePending: false });
+        expect(fs.existsSync(manager.encryption.pendingKeyFile)).toBe(false);
+
+        manager.lockEncryption();
+        expect(() => manager.unlockEncryption('old passphrase')).toThrow('密码错误');
+        manager.unlockEncryption('new passphrase');
+        expect(await readAllBackups()).toEqual([...contents].sort());
+    });
+});
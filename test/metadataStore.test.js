@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const MetadataStore = require('../src/utils/metadataStore');
+
+function createBackup(id, timestamp, details = {}) {
+    return { id, timestamp, originalPath: '/saves/game', originalFileName: 'game', size: 100, tags: [], ...details };
+}
+
+describe('MetadataStore', () => {
+    let dir;
+    let logFile;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-metadata-'));
+        logFile = path.join(dir, 'metadata.log');
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+        jest.restoreAllMocks();
+    });
+
+    const readLines = () => fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean);
+    const ids = metadata => metadata.backups.map(backup => backup.id).sort();
+
+    function saveBackups(store, backups, state = {}) {
+        store.setMetadata({ ...state, backups });
+        store.flush();
+    }
+
+    test('修改只追加变化的记录，重新加载得到相同内容', () => {
+        const store = new MetadataStore(dir);
+        saveBackups(store, [createBackup('a', '2024-01-01T00:00:00Z'), createBackup('b', '2024-01-02T00:00:00Z')], { heads: { '/saves/game': 'b' } });
+        const lines = readLines().length;
+
+        const metadata = store.getMetadata();
+        metadata.backups = metadata.backups.filter(backup => backup.id !== 'a');
+        metadata.backups[0].label = '改名';
+        store.setMetadata(metadata);
+        store.flush();
+        expect(readLines()).toHaveLength(lines + 2);
+
+        const reloaded = new MetadataStore(dir).getMetadata();
+        expect(ids(reloaded)).toEqual(['b']);
+        expect(reloaded.backups[0].label).toBe('改名');
+        expect(reloaded.heads).toEqual({ '/saves/game': 'b' });
+    });
+
+    test('忽略写入中断留下的不完整末行，下次写入时重写日志', () => {
+        const store = new MetadataStore(dir);
+        saveBackups(store, [createBackup('a', '2024-01-01T00:00:00Z'), createBackup('b', '2024-01-02T00:00:00Z')]);
+        fs.appendFileSync(logFile, '{"op":"put","backup":{"id":"c","times');
+
+        const replayed = new MetadataStore(dir);
+        expect(ids(replayed.getMetadata())).toEqual(['a', 'b']);
+        expect(console.warn).toHaveBeenCalledWith('忽略元数据日志末尾不完整的记录');
+
+        const metadata = replayed.getMetadata();
+        metadata.backups.push(createBackup('d', '2024-01-03T00:00:00Z'));
+        replayed.setMetadata(metadata);
+        replayed.flush();
+        expect(() => readLines().map(line => JSON.parse(line))).not.toThrow();
+        expect(ids(new MetadataStore(dir).getMetadata())).toEqual(['a', 'b', 'd']);
+    });
+
+    test('中间的记录损坏时报错而不是丢弃之后的记录', () => {
+        const store = new MetadataStore(dir);
+        saveBackups(store, [createBackup('a', '2024-01-01T00:00:00Z'), createBackup('b', '2024-01-02T00:00:00Z')]);
+        const lines = readLines();
+        lines[0] = lines[0].slice(0, 10);
+        fs.writeFileSync(logFile, lines.join('\n') + '\n');
+
+        expect(() => new MetadataStore(dir).getMetadata()).toThrow('已损坏（第 1 行）');
+    });
+
+    test('写入前合并另一个实例追加的记录', () => {
+        const first = new MetadataStore(dir);
+        saveBackups(first, [createBackup('a', '2024-01-01T00:00:00Z'), createBackup('b', '2024-01-02T00:00:00Z')], { heads: {} });
+        const second = new MetadataStore(dir);
+        second.load();
+
+        const firstMetadata = first.getMetadata();
+        firstMetadata.backups.push(createBackup('c', '2024-01-03T00:00:00Z', { originalPath: '/saves/first' }));
+        firstMetadata.heads['/saves/first'] = 'c';
+        first.setMetadata(firstMetadata);
+        first.flush();
+
+        // 第二个实例不知道 c，删除 a 并新增 d
+        const secondMetadata = second.getMetadata();
+        secondMetadata.backups = secondMetadata.backups.filter(backup => backup.id !== 'a');
+        secondMetadata.backups.push(createBackup('d', '2024-01-04T00:00:00Z', { originalPath: '/saves/second' }));
+        secondMetadata.heads['/saves/second'] = 'd';
+        second.setMetadata(secondMetadata);
+        second.flush();
+
+        expect(ids(second.getMetadata())).toEqual(['b', 'c', 'd']);
+        const reloaded = new MetadataStore(dir).getMetadata();
+        expect(ids(reloaded)).toEqual(['b', 'c', 'd']);
+        expect(reloaded.heads).toEqual({ '/saves/first': 'c', '/saves/second': 'd' });
+
+        // 第一个实例随后写入时也能看到对方的修改
+        first.flush();
+        first.setMetadata({ ...first.getMetadata(), lastRestore: { backupId: 'b' } });
+        first.flush();
+        expect(ids(first.getMetadata())).toEqual(['b', 'c', 'd']);
+        expect(new MetadataStore(dir).getMetadata()).toMatchObject({ lastRestore: { backupId: 'b' } });
+    });
+
+    test('无效记录过多时压缩日志', () => {
+        const store = new MetadataStore(dir);
+        saveBackups(store, [createBackup('a', '2024-01-01T00:00:00Z'), createBackup('b', '2024-01-02T00:00:00Z')]);
+
+        let maxLines = 0;
+        for (let i = 0; i < 600; i++) {
+            const metadata = store.getMetadata();
+            metadata.backups[0].note = `第 ${i} 次修改`;
+            store.setMetadata(metadata);
+            store.flush();
+            maxLines = Math.max(maxLines, readLines().length);
+        }
+
+        expect(maxLines).toBeLessThanOrEqual(500);
+        expect(readLines().length).toBeLessThan(150);
+        expect(new MetadataStore(dir).get('a').note).toBe('第 599 次修改');
+    });
+
+    test('旧版本的 metadata.json 转换为压缩后的日志', () => {
+        fs.writeJsonSync(path.join(dir, 'metadata.json'), {
+            heads: { '/saves/game': 'b' },
+            backups: [createBackup('a', '2024-01-01T00:00:00Z'), createBackup('b', '2024-01-02T00:00:00Z')]
+        });
+
+        const store = new MetadataStore(dir);
+        expect(ids(store.getMetadata())).toEqual(['a', 'b']);
+        expect(fs.existsSync(path.join(dir, 'metadata.json'))).toBe(false);
+        expect(readLines()).toHaveLength(3);
+        expect(new MetadataStore(dir).getMetadata().heads).toEqual({ '/saves/game': 'b' });
+    });
+
+    describe('query', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new MetadataStore(dir);
+            saveBackups(store, [
+                createBackup('b1', '2024-01-01T00:00:00Z', { size: 100, label: '第一关 开始', tags: ['主线'] }),
+                createBackup('b2', '2024-01-02T00:00:00Z', { size: 500, note: 'Boss 之前', tags: ['主线', 'boss'], pinned: true }),
+                createBackup('b3', '2024-01-03T00:00:00Z', { size: 300, label: '支线任务', screenshot: '/shots/b3.png' }),
+                createBackup('b4', '2024-01-04T00:00:00Z', { size: 200, originalPath: '/saves/other', originalFileName: 'other', tags: ['boss'] })
+            ]);
+        });
+
+        const queryIds = options => store.query(options).items.map(backup => backup.id);
+
+        test('默认按时间倒序返回全部备份', () => {
+            expect(queryIds()).toEqual(['b4', 'b3', 'b2', 'b1']);
+            expect(queryIds({ order: 'asc' })).toEqual(['b1', 'b2', 'b3', 'b4']);
+        });
+
+        test('时间范围包含边界', () => {
+            expect(queryIds({ from: '2024-01-02T00:00:00Z', to: '2024-01-03T00:00:00Z' })).toEqual(['b3', 'b2']);
+            expect(queryIds({ from: '2024-01-03T12:00:00Z' })).toEqual(['b4']);
+            expect(queryIds({ to: '2024-01-01T12:00:00Z' })).toEqual(['b1']);
+            expect(queryIds({ from: '2024-02-01T00:00:00Z' })).toEqual([]);
+        });
+
+        test('按大小、游戏、标签、截图和固定状态筛选', () => {
+            expect(queryIds({ minSize: 200, maxSize: 300 })).toEqual(['b4', 'b3']);
+            expect(queryIds({ game: '/saves/other' })).toEqual(['b4']);
+            expect(queryIds({ tag: 'boss' })).toEqual(['b4', 'b2']);
+            expect(queryIds({ tag: 'boss', game: '/saves/game' })).toEqual(['b2']);
+            expect(queryIds({ tag: '不存在' })).toEqual([]);
+            expect(queryIds({ hasScreenshot: true })).toEqual(['b3']);
+            expect(queryIds({ pinned: true })).toEqual(['b2']);
+        });
+
+        test('搜索时每个词都要出现在名称、备注、标签或文件名中', () => {
+            expect(queryIds({ search: 'boss' })).toEqual(['b4', 'b2']);
+            expect(queryIds({ search: 'BOSS 之前' })).toEqual(['b2']);
+            expect(queryIds({ search: '第一关 支线' })).toEqual([]);
+            expect(queryIds({ search: 'other' })).toEqual(['b4']);
+        });
+
+        test('排序和分页', () => {
+            expect(queryIds({ sortBy: 'size' })).toEqual(['b2', 'b3', 'b4', 'b1']);
+            expect(queryIds({ sortBy: 'size', order: 'asc', offset: 1, limit: 2 })).toEqual(['b4', 'b3']);
+            expect(store.query({ limit: 3, offset: 3 })).toMatchObject({ total: 4, offset: 3, limit: 3 });
+        });
+
+        test('查询结果是副本，修改不影响存储的内容', () => {
+            store.query().items[0].label = '已修改';
+            expect(store.get('b4').label).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs-extra');
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const ObjectStore = require('../src/utils/objectStore');
+
+describe('ObjectStore 对象索引', () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-objects-'));
+        store = new ObjectStore(path.join(dir, 'objects'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(dir);
+        jest.restoreAllMocks();
+    });
+
+    const readIndexFile = () => fs.readJsonSync(path.join(dir, 'objects', 'index.json'));
+
+    test('索引保存在内存中，flushIndex 时一次写入', async () => {
+        const files = [];
+        for (let i = 0; i < 3; i++) {
+            files.push(path.join(dir, `save${i}.dat`));
+            await fs.writeFile(files[i], `content ${i % 2}`);
+        }
+
+        const readIndex = jest.spyOn(fs, 'readJsonSync');
+        const stored = [];
+        for (const file of files) {
+            stored.push(await store.put(file));
+        }
+        expect(readIndex.mock.calls.filter(([file]) => String(file).endsWith('index.json'))).toHaveLength(1);
+        expect(readIndexFile().objects).toEqual({});
+
+        store.flushIndex();
+        const objects = readIndexFile().objects;
+        expect(Object.keys(objects)).toHaveLength(2);
+        expect(objects[stored[0].object].refs).toBe(2);
+
+        store.release(stored[0].object);
+        store.release(stored[1].object);
+        store.flushIndex();
+
+        const reopened = new ObjectStore(path.join(dir, 'objects'));
+        expect(reopened.getIndex().objects).toEqual({ [stored[0].object]: expect.objectContaining({ refs: 1 }) });
+        expect(fs.existsSync(store.getObjectPath(stored[1].object))).toBe(false);
+    });
+
+    test('对象文件丢失后重新写入时保留引用计数', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const file = path.join(dir, 'save.dat');
+        await fs.writeFile(file, 'content');
+        let object;
+        for (let i = 0; i < 3; i++) {
+            ({ object } = await store.put(file));
+        }
+
+        await fs.remove(store.getObjectPath(object));
+        await store.put(file);
+        expect(store.getIndex().objects[object].refs).toBe(4);
+
+        // 释放其中一次引用不会删除其余备份仍需要的数据
+        store.release(object);
+        expect(store.getIndex().objects[object].refs).toBe(3);
+        expect(fs.existsSync(store.getObjectPath(object))).toBe(true);
+    });
+
+    test('丢失的差异对象重新写入后基准对象的引用计数不变', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        store.setDeltaOptions(true, 10);
+        const baseData = Buffer.alloc(128 * 1024, 'a');
+        const targetData = Buffer.concat([baseData, Buffer.from('changed')]);
+        const baseFile = path.join(dir, 'base.dat');
+        const targetFile = path.join(dir, 'target.dat');
+        await fs.writeFile(baseFile, baseData);
+        await fs.writeFile(targetFile, targetData);
+
+        const { object: base } = await store.put(baseFile);
+        const { object: target } = await store.put(targetFile, { base });
+        await store.put(targetFile, { base });
+        expect(store.getIndex().objects[target]).toMatchObject({ type: 'delta', base, refs: 2 });
+        expect(store.getIndex().objects[base].refs).toBe(2);
+
+        await fs.remove(store.getObjectPath(target));
+        await store.put(targetFile, { base });
+        expect(store.getIndex().objects[target]).toMatchObject({ type: 'delta', base, refs: 3 });
+        expect(store.getIndex().objects[base].refs).toBe(2);
+    });
+
+    test('较大的文件在工作线程中生成差异并能还原', async () => {
+        store.setDeltaOptions(true, 10);
+        const baseData = crypto.randomBytes(2 * 1024 * 1024);
+        const targetData = Buffer.from(baseData);
+        targetData.write('changed', 1024 * 1024);
+        const baseFile = path.join(dir, 'base.dat');
+        const targetFile = path.join(dir, 'target.dat');
+        await fs.writeFile(baseFile, baseData);
+        await fs.writeFile(targetFile, targetData);
+
+        const { object: base } = await store.put(baseFile);
+        const { object: target } = await store.put(targetFile, { base });
+        const entry = store.getIndex().objects[target];
+        expect(entry).toMatchObject({ type: 'delta', base });
+        expect(entry.storedSize).toBeLessThan(64 * 1024);
+
+        const restored = path.join(dir, 'restored.dat');
+        await store.extract(target, restored);
+        expect((await fs.readFile(restored)).equals(targetData)).toBe(true);
+    });
+
+    test('reloadIndex 重新读取其他实例写入的索引', async () => {
+        const file = path.join(dir, 'save.dat');
+        await fs.writeFile(file, 'content');
+        expect(store.getIndex().objects).toEqual({});
+
+        const other = new ObjectStore(path.join(dir, 'objects'));
+        const { object } = await other.put(file);
+        other.flushIndex();
+
+        expect(store.getIndex().objects).toEqual({});
+        store.reloadIndex();
+        expect(store.getIndex().objects[object].refs).toBe(1);
+    });
+});
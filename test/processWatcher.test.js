@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const ProcessWatcher = require('../src/utils/processWatcher');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ProcessWatcher', () => {
+    let procRoot;
+    let watcher;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        procRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'gsm-proc-'));
+        // 模拟的 /proc 中放一个无关的进程
+        await addProcess(1, 'systemd', '/sbin/init');
+    });
+
+    afterEach(async () => {
+        if (watcher) {
+            watcher.stop();
+            watcher = null;
+        }
+        await fs.remove(procRoot);
+        jest.restoreAllMocks();
+    });
+
+    async function addProcess(pid, comm, command) {
+        const dir = path.join(procRoot, String(pid));
+        await fs.ensureDir(dir);
+        await fs.writeFile(path.join(dir, 'comm'), `${comm}\n`);
+        await fs.writeFile(path.join(dir, 'cmdline'), `${command}\0--flag\0`);
+    }
+
+    function createWatcher(name) {
+        watcher = new ProcessWatcher(name, { procRoot, platform: 'linux', interval: 20 });
+        return watcher;
+    }
+
+    test('游戏进程启动和退出时触发 started 和 exited', async () => {
+        createWatcher('DummyGame.exe');
+        watcher.start();
+        // 等第一次检查完成，之后出现的进程才算刚刚启动
+        await delay(50);
+        expect(watcher.isGameRunning()).toBe(false);
+
+        const started = once(watcher, 'started');
+        await addProcess(4321, 'DummyGame.exe', '/games/DummyGame.exe');
+        const [startInfo] = await started;
+        expect(startInfo).toEqual({ name: 'dummygame', pids: [4321], initial: false });
+        expect(watcher.isGameRunning()).toBe(true);
+
+        const exited = once(watcher, 'exited');
+        await fs.remove(path.join(procRoot, '4321'));
+        const [exitInfo] = await exited;
+        expect(exitInfo).toEqual({ name: 'dummygame' });
+        expect(watcher.isGameRunning()).toBe(false);
+    });
+
+    test('开始监视时游戏已在运行，started 的 initial 为 true', async () => {
+        await addProcess(200, 'dummygame', '/games/dummygame');
+        createWatcher('dummygame');
+        const started = once(watcher, 'started');
+        watcher.start();
+        const [info] = await started;
+        expect(info.initial).toBe(true);
+        expect(info.pids).toEqual([200]);
+    });
+
+    test('按命令行第一个参数识别 Wine 运行的 .exe，进程名不区分大小写', async () => {
+        // comm 被截断为 15 个字符，只能从命令行识别
+        await addProcess(300, 'VeryLongGameNam', 'Z:\\Games\\VeryLongGameName.EXE');
+        await addProcess(301, 'VeryLongGameNam', 'Z:\\Games\\VeryLongGameName.exe');
+        createWatcher('verylonggamename');
+        const started = once(watcher, 'started');
+        watcher.start();
+        const [info] = await started;
+        expect(info.pids.sort()).toEqual([300, 301]);
+    });
+
+    test('停止后不再触发事件', async () => {
+        createWatcher('DummyGame');
+        const onStarted = jest.fn();
+        watcher.on('started', onStarted);
+        watcher.start();
+        watcher.stop();
+        await addProcess(400, 'DummyGame', '/games/DummyGame');
+        await delay(100);
+        expect(onStarted).not.toHaveBeenCalled();
+    });
+});
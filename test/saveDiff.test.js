@@ -0,0 +1,18 @@
+const { diffSaveData } = require('../src/utils/saveDiff');
+
+describe('diffSaveData XML', () => {
+    const diffXml = (oldXml, newXml) => diffSaveData(Buffer.from(oldXml), Buffer.from(newXml), 'save.xml');
+
+    test('解码字符引用', () => {
+        const result = diffXml('<save><name>A</name></save>', '<save><name>&#66;&#x43;&amp;</name></save>');
+        expect(result.format).toBe('xml');
+        expect(result.changes).toEqual([{ key: 'save/name', type: 'changed', oldValue: 'A', newValue: 'BC&' }]);
+    });
+
+    test('超出 Unicode 范围的字符引用保留原文', () => {
+        const result = diffXml('<save><name>&#x110000;</name></save>', '<save><name>&#1114112;x</name></save>');
+        expect(result.changes).toEqual([
+            { key: 'save/name', type: 'changed', oldValue: '&#x110000;', newValue: '&#1114112;x' }
+        ]);
+    });
+});
@@ -0,0 +1,151 @@
+const Scheduler = require('../src/utils/scheduler');
+
+// 按本地时间计算，用本地时间构造日期（月份从 1 开始），并避开夏令时切换的日期
+const local = (year, month, day, hour = 0, minute = 0, second = 0) => new Date(year, month - 1, day, hour, minute, second);
+const next = (expression, after) => Scheduler.parse(expression).next(after);
+
+describe('CronExpression.next', () => {
+    test('步长', () => {
+        expect(next('*/15 * * * *', local(2024, 3, 5, 10, 7))).toEqual(local(2024, 3, 5, 10, 15));
+        expect(next('*/15 * * * *', local(2024, 3, 5, 10, 45))).toEqual(local(2024, 3, 5, 11, 0));
+        expect(next('10/20 * * * *', local(2024, 3, 5, 10, 31))).toEqual(local(2024, 3, 5, 10, 50));
+    });
+
+    test('下次运行时间晚于给定时间，秒数忽略', () => {
+        expect(next('*/15 * * * *', local(2024, 3, 5, 10, 15))).toEqual(local(2024, 3, 5, 10, 30));
+        expect(next('*/15 * * * *', local(2024, 3, 5, 10, 14, 30))).toEqual(local(2024, 3, 5, 10, 15));
+    });
+
+    test('范围、带步长的范围和列表', () => {
+        const hours = [];
+        let date = local(2024, 3, 5, 0, 0);
+        for (let i = 0; i < 4; i++) {
+            date = next('0 9-17/4 * * *', date);
+            hours.push(date.getHours());
+        }
+        expect(hours).toEqual([9, 13, 17, 9]);
+
+        const minutes = [];
+        date = local(2024, 3, 5, 10, 0);
+        for (let i = 0; i < 5; i++) {
+            date = next('5,10-12 * * * *', date);
+            minutes.push(date.getMinutes());
+        }
+        expect(minutes).toEqual([5, 10, 11, 12, 5]);
+    });
+
+    test('工作日：周五之后是下周一', () => {
+        // 2024-03-01 是周五
+        expect(next('30 8 * * 1-5', local(2024, 3, 1, 9, 0))).toEqual(local(2024, 3, 4, 8, 30));
+    });
+
+    test('星期 0 和 7 都表示周日', () => {
+        // 2024-03-03 是周日
+        expect(next('0 12 * * 7', local(2024, 3, 1))).toEqual(local(2024, 3, 3, 12, 0));
+        expect(next('0 12 * * 0', local(2024, 3, 1))).toEqual(local(2024, 3, 3, 12, 0));
+    });
+
+    test('日和星期都有限制时满足其一即可，只限制一个时按该字段', () => {
+        // 2024-09-06 是周五
+        expect(next('0 0 13 * 5', local(2024, 9, 1))).toEqual(local(2024, 9, 6));
+        expect(next('0 0 13 * 5', local(2024, 9, 12))).toEqual(local(2024, 9, 13));
+        expect(next('0 0 13 * *', local(2024, 9, 1))).toEqual(local(2024, 9, 13));
+        expect(next('0 0 * * 5', local(2024, 9, 7))).toEqual(local(2024, 9, 13));
+    });
+
+    test('跨月和跨年', () => {
+        // 4 月没有 31 日
+        expect(next('0 0 31 * *', local(2024, 4, 1))).toEqual(local(2024, 5, 31));
+        expect(next('0 0 1 1 *', local(2024, 6, 1))).toEqual(local(2025, 1, 1));
+        expect(next('59 23 31 12 *', local(2024, 12, 31, 23, 59))).toEqual(local(2025, 12, 31, 23, 59));
+        expect(next('0 6 * 2 *', local(2024, 1, 31, 12, 0))).toEqual(local(2024, 2, 1, 6, 0));
+        expect(next('0 0 * * *', local(2024, 2, 28, 1, 0))).toEqual(local(2024, 2, 29));
+    });
+
+    test('2 月 29 日在下一个闰年运行，不存在的日期返回 null', () => {
+        expect(next('0 0 29 2 *', local(2025, 1, 1))).toEqual(local(2028, 2, 29));
+        expect(next('0 0 30 2 *', local(2025, 1, 1))).toBeNull();
+    });
+
+    test('快捷表达式', () => {
+        const after = local(2024, 3, 5, 10, 30);
+        expect(next('@hourly', after)).toEqual(local(2024, 3, 5, 11, 0));
+        expect(next('@daily', after)).toEqual(local(2024, 3, 6));
+        expect(next('@weekly', after)).toEqual(local(2024, 3, 10));
+        expect(next('@monthly', after)).toEqual(local(2024, 4, 1));
+    });
+
+    test('无效的表达式抛出错误', () => {
+        expect(() => Scheduler.parse('* * * *')).toThrow('5 个字段');
+        expect(() => Scheduler.parse('')).toThrow('5 个字段');
+        expect(() => Scheduler.parse('60 * * * *')).toThrow('分钟字段超出范围');
+        expect(() => Scheduler.parse('0 0 0 * *')).toThrow('日字段超出范围');
+        expect(() => Scheduler.parse('5-1 * * * *')).toThrow('超出范围');
+        expect(() => Scheduler.parse('*/0 * * * *')).toThrow('超出范围');
+        expect(() => Scheduler.parse('a * * * *')).toThrow('分钟字段无效');
+        expect(() => Scheduler.parse('0 0 * * 8')).toThrow('星期字段超出范围');
+    });
+});
+
+describe('Scheduler', () => {
+    let scheduler;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: local(2024, 3, 5, 10, 7, 30) });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        scheduler = new Scheduler();
+    });
+
+    afterEach(() => {
+        scheduler.cancelAll();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('到时间运行任务并安排下一次', async () => {
+        const task = jest.fn();
+        const onRun = jest.fn();
+        scheduler.on('run', onRun);
+        expect(scheduler.schedule('game', '*/15 * * * *', task)).toEqual(local(2024, 3, 5, 10, 15));
+
+        await jest.advanceTimersByTimeAsync(7.5 * 60 * 1000 - 1);
+        expect(task).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(1);
+        expect(task).toHaveBeenCalledTimes(1);
+        expect(onRun).toHaveBeenCalledWith('game');
+
+        const [upcoming] = scheduler.getUpcoming(3);
+        expect(upcoming.lastRun).toBe(local(2024, 3, 5, 10, 15).toISOString());
+        expect(upcoming.runs).toEqual([
+            local(2024, 3, 5, 10, 30).toISOString(),
+            local(2024, 3, 5, 10, 45).toISOString(),
+            local(2024, 3, 5, 11, 0).toISOString()
+        ]);
+    });
+
+    test('任务出错时触发 error，之后仍触发 run 并继续按计划运行', async () => {
+        const task = jest.fn().mockRejectedValue(new Error('磁盘已满'));
+        const onError = jest.fn();
+        const onRun = jest.fn();
+        scheduler.on('error', onError);
+        scheduler.on('run', onRun);
+        scheduler.schedule('game', '*/15 * * * *', task);
+
+        await jest.advanceTimersByTimeAsync(7.5 * 60 * 1000);
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: '磁盘已满' }), 'game');
+        expect(onRun).toHaveBeenCalledWith('game');
+
+        await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    test('取消后不再运行', async () => {
+        const task = jest.fn();
+        scheduler.schedule('game', '* * * * *', task);
+        expect(scheduler.cancel('game')).toBe(true);
+        expect(scheduler.cancel('game')).toBe(false);
+        await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+        expect(task).not.toHaveBeenCalled();
+        expect(scheduler.getUpcoming()).toEqual([]);
+    });
+});